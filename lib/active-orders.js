@@ -4,10 +4,26 @@
  */
 
 const redis = require('./redis-client');
+const orderState = require('./order-state');
 
 const ACTIVE_ORDERS_KEY = 'active_orders';
 const ORDER_PREFIX = 'order:';
 const CACHE_TTL = 3600; // 1 hour
+const MAX_TRANSITION_RETRIES = 3;
+
+// Write ARGV[2] only if the cached entry still has version ARGV[1]
+// Returns 1 when written, 0 on a version mismatch, -1 if the entry is gone
+redis.defineCommand('compareAndSetOrder', {
+  numberOfKeys: 1,
+  lua: `
+local current = redis.call('GET', KEYS[1])
+if not current then return -1 end
+local version = cjson.decode(current).version or 0
+if version ~= tonumber(ARGV[1]) then return 0 end
+redis.call('SETEX', KEYS[1], ARGV[3], ARGV[2])
+return 1
+`,
+});
 
 /**
  * Set active order in Redis cache
@@ -47,23 +63,37 @@ async function getActiveOrder(orderId) {
 }
 
 /**
- * Update active order status in cache
+ * Move a cached order to a new status, merging in details
+ * Enforces the same transitions as the database; the write only lands if the
+ * entry's version is unchanged since it was read, otherwise it is retried
+ * Returns { success, from } or { success: false, invalid, from, error }
  */
-async function updateActiveOrderStatus(orderId, status, details = {}) {
+async function transitionActiveOrder(orderId, status, details = {}) {
   try {
     const key = `${ORDER_PREFIX}${orderId}`;
-    const order = await getActiveOrder(orderId);
-    if (!order) return { success: false, error: 'Order not found' };
+    for (let i = 0; i < MAX_TRANSITION_RETRIES; i++) {
+      const order = await getActiveOrder(orderId);
+      if (!order) return { success: false, error: 'Order not found' };
 
-    const updated = {
-      ...order,
-      status,
-      ...details,
-      lastUpdate: Date.now(),
-    };
+      const from = order.status || 'pending';
+      if (!orderState.canTransition(from, status)) {
+        const error = new orderState.InvalidTransitionError(orderId, from, status).message;
+        return { success: false, invalid: true, from, error };
+      }
 
-    await redis.setex(key, CACHE_TTL, JSON.stringify(updated));
-    return { success: true };
+      const version = order.version || 0;
+      const updated = {
+        ...order,
+        status,
+        ...details,
+        version: version + 1,
+        lastUpdate: Date.now(),
+      };
+      const written = await redis.compareAndSetOrder(key, version, JSON.stringify(updated), CACHE_TTL);
+      if (written === 1) return { success: true, from };
+      if (written === -1) return { success: false, error: 'Order not found' };
+    }
+    return { success: false, error: `Order ${orderId} kept changing, transition to ${status} abandoned` };
   } catch (err) {
     console.error(`❌ Error updating active order ${orderId}:`, err.message);
     return { success: false, error: err.message };
@@ -112,7 +142,7 @@ async function getActiveOrderCount() {
 module.exports = {
   setActiveOrder,
   getActiveOrder,
-  updateActiveOrderStatus,
+  transitionActiveOrder,
   removeActiveOrder,
   getAllActiveOrderIds,
   getActiveOrderCount,
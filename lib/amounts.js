@@ -0,0 +1,95 @@
+/**
+ * Swap Amounts
+ * Token-unit results of quotes and fills, at each token's decimal precision
+ *
+ * Venue fees are taken from the output, so for amountIn at a price p
+ * (tokenIn per tokenOut):
+ *   grossAmountOut = amountIn / p
+ *   feeAmount      = grossAmountOut * fee          (in tokenOut)
+ *   amountOut      = grossAmountOut - feeAmount
+ *   effectiveRate  = amountOut / amountIn          (tokenOut received per tokenIn)
+ *
+ * Amounts are decimal strings rounded down to the token's decimals, so the
+ * engine never reports more than can actually be delivered; they are stored
+ * as NUMERIC and come back from Postgres as the same strings
+ */
+
+const tokens = require('./tokens');
+
+const RATE_PRECISION = 12; // significant digits
+
+function decimalsOf(symbol, registry) {
+  const token = (registry || tokens.getRegistry()).get(symbol);
+  if (!token) throw new Error(`Unknown token ${symbol}`);
+  return token.decimals;
+}
+
+/**
+ * Amount of a token as a decimal string, rounded down to its decimals
+ */
+function formatAmount(amount, symbol, { registry } = {}) {
+  const decimals = decimalsOf(symbol, registry);
+  const value = Math.max(0, Number(amount));
+  // Extra digits before truncating, so toFixed's rounding can't carry into the last kept digit
+  const [whole, fraction = ''] = value.toFixed(Math.min(decimals + 6, 100)).split('.');
+  return decimals ? `${whole}.${fraction.slice(0, decimals)}` : whole;
+}
+
+/**
+ * Amount as an integer count of the token's smallest unit (BigInt), rounded down
+ * Used where sums must be exact, e.g. ledger postings
+ */
+function toUnits(amount, symbol, options = {}) {
+  return BigInt(formatAmount(amount, symbol, options).replace('.', ''));
+}
+
+/**
+ * Smallest-unit count back to a decimal string at the token's decimals
+ */
+function fromUnits(units, symbol, { registry } = {}) {
+  const decimals = decimalsOf(symbol, registry);
+  const negative = units < 0n;
+  const digits = (negative ? -units : units).toString().padStart(decimals + 1, '0');
+  const whole = digits.slice(0, digits.length - decimals);
+  return `${negative ? '-' : ''}${decimals ? `${whole}.${digits.slice(-decimals)}` : whole}`;
+}
+
+/**
+ * tokenOut per tokenIn as a string with RATE_PRECISION significant digits
+ */
+function formatRate(amountOut, amountIn) {
+  const rate = Number(amountOut) / Number(amountIn);
+  return Number.isFinite(rate) ? String(Number(rate.toPrecision(RATE_PRECISION))) : null;
+}
+
+/**
+ * Token amounts for swapping amountIn at price (tokenIn per tokenOut) with a venue fee
+ * Returns { grossAmountOut, feeAmount, amountOut, effectiveRate } as decimal strings
+ */
+function swapAmounts({ amountIn, tokenOut, price, fee }, options = {}) {
+  const grossOut = Number(amountIn) / price;
+  const feeAmount = grossOut * fee;
+  return totals({ amountIn, tokenOut, grossOut, feeAmount }, options);
+}
+
+/**
+ * Same shape from already-summed gross output and fees (e.g. split legs)
+ */
+function totals({ amountIn, tokenOut, grossOut, feeAmount }, options = {}) {
+  const amountOut = formatAmount(grossOut - feeAmount, tokenOut, options);
+  return {
+    grossAmountOut: formatAmount(grossOut, tokenOut, options),
+    feeAmount: formatAmount(feeAmount, tokenOut, options),
+    amountOut,
+    effectiveRate: formatRate(amountOut, amountIn),
+  };
+}
+
+module.exports = {
+  formatAmount,
+  formatRate,
+  toUnits,
+  fromUnits,
+  swapAmounts,
+  totals,
+};
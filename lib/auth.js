@@ -0,0 +1,107 @@
+/**
+ * API Key Authentication
+ * Keys are shown once at creation and stored as SHA-256 hashes in Postgres;
+ * each key belongs to an account, which owns the orders it submits
+ *
+ * Clients send:  Authorization: Bearer <key>   (or X-API-Key: <key>)
+ * Browser WebSockets can't set headers, so upgrades also accept ?apiKey=<key>
+ * Admin endpoints use ADMIN_API_KEY from the environment
+ */
+
+const crypto = require('crypto');
+const db = require('./db-client');
+
+const KEY_PREFIX = 'oxe_';
+const DISPLAY_PREFIX_LENGTH = KEY_PREFIX.length + 8;
+const ACCOUNT_ID_PATTERN = /^[A-Za-z0-9_.-]{1,64}$/;
+
+/**
+ * New random API key, e.g. oxe_3f9c...
+ */
+function generateApiKey() {
+  return `${KEY_PREFIX}${crypto.randomBytes(24).toString('hex')}`;
+}
+
+function hashApiKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+/**
+ * Leading characters kept in plain text so operators can tell keys apart
+ */
+function displayPrefix(key) {
+  return key.substring(0, DISPLAY_PREFIX_LENGTH);
+}
+
+function isValidAccountId(accountId) {
+  return typeof accountId === 'string' && ACCOUNT_ID_PATTERN.test(accountId);
+}
+
+/**
+ * Pull a key from the Authorization / X-API-Key headers, or the query string when allowed
+ */
+function extractApiKey(req, query = {}, { allowQuery = false } = {}) {
+  const authorization = req.headers.authorization;
+  if (typeof authorization === 'string') {
+    const match = authorization.match(/^Bearer\s+(\S+)$/i);
+    if (match) return match[1];
+  }
+
+  const header = req.headers['x-api-key'];
+  if (typeof header === 'string' && header.trim()) return header.trim();
+
+  if (allowQuery && typeof query.apiKey === 'string' && query.apiKey) return query.apiKey;
+  return null;
+}
+
+/**
+ * Resolve the account behind a request, or null if the key is missing, unknown or revoked
+ */
+async function authenticate(req, query, options) {
+  const key = extractApiKey(req, query, options);
+  if (!key || !key.startsWith(KEY_PREFIX)) return null;
+
+  const record = await db.getApiKeyByHash(hashApiKey(key));
+  if (!record || record.revoked_at) return null;
+  return { accountId: record.account_id, keyId: record.id };
+}
+
+/**
+ * Whether the request carries ADMIN_API_KEY (constant-time comparison)
+ */
+function isAdminRequest(req, adminKey = process.env.ADMIN_API_KEY) {
+  const key = extractApiKey(req);
+  if (!adminKey || !key) return false;
+  return crypto.timingSafeEqual(
+    Buffer.from(hashApiKey(key), 'hex'),
+    Buffer.from(hashApiKey(adminKey), 'hex')
+  );
+}
+
+/**
+ * Create a key for an account; the plain key is only available in this result
+ */
+async function createApiKey(accountId, label = null) {
+  const key = generateApiKey();
+  const saved = await db.saveApiKey({
+    id: crypto.randomUUID(),
+    accountId,
+    keyHash: hashApiKey(key),
+    keyPrefix: displayPrefix(key),
+    label,
+  });
+  if (!saved.success) return saved;
+  return { success: true, key, record: saved.record };
+}
+
+module.exports = {
+  KEY_PREFIX,
+  generateApiKey,
+  hashApiKey,
+  displayPrefix,
+  isValidAccountId,
+  extractApiKey,
+  authenticate,
+  isAdminRequest,
+  createApiKey,
+};
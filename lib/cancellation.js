@@ -0,0 +1,73 @@
+/**
+ * Order Cancellation Flags (Redis)
+ * Server flags orders already in processOrder(); the worker checks between stages
+ */
+
+const { UnrecoverableError } = require('bullmq');
+const redis = require('./redis-client');
+
+const CANCEL_PREFIX = 'cancel:';
+const CANCEL_TTL = 3600; // 1 hour
+
+/**
+ * Thrown by the worker at a checkpoint when a cancel was requested
+ */
+class OrderCancelledError extends UnrecoverableError {
+  constructor(orderId) {
+    super(`Order ${orderId} cancelled`);
+    this.name = 'OrderCancelledError';
+  }
+}
+
+/**
+ * Flag an order for cooperative cancellation
+ */
+async function requestCancel(orderId) {
+  try {
+    await redis.setex(`${CANCEL_PREFIX}${orderId}`, CANCEL_TTL, Date.now().toString());
+    return { success: true };
+  } catch (err) {
+    console.error(`❌ Error flagging cancel for ${orderId}:`, err.message);
+    return { success: false, error: err.message };
+  }
+}
+
+/**
+ * Whether a cancel was requested for an order
+ */
+async function isCancelRequested(orderId) {
+  try {
+    return (await redis.exists(`${CANCEL_PREFIX}${orderId}`)) === 1;
+  } catch (err) {
+    console.error(`❌ Error checking cancel for ${orderId}:`, err.message);
+    return false;
+  }
+}
+
+/**
+ * Clear the cancel flag once the order reached a final state
+ */
+async function clearCancel(orderId) {
+  try {
+    await redis.del(`${CANCEL_PREFIX}${orderId}`);
+  } catch (err) {
+    console.error(`❌ Error clearing cancel for ${orderId}:`, err.message);
+  }
+}
+
+/**
+ * Worker checkpoint: throws OrderCancelledError if a cancel was requested
+ */
+async function throwIfCancelled(orderId) {
+  if (await isCancelRequested(orderId)) {
+    throw new OrderCancelledError(orderId);
+  }
+}
+
+module.exports = {
+  OrderCancelledError,
+  requestCancel,
+  isCancelRequested,
+  clearCancel,
+  throwIfCancelled,
+};
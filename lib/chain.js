@@ -0,0 +1,353 @@
+/**
+ * Simulated Chain
+ * Local Solana-like ledger the worker sends swap transactions to
+ *
+ *   - slots advance every slotMs; block height equals the slot
+ *   - a transaction carries a recent blockhash and is only valid until its
+ *     lastValidBlockHeight (blockhashValiditySlots after the blockhash)
+ *   - congestion rises and falls over congestionPeriodSlots; recent
+ *     prioritization fees (micro-lamports per compute unit) follow it
+ *   - sent transactions are dropped with probability dropRate, plus up to
+ *     congestionDropRate when congested and paying less than the going
+ *     priority fee; otherwise they land a few slots later. A transaction that
+ *     would land after its blockhash expired never lands
+ *   - a landed transaction is processed, confirmed after confirmationSlots and
+ *     finalized after finalizationSlots
+ *   - the chain forgets a signature once it can't change any more: finalized
+ *     for statusRetentionSlots, or never landed before its blockhash expired
+ *
+ * Signatures are derived from the message and blockhash, so rebroadcasting a
+ * transaction is idempotent and re-signing it with a new blockhash gives a new
+ * signature. Drops and congestion come from the seed (CHAIN_SEED, else MARKET_SEED)
+ *
+ * Configured via environment:
+ *   CHAIN_CONFIG='{"slotMs":400,"dropRate":0.05,"finalizationSlots":32,"maxResubmits":3}'
+ */
+
+const crypto = require('crypto');
+const { createRng } = require('./dex/market');
+const { TransactionExpiredError } = require('./errors');
+
+// Ordered weakest to strongest
+const COMMITMENT_LEVELS = ['processed', 'confirmed', 'finalized'];
+
+// Program whose SetComputeUnitPrice instruction sets a transaction's priority fee
+const COMPUTE_BUDGET_PROGRAM = 'ComputeBudget111111111111111111111111111111';
+
+// Slots covered by getRecentPrioritizationFees()
+const RECENT_FEE_SLOTS = 20;
+
+const DEFAULT_CHAIN_OPTIONS = {
+  slotMs: 400,
+  dropRate: 0.05,
+  landingSlots: [1, 2], // [min, max] slots from send to landing
+  blockhashValiditySlots: 150,
+  confirmationSlots: 1,
+  finalizationSlots: 32,
+  statusRetentionSlots: 150, // a finalized signature stays queryable this long
+  congestionPeriodSlots: 750,
+  congestionDropRate: 0.5,
+  basePriorityFee: 50000, // going rate in micro-lamports per CU at full congestion
+};
+
+// Client side: how the worker follows a sent transaction
+const DEFAULT_CONFIRMATION_OPTIONS = {
+  rebroadcastSlots: 2, // not landed after this many slots → send again
+  maxResubmits: 3, // re-signs with a fresh blockhash after expiry
+};
+
+const BASE58_ALPHABET = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+
+function base58(buffer) {
+  let n = BigInt(`0x${buffer.toString('hex')}`);
+  let out = '';
+  while (n > 0n) {
+    out = BASE58_ALPHABET[Number(n % 58n)] + out;
+    n /= 58n;
+  }
+  for (const byte of buffer) {
+    if (byte !== 0) break;
+    out = `1${out}`;
+  }
+  return out;
+}
+
+function digest(...parts) {
+  return crypto.createHash('sha256').update(parts.join(':')).digest();
+}
+
+/**
+ * Deterministic 32-byte address (base58) for a set of seeds, like a program-derived address
+ */
+function deriveAddress(...seeds) {
+  return base58(digest('address', ...seeds));
+}
+
+/**
+ * Priority fee (micro-lamports per CU) a message pays, 0 without SetComputeUnitPrice
+ */
+function priorityFeeOf(message) {
+  const instruction = ((message && message.instructions) || []).find((ix) => (
+    ix.programId === COMPUTE_BUDGET_PROGRAM && ix.name === 'SetComputeUnitPrice'
+  ));
+  return instruction ? Number(instruction.data.microLamports) : 0;
+}
+
+/**
+ * Whether commitment `level` is at least `target`
+ */
+function commitmentReached(level, target) {
+  return COMMITMENT_LEVELS.indexOf(level) >= COMMITMENT_LEVELS.indexOf(target);
+}
+
+/**
+ * Resolve chain settings from env
+ * Returns { seed, ...chain options, ...confirmation options }
+ */
+function loadChainConfig(env = process.env) {
+  let config = {};
+  if (env.CHAIN_CONFIG) {
+    try {
+      config = JSON.parse(env.CHAIN_CONFIG);
+    } catch (err) {
+      throw new Error(`Invalid CHAIN_CONFIG JSON: ${err.message}`);
+    }
+  }
+  return {
+    ...DEFAULT_CHAIN_OPTIONS,
+    ...DEFAULT_CONFIRMATION_OPTIONS,
+    ...config,
+    seed: env.CHAIN_SEED || env.MARKET_SEED || config.seed || crypto.randomBytes(4).readUInt32LE(0),
+  };
+}
+
+class SimulatedChain {
+  /**
+   * @param {object} [options] - DEFAULT_CHAIN_OPTIONS overrides plus:
+   * @param {string|number} [options.seed] - Seed for drops and landing delays
+   * @param {function} [options.now] - Clock in ms (Date.now)
+   */
+  constructor(options = {}) {
+    Object.assign(this, DEFAULT_CHAIN_OPTIONS);
+    Object.keys(DEFAULT_CHAIN_OPTIONS).forEach((key) => {
+      if (options[key] !== undefined) this[key] = options[key];
+    });
+    this.seed = options.seed === undefined ? 0 : options.seed;
+    this.now = options.now || Date.now;
+    this.rng = createRng(`${this.seed}:chain`);
+    this.genesis = this.now();
+    this.transactions = new Map(); // signature → { lastValidBlockHeight, landingSlot }
+  }
+
+  getSlot() {
+    return Math.floor((this.now() - this.genesis) / this.slotMs);
+  }
+
+  blockhashAt(slot) {
+    return base58(digest(this.seed, 'blockhash', slot));
+  }
+
+  /**
+   * Recent blockhash for new transactions, as { blockhash, lastValidBlockHeight }
+   */
+  getLatestBlockhash() {
+    const slot = this.getSlot();
+    return { blockhash: this.blockhashAt(slot), lastValidBlockHeight: slot + this.blockhashValiditySlots };
+  }
+
+  // Seeded uniform draw in [0, 1) for a label and slot
+  unitAt(label, slot) {
+    return digest(this.seed, label, slot).readUInt32LE(0) / 4294967296;
+  }
+
+  /**
+   * Network congestion at a slot, 0 (idle) to 1 (saturated)
+   */
+  congestionAt(slot) {
+    const phase = this.unitAt('congestion-phase', 0) * 2 * Math.PI;
+    const wave = 0.5 + 0.4 * Math.sin((2 * Math.PI * slot) / this.congestionPeriodSlots + phase);
+    const noise = (this.unitAt('congestion', slot) - 0.5) * 0.2;
+    return Math.min(1, Math.max(0, wave + noise));
+  }
+
+  /**
+   * Priority fees paid in recent slots, as [{ slot, prioritizationFee }] in micro-lamports per CU
+   */
+  getRecentPrioritizationFees() {
+    const current = this.getSlot();
+    const fees = [];
+    for (let slot = Math.max(0, current - RECENT_FEE_SLOTS + 1); slot <= current; slot++) {
+      const fee = this.basePriorityFee * this.congestionAt(slot) * 2 * this.unitAt('fee', slot);
+      fees.push({ slot, prioritizationFee: Math.round(fee) });
+    }
+    return fees;
+  }
+
+  /**
+   * Chance a transaction sent now is dropped, given the priority fee it pays
+   */
+  dropChance(priorityFee) {
+    const congestion = this.congestionAt(this.getSlot());
+    const goingRate = this.basePriorityFee * congestion;
+    const shortfall = goingRate > 0 ? Math.max(0, 1 - priorityFee / goingRate) : 0;
+    return Math.min(1, this.dropRate + this.congestionDropRate * congestion * shortfall);
+  }
+
+  isBlockhashValid(lastValidBlockHeight) {
+    return this.getSlot() <= lastValidBlockHeight;
+  }
+
+  /**
+   * Sign a message with the latest blockhash
+   * Returns { message, recentBlockhash, lastValidBlockHeight, signature }
+   */
+  createTransaction(message) {
+    const { blockhash, lastValidBlockHeight } = this.getLatestBlockhash();
+    return {
+      message,
+      recentBlockhash: blockhash,
+      lastValidBlockHeight,
+      signature: base58(Buffer.concat([
+        digest(JSON.stringify(message), blockhash),
+        digest(blockhash, JSON.stringify(message)),
+      ])),
+    };
+  }
+
+  /**
+   * Broadcast a transaction, returns its signature
+   * It may be dropped (more likely when congested and underpaying); sending it
+   * again gives it another chance to land
+   */
+  sendTransaction(tx) {
+    this.evictSettled();
+    const known = this.transactions.get(tx.signature);
+    if (known && known.landingSlot !== null) return tx.signature;
+
+    const [minSlots, maxSlots] = this.landingSlots;
+    const dropped = this.rng() < this.dropChance(priorityFeeOf(tx.message));
+    const delay = minSlots + Math.floor(this.rng() * (maxSlots - minSlots + 1));
+    this.transactions.set(tx.signature, {
+      lastValidBlockHeight: tx.lastValidBlockHeight,
+      landingSlot: dropped ? null : this.getSlot() + delay,
+    });
+    return tx.signature;
+  }
+
+  /**
+   * Forget signatures whose status can no longer change, so the map stays as
+   * small as the traffic of the last few hundred slots
+   */
+  evictSettled() {
+    const current = this.getSlot();
+    this.transactions.forEach((tx, signature) => {
+      const lands = tx.landingSlot !== null && tx.landingSlot <= tx.lastValidBlockHeight;
+      const settled = lands
+        ? current >= tx.landingSlot + this.finalizationSlots + this.statusRetentionSlots
+        : current > tx.lastValidBlockHeight;
+      if (settled) this.transactions.delete(signature);
+    });
+  }
+
+  /**
+   * Status of a signature, or null while it is unknown, dropped, in flight or expired
+   * Returns { slot, confirmations, confirmationStatus, err }; confirmations is null once finalized
+   */
+  getSignatureStatus(signature) {
+    const tx = this.transactions.get(signature);
+    const current = this.getSlot();
+    if (!tx || tx.landingSlot === null || tx.landingSlot > current) return null;
+    if (tx.landingSlot > tx.lastValidBlockHeight) return null;
+
+    const confirmations = current - tx.landingSlot;
+    let confirmationStatus = 'processed';
+    if (confirmations >= this.finalizationSlots) confirmationStatus = 'finalized';
+    else if (confirmations >= this.confirmationSlots) confirmationStatus = 'confirmed';
+    return {
+      slot: tx.landingSlot,
+      confirmations: confirmationStatus === 'finalized' ? null : confirmations,
+      confirmationStatus,
+      err: null,
+    };
+  }
+}
+
+function createChain(options) {
+  return new SimulatedChain(options);
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Poll a sent transaction until it reaches `commitment`
+ * A transaction that hasn't landed after rebroadcastSlots is sent again (it may
+ * have been dropped); once its blockhash expires it is re-signed with a fresh
+ * one, at most maxResubmits times, before failing with TransactionExpiredError
+ * rebuild(tx, resubmits) may return a new message to sign instead (e.g. with a
+ * higher priority fee); onProgress({ commitment, slot, signature }) fires once
+ * per level reached and onResubmit(tx) with each re-signed transaction
+ * Resolves { tx, status } with the transaction that landed
+ */
+async function waitForCommitment(chain, tx, commitment, options = {}) {
+  const {
+    rebroadcastSlots = DEFAULT_CONFIRMATION_OPTIONS.rebroadcastSlots,
+    maxResubmits = DEFAULT_CONFIRMATION_OPTIONS.maxResubmits,
+    pollMs = chain.slotMs / 2,
+    onProgress = () => {},
+    onResubmit = () => {},
+    rebuild = null,
+    wait = sleep,
+  } = options;
+
+  let current = tx;
+  let resubmits = 0;
+  let sentSlot = chain.getSlot();
+  let reported = null;
+
+  for (;;) {
+    const status = chain.getSignatureStatus(current.signature);
+    if (status) {
+      if (status.confirmationStatus !== reported) {
+        const reached = COMMITMENT_LEVELS.filter((level) => (
+          commitmentReached(status.confirmationStatus, level) && !(reported && commitmentReached(reported, level))
+        ));
+        for (const level of reached) {
+          await onProgress({ commitment: level, slot: status.slot, signature: current.signature });
+        }
+        reported = status.confirmationStatus;
+      }
+      if (commitmentReached(status.confirmationStatus, commitment)) return { tx: current, status };
+    } else if (!chain.isBlockhashValid(current.lastValidBlockHeight)) {
+      if (resubmits >= maxResubmits) {
+        throw new TransactionExpiredError(
+          `Transaction ${current.signature.substring(0, 16)}... expired unconfirmed after ${resubmits} resubmission(s)`
+        );
+      }
+      resubmits++;
+      current = chain.createTransaction(rebuild ? await rebuild(current, resubmits) : current.message);
+      chain.sendTransaction(current);
+      sentSlot = chain.getSlot();
+      await onResubmit(current);
+    } else if (chain.getSlot() - sentSlot >= rebroadcastSlots) {
+      chain.sendTransaction(current);
+      sentSlot = chain.getSlot();
+    }
+    await wait(pollMs);
+  }
+}
+
+module.exports = {
+  COMMITMENT_LEVELS,
+  COMPUTE_BUDGET_PROGRAM,
+  DEFAULT_CHAIN_OPTIONS,
+  DEFAULT_CONFIRMATION_OPTIONS,
+  commitmentReached,
+  deriveAddress,
+  priorityFeeOf,
+  loadChainConfig,
+  SimulatedChain,
+  createChain,
+  waitForCommitment,
+};
@@ -0,0 +1,169 @@
+/**
+ * Dead-Letter Queue (Redis)
+ * Orders whose job failed for good (attempts exhausted, or an error that is
+ * never retried) are parked here with their payload, attempt history and last
+ * error until an admin re-drives them into order-queue
+ */
+
+const { ERROR_CODES } = require('./validation');
+
+const DEAD_LETTER_KEY = 'dead_letter'; // sorted set, score = failedAt (ms)
+const DEAD_LETTER_PREFIX = 'dead_letter:';
+
+const MAX_REDRIVE_ATTEMPTS = 10;
+const MAX_REDRIVE_BATCH = 100;
+const DEFAULT_LIST_LIMIT = 50;
+const MAX_LIST_LIMIT = 200;
+
+/**
+ * Failed attempts from an order's event timeline, oldest first
+ * Returns [{ attempt, status, error, errorClass, at }]
+ */
+function attemptHistory(events) {
+  return (events || [])
+    .filter((event) => ['retrying', 'failed'].includes(event.status) && event.details && event.details.error)
+    .map((event) => ({
+      attempt: event.attempt,
+      status: event.status,
+      error: event.details.error,
+      errorClass: event.details.errorClass || null,
+      at: event.created_at,
+    }));
+}
+
+function requestError(code, field, message) {
+  return { error: { code, field, message } };
+}
+
+/**
+ * Validate a re-drive body: { attempts } for one order, plus { orderIds } for a batch
+ * Returns { attempts, orderIds } or { error: { code, field, message } }
+ */
+function parseRedriveRequest(body, { batch = false, defaultAttempts }) {
+  const data = body || {};
+  if (typeof data !== 'object' || Array.isArray(data)) {
+    return requestError(ERROR_CODES.INVALID_TYPE, null, 'Body must be a JSON object');
+  }
+
+  const attempts = data.attempts === undefined ? defaultAttempts : data.attempts;
+  if (!Number.isInteger(attempts) || attempts < 1 || attempts > MAX_REDRIVE_ATTEMPTS) {
+    return requestError(ERROR_CODES.OUT_OF_RANGE, 'attempts', `attempts must be an integer from 1 to ${MAX_REDRIVE_ATTEMPTS}`);
+  }
+  if (!batch) return { attempts };
+
+  const { orderIds } = data;
+  if (!Array.isArray(orderIds) || orderIds.length === 0 || orderIds.some((id) => typeof id !== 'string' || !id)) {
+    return requestError(ERROR_CODES.INVALID_TYPE, 'orderIds', 'orderIds must be a non-empty array of order ids');
+  }
+  if (orderIds.length > MAX_REDRIVE_BATCH) {
+    return requestError(ERROR_CODES.OUT_OF_RANGE, 'orderIds', `At most ${MAX_REDRIVE_BATCH} orders per batch`);
+  }
+  return { attempts, orderIds: [...new Set(orderIds)] };
+}
+
+/**
+ * Validate list paging (?limit=&offset=), returns { limit, offset } or { error }
+ */
+function parseListQuery(query) {
+  const limit = query.limit === undefined ? DEFAULT_LIST_LIMIT : Number(query.limit);
+  const offset = query.offset === undefined ? 0 : Number(query.offset);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIST_LIMIT) {
+    return requestError(ERROR_CODES.OUT_OF_RANGE, 'limit', `limit must be an integer from 1 to ${MAX_LIST_LIMIT}`);
+  }
+  if (!Number.isInteger(offset) || offset < 0) {
+    return requestError(ERROR_CODES.OUT_OF_RANGE, 'offset', 'offset must be a non-negative integer');
+  }
+  return { limit, offset };
+}
+
+class DeadLetterQueue {
+  /**
+   * @param {object} redis - ioredis client
+   */
+  constructor(redis) {
+    this.redis = redis;
+  }
+
+  /**
+   * Park an order; entry is { orderId, accountId, payload, attempts, attemptsMade, lastError, errorClass, failedAt }
+   */
+  async add(entry) {
+    try {
+      await this.redis.set(`${DEAD_LETTER_PREFIX}${entry.orderId}`, JSON.stringify(entry));
+      await this.redis.zadd(DEAD_LETTER_KEY, Date.parse(entry.failedAt), entry.orderId);
+      return { success: true };
+    } catch (err) {
+      console.error(`❌ Error dead-lettering ${entry.orderId}:`, err.message);
+      return { success: false, error: err.message };
+    }
+  }
+
+  async get(orderId) {
+    try {
+      const raw = await this.redis.get(`${DEAD_LETTER_PREFIX}${orderId}`);
+      return raw ? JSON.parse(raw) : null;
+    } catch (err) {
+      console.error(`❌ Error reading dead letter ${orderId}:`, err.message);
+      return null;
+    }
+  }
+
+  /**
+   * Newest first, returns { entries, total } or null
+   */
+  async list({ limit = DEFAULT_LIST_LIMIT, offset = 0 } = {}) {
+    try {
+      const [orderIds, total] = await Promise.all([
+        this.redis.zrevrange(DEAD_LETTER_KEY, offset, offset + limit - 1),
+        this.redis.zcard(DEAD_LETTER_KEY),
+      ]);
+      const raws = orderIds.length ? await this.redis.mget(orderIds.map((id) => `${DEAD_LETTER_PREFIX}${id}`)) : [];
+      return { entries: raws.filter(Boolean).map((raw) => JSON.parse(raw)), total };
+    } catch (err) {
+      console.error(`❌ Error listing dead letters:`, err.message);
+      return null;
+    }
+  }
+
+  /**
+   * Atomically take an entry off the queue
+   * Returns the entry only to the caller that removed it, so one order is
+   * never re-driven twice; put it back with add() if the re-drive fails
+   */
+  async claim(orderId) {
+    try {
+      const entry = await this.get(orderId);
+      if (!entry) return null;
+      const removed = await this.redis.zrem(DEAD_LETTER_KEY, orderId);
+      if (removed !== 1) return null;
+      await this.redis.del(`${DEAD_LETTER_PREFIX}${orderId}`);
+      return entry;
+    } catch (err) {
+      console.error(`❌ Error claiming dead letter ${orderId}:`, err.message);
+      return null;
+    }
+  }
+
+  async count() {
+    try {
+      return await this.redis.zcard(DEAD_LETTER_KEY);
+    } catch (err) {
+      console.error(`❌ Error counting dead letters:`, err.message);
+      return 0;
+    }
+  }
+}
+
+function createDeadLetterQueue(redis) {
+  return new DeadLetterQueue(redis);
+}
+
+module.exports = {
+  MAX_REDRIVE_ATTEMPTS,
+  MAX_REDRIVE_BATCH,
+  attemptHistory,
+  parseRedriveRequest,
+  parseListQuery,
+  DeadLetterQueue,
+  createDeadLetterQueue,
+};
@@ -0,0 +1,58 @@
+/**
+ * DEX Adapter Interface
+ * Every venue implements quote, execute, health, and declares its supported pairs
+ */
+
+class DexAdapter {
+  /**
+   * @param {object} options
+   * @param {string} options.name - Venue identifier (e.g. 'raydium')
+   * @param {number} options.fee - Fee rate (0.003 = 0.3%)
+   * @param {string[]} [options.supportedPairs] - 'TOKENIN/TOKENOUT' entries, or ['*'] for all
+   * @param {number} [options.quoteTimeoutMs] - Overrides the router's default quote timeout
+   * @param {string} [options.programId] - On-chain swap program the transaction builder calls
+   * @param {number} [options.computeUnits] - Compute units a swap instruction typically consumes
+   */
+  constructor({ name, fee, supportedPairs = ['*'], quoteTimeoutMs, programId, computeUnits }) {
+    if (!name) throw new Error('DEX adapter requires a name');
+    this.name = name;
+    this.fee = fee;
+    this.supportedPairs = supportedPairs;
+    this.quoteTimeoutMs = quoteTimeoutMs;
+    this.programId = programId;
+    this.computeUnits = computeUnits;
+  }
+
+  /**
+   * Whether this venue trades the pair (either direction)
+   */
+  supportsPair(tokenIn, tokenOut) {
+    if (this.supportedPairs.includes('*')) return true;
+    return this.supportedPairs.includes(`${tokenIn}/${tokenOut}`) ||
+      this.supportedPairs.includes(`${tokenOut}/${tokenIn}`);
+  }
+
+  /**
+   * Quote a swap → { dex, price, fee, liquidity? }
+   * price is tokenIn per tokenOut before impact; liquidity is depth in tokenIn
+   */
+  async quote(tokenIn, tokenOut, amountIn) {
+    throw new Error(`${this.name}: quote() not implemented`);
+  }
+
+  /**
+   * Execute a swap against a quote → { txHash, executedPrice }
+   */
+  async execute(order, quote) {
+    throw new Error(`${this.name}: execute() not implemented`);
+  }
+
+  /**
+   * Venue health → { dex, healthy, latencyMs, error? }
+   */
+  async health() {
+    return { dex: this.name, healthy: true, latencyMs: 0 };
+  }
+}
+
+module.exports = DexAdapter;
@@ -0,0 +1,90 @@
+/**
+ * DEX Venue Configuration
+ * Built-in mock venue presets, selected and overridden via environment:
+ * (liquidity is pool depth in USD per side, priceRange the venue's skew
+ * around the simulated market's reference price; see market.js. programId and
+ * computeUnits describe the swap instruction for the transaction builder)
+ *   DEX_ADAPTERS=raydium,meteora,orca        enabled venues (in order)
+ *   DEX_QUOTE_TIMEOUT_MS=1000                default per-adapter quote timeout
+ *   DEX_CONFIG='{"orca":{"fee":0.002}}'      per-venue overrides or new venues
+ */
+
+const VENUE_PRESETS = {
+  raydium: {
+    type: 'mock',
+    programId: '675kPX9MHTjS2zt1qfr1NYHuzeLXfQM9H24wFSUt1Mp8',
+    computeUnits: 90000,
+    fee: 0.003,
+    liquidity: 5000000,
+    priceRange: [0.995, 1.005],
+  },
+  meteora: {
+    type: 'mock',
+    programId: 'LBUZKhRxPF3XUpBCjp4YzTKgLccjZhTSDM9YuVaPwxo',
+    computeUnits: 140000,
+    fee: 0.002,
+    liquidity: 2000000,
+    priceRange: [0.99, 1.005],
+  },
+  orca: {
+    type: 'mock',
+    programId: 'whirLbMiicVdio4qvUfM5KAg6Ct8VwpYzGff3uctyCc',
+    computeUnits: 120000,
+    fee: 0.0025,
+    liquidity: 3500000,
+    priceRange: [0.993, 1.005],
+  },
+  phoenix: {
+    type: 'mock',
+    programId: 'PhoeNiXZ8ByJGLkxNfZRnkUfjvmuYqLR89jjFHGqdXY',
+    computeUnits: 60000,
+    fee: 0.001,
+    liquidity: 1500000,
+    priceRange: [0.996, 1.006],
+    supportedPairs: ['SOL/USDC', 'ETH/USDC', 'BTC/USDC'],
+  },
+};
+
+const DEFAULT_ADAPTERS = 'raydium,meteora';
+const DEFAULT_QUOTE_TIMEOUT_MS = 1000;
+
+/**
+ * Resolve venue definitions from env
+ * Returns { quoteTimeoutMs, venues: [{ name, type, ...options }] }
+ */
+function loadDexConfig(env = process.env) {
+  let overrides = {};
+  if (env.DEX_CONFIG) {
+    try {
+      overrides = JSON.parse(env.DEX_CONFIG);
+    } catch (err) {
+      throw new Error(`Invalid DEX_CONFIG JSON: ${err.message}`);
+    }
+  }
+
+  const names = (env.DEX_ADAPTERS || DEFAULT_ADAPTERS)
+    .split(',')
+    .map((name) => name.trim().toLowerCase())
+    .filter(Boolean);
+
+  const venues = names.map((name) => {
+    const preset = VENUE_PRESETS[name];
+    const override = overrides[name];
+    if (!preset && !override) {
+      throw new Error(`Unknown DEX adapter '${name}' (add it to DEX_CONFIG)`);
+    }
+    return { name, type: 'mock', ...preset, ...override };
+  });
+
+  return {
+    quoteTimeoutMs: parseInt(env.DEX_QUOTE_TIMEOUT_MS || String(DEFAULT_QUOTE_TIMEOUT_MS), 10),
+    venues,
+  };
+}
+
+module.exports = {
+  VENUE_PRESETS,
+  DEFAULT_ADAPTERS,
+  DEFAULT_QUOTE_TIMEOUT_MS,
+  loadDexConfig,
+};
@@ -0,0 +1,42 @@
+/**
+ * DEX Module
+ * Adapter interface, registry, router, and the simulated market behind mock venues
+ */
+
+const DexAdapter = require('./adapter');
+const MockDexAdapter = require('./mock-adapter');
+const { VENUE_PRESETS, loadDexConfig } = require('./config');
+const { DexRegistry, createRegistry, ADAPTER_TYPES } = require('./registry');
+const { DexRouter, withTimeout } = require('./router');
+const { SimulatedMarket, createMarket, loadMarketConfig, shareMarketSeed, usdValue } = require('./market');
+const routing = require('./routing');
+const split = require('./split');
+
+/**
+ * Build a router for the venues configured in env, over a market seeded by MARKET_SEED
+ */
+function createRouter(env = process.env) {
+  const { venues, quoteTimeoutMs } = loadDexConfig(env);
+  const market = createMarket(loadMarketConfig(env));
+  return new DexRouter(createRegistry(venues, { market }), { quoteTimeoutMs, market });
+}
+
+module.exports = {
+  DexAdapter,
+  MockDexAdapter,
+  DexRegistry,
+  DexRouter,
+  ADAPTER_TYPES,
+  VENUE_PRESETS,
+  loadDexConfig,
+  createRegistry,
+  createRouter,
+  withTimeout,
+  SimulatedMarket,
+  createMarket,
+  loadMarketConfig,
+  shareMarketSeed,
+  usdValue,
+  routing,
+  split,
+};
@@ -0,0 +1,290 @@
+/**
+ * Simulated Market
+ * Deterministic price and liquidity model behind the mock venues
+ *
+ *   - every pair has a reference price (tokenIn per tokenOut) that follows a
+ *     geometric random walk, one step per quote or swap on that pair, pulled
+ *     gently back to its starting price so separate processes (server quotes,
+ *     worker fills) seeded alike stay close
+ *   - every venue holds a constant-product pool (x * y = k) per pair, sized by
+ *     its USD depth and kept near the reference (times a drifting venue skew)
+ *     by arbitrage, so output depends on amountIn
+ *   - latency, failures and tx hashes are drawn from the same seeded streams
+ *
+ * Random streams are split per pair and per venue, so a given MARKET_SEED
+ * replays the same prices, fills and failures for the same sequence of orders
+ *
+ * The server quotes and the worker fills on markets of their own, so both must
+ * share one seed: without MARKET_SEED, the first process to start stores its
+ * random seed in Redis and the others adopt it (see shareMarketSeed)
+ *
+ * Configured via environment:
+ *   MARKET_SEED=42                                    reproducible run (random when unset)
+ *   MARKET_CONFIG='{"volatility":0.001,"referencePrices":{"JUP":0.8}}'
+ */
+
+const crypto = require('crypto');
+
+// Starting USD value per token; pair references are ratios of these
+const DEFAULT_REFERENCE_PRICES = {
+  SOL: 150,
+  USDC: 1,
+  USDT: 1,
+  ETH: 3000,
+  BTC: 60000,
+  BONK: 0.00002,
+};
+
+const DEFAULT_VOLATILITY = 0.0005; // stddev of log price per step
+const DEFAULT_MEAN_REVERSION = 0.01; // share of the log distance to the start price recovered per step
+const DEFAULT_SKEW_STEP = 0.001; // max venue skew move per step
+const DEFAULT_LIQUIDITY_USD = 1000000; // per side, for venues without their own depth
+
+const SHARED_SEED_KEY = 'market:seed';
+
+/**
+ * Seeded PRNG (mulberry32) → function returning floats in [0, 1)
+ * String seeds are hashed, so 'run-1' and 42 are both valid
+ */
+function createRng(seed) {
+  let state = crypto.createHash('sha256').update(String(seed)).digest().readUInt32LE(0);
+  return function next() {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Standard normal draw (Box-Muller)
+ */
+function gaussian(rng) {
+  const u = Math.max(rng(), Number.EPSILON);
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * rng());
+}
+
+function parseMarketConfig(env) {
+  if (!env.MARKET_CONFIG) return {};
+  try {
+    return JSON.parse(env.MARKET_CONFIG);
+  } catch (err) {
+    throw new Error(`Invalid MARKET_CONFIG JSON: ${err.message}`);
+  }
+}
+
+/**
+ * Resolve market settings from env
+ * Returns { seed, referencePrices, ...MARKET_CONFIG } (see SimulatedMarket options)
+ */
+function loadMarketConfig(env = process.env) {
+  const config = parseMarketConfig(env);
+  return {
+    ...config,
+    seed: env.MARKET_SEED || config.seed || crypto.randomBytes(4).readUInt32LE(0),
+    referencePrices: { ...DEFAULT_REFERENCE_PRICES, ...config.referencePrices },
+  };
+}
+
+/**
+ * Give a market the seed every process on this Redis uses
+ * A seed set in env is kept; otherwise the first process stores its random
+ * seed (SET NX) and later ones reseed to it. Call before the market is used
+ * Returns the seed
+ */
+async function shareMarketSeed(redis, market, env = process.env) {
+  if (env.MARKET_SEED || parseMarketConfig(env).seed !== undefined) return market.seed;
+  await redis.set(SHARED_SEED_KEY, String(market.seed), 'NX');
+  const shared = await redis.get(SHARED_SEED_KEY);
+  if (shared !== String(market.seed)) market.reseed(shared);
+  return market.seed;
+}
+
+class SimulatedMarket {
+  /**
+   * @param {object} [options]
+   * @param {string|number} [options.seed] - Seed for every random stream
+   * @param {object} [options.referencePrices] - Starting USD value per token symbol
+   * @param {number} [options.volatility] - Stddev of each log-price step
+   * @param {number} [options.meanReversion] - Pull (0-1) back to the starting price per step
+   * @param {number} [options.skewStep] - Max move of a venue's skew per step
+   * @param {number} [options.latencyScale] - Multiplier on venue latencies (0 = instant)
+   * @param {number} [options.failureRate] - Failure probability for venues without their own
+   */
+  constructor(options = {}) {
+    this.seed = options.seed === undefined ? 0 : options.seed;
+    this.referencePrices = { ...DEFAULT_REFERENCE_PRICES, ...options.referencePrices };
+    this.volatility = options.volatility === undefined ? DEFAULT_VOLATILITY : options.volatility;
+    this.meanReversion = options.meanReversion === undefined ? DEFAULT_MEAN_REVERSION : options.meanReversion;
+    this.skewStep = options.skewStep === undefined ? DEFAULT_SKEW_STEP : options.skewStep;
+    this.latencyScale = options.latencyScale === undefined ? 1 : options.latencyScale;
+    this.failureRate = options.failureRate || 0;
+
+    this.streams = new Map();
+    this.pairs = new Map(); // 'A/B' → reference price of B in A
+    this.pools = new Map(); // 'venue:A/B' → { reserves: { A, B }, skew }
+  }
+
+  /**
+   * Start over from a new seed, with fresh prices and pools
+   */
+  reseed(seed) {
+    this.seed = seed;
+    this.streams.clear();
+    this.pairs.clear();
+    this.pools.clear();
+  }
+
+  /**
+   * Independent random stream per purpose, e.g. 'walk:BTC/USDC' or 'venue:raydium'
+   */
+  stream(name) {
+    if (!this.streams.has(name)) this.streams.set(name, createRng(`${this.seed}:${name}`));
+    return this.streams.get(name);
+  }
+
+  usdPrice(token) {
+    const price = this.referencePrices[token];
+    if (!price) throw new Error(`No reference price for ${token} (add it to MARKET_CONFIG.referencePrices)`);
+    return price;
+  }
+
+  /**
+   * Pairs are stored once, in alphabetical order
+   */
+  canonicalPair(tokenIn, tokenOut) {
+    const [a, b] = [tokenIn, tokenOut].sort();
+    return { key: `${a}/${b}`, a, b, inverted: a !== tokenIn };
+  }
+
+  /**
+   * Advance a pair's reference one random-walk step, returns B priced in A
+   */
+  stepPair(tokenIn, tokenOut) {
+    const { key, a, b } = this.canonicalPair(tokenIn, tokenOut);
+    const start = this.usdPrice(b) / this.usdPrice(a);
+    const current = this.pairs.has(key) ? this.pairs.get(key) : start;
+    const pull = this.meanReversion * Math.log(start / current);
+    const next = current * Math.exp(pull + this.volatility * gaussian(this.stream(`walk:${key}`)));
+    this.pairs.set(key, next);
+    return next;
+  }
+
+  /**
+   * Current reference price in tokenIn per tokenOut, without stepping
+   */
+  referencePrice(tokenIn, tokenOut) {
+    const { key, a, b, inverted } = this.canonicalPair(tokenIn, tokenOut);
+    const price = this.pairs.has(key) ? this.pairs.get(key) : this.usdPrice(b) / this.usdPrice(a);
+    return inverted ? 1 / price : price;
+  }
+
+  /**
+   * Step the pair, then let arbitrage re-centre the venue's pool on the
+   * reference times its skew (k is kept, so depth is unchanged)
+   */
+  syncPool(venue, tokenIn, tokenOut) {
+    const { key, a, b } = this.canonicalPair(tokenIn, tokenOut);
+    const rng = this.stream(`venue:${venue.name}`);
+    const reference = this.stepPair(tokenIn, tokenOut);
+    const [minSkew, maxSkew] = venue.priceRange || [1, 1];
+
+    let pool = this.pools.get(`${venue.name}:${key}`);
+    if (!pool) {
+      const depthUsd = venue.liquidity || DEFAULT_LIQUIDITY_USD;
+      pool = {
+        reserves: { [a]: depthUsd / this.usdPrice(a), [b]: depthUsd / this.usdPrice(b) },
+        skew: minSkew + rng() * (maxSkew - minSkew),
+      };
+      this.pools.set(`${venue.name}:${key}`, pool);
+    } else {
+      const drift = (rng() * 2 - 1) * this.skewStep;
+      pool.skew = Math.min(maxSkew, Math.max(minSkew, pool.skew + drift));
+    }
+
+    // Spot price of b in a is reserves[a] / reserves[b]
+    const k = pool.reserves[a] * pool.reserves[b];
+    const target = reference * pool.skew;
+    pool.reserves[a] = Math.sqrt(k * target);
+    pool.reserves[b] = Math.sqrt(k / target);
+    return pool;
+  }
+
+  /**
+   * Spot price (tokenIn per tokenOut) and depth (tokenIn reserve) of a venue's pool
+   */
+  quote(venue, tokenIn, tokenOut) {
+    const pool = this.syncPool(venue, tokenIn, tokenOut);
+    return {
+      price: pool.reserves[tokenIn] / pool.reserves[tokenOut],
+      liquidity: pool.reserves[tokenIn],
+    };
+  }
+
+  /**
+   * Swap amountIn through the pool: out = y * dx / (x + dx), before the venue fee
+   * Returns { amountOut, executedPrice } with executedPrice in tokenIn per tokenOut
+   */
+  swap(venue, tokenIn, tokenOut, amountIn) {
+    const pool = this.syncPool(venue, tokenIn, tokenOut);
+    const dx = Number(amountIn);
+    const x = pool.reserves[tokenIn];
+    const y = pool.reserves[tokenOut];
+    const amountOut = (y * dx) / (x + dx);
+
+    pool.reserves[tokenIn] = x + dx;
+    pool.reserves[tokenOut] = y - amountOut;
+    return { amountOut, executedPrice: dx / amountOut };
+  }
+
+  /**
+   * Latency draw in ms for a [min, max] range, scaled by latencyScale
+   * Each action ('quote', 'swap', 'health') has its own stream, so health
+   * checks don't shift the draws of a replayed run
+   */
+  latency(venue, [min, max], action) {
+    return (min + this.stream(`latency:${venue.name}:${action}`)() * (max - min)) * this.latencyScale;
+  }
+
+  /**
+   * Whether a venue action fails, using the venue's failureRate or the market default
+   */
+  shouldFail(venue, action) {
+    const rate = venue.failureRate === undefined ? this.failureRate : venue.failureRate;
+    return this.stream(`failure:${venue.name}:${action}`)() < rate;
+  }
+
+  /**
+   * Seeded transaction hash
+   */
+  txHash(venue) {
+    const rng = this.stream(`tx:${venue.name}`);
+    return Array.from({ length: 32 }, () => Math.floor(rng() * 16).toString(16)).join('');
+  }
+}
+
+/**
+ * USD value of an amount of a token at the reference prices, null if it has none
+ * Risk limits and the notional rate limit count order sizes in this unit
+ */
+function usdValue(amount, token, referencePrices = DEFAULT_REFERENCE_PRICES) {
+  const price = referencePrices[token];
+  return price ? Number(amount) * price : null;
+}
+
+function createMarket(options) {
+  return new SimulatedMarket(options);
+}
+
+module.exports = {
+  DEFAULT_REFERENCE_PRICES,
+  SHARED_SEED_KEY,
+  createRng,
+  gaussian,
+  loadMarketConfig,
+  shareMarketSeed,
+  usdValue,
+  SimulatedMarket,
+  createMarket,
+};
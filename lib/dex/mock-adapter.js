@@ -0,0 +1,72 @@
+/**
+ * Mock DEX Adapter
+ * Simulated venue backed by the shared SimulatedMarket: constant-product pools
+ * per pair, seeded latency and failure injection
+ */
+
+const DexAdapter = require('./adapter');
+const { createMarket } = require('./market');
+const { VenueUnavailableError } = require('../errors');
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+class MockDexAdapter extends DexAdapter {
+  /**
+   * @param {object} options - DexAdapter options plus:
+   * @param {SimulatedMarket} [options.market] - Shared market (a private one with seed 0 otherwise)
+   * @param {number[]} [options.priceRange] - [min, max] venue skew around the pair's reference price
+   * @param {number} [options.liquidity] - Pool depth in USD per side, drives price impact
+   * @param {number[]} [options.quoteLatencyMs] - [min, max] quote latency
+   * @param {number[]} [options.executeLatencyMs] - [min, max] swap latency
+   * @param {number} [options.failureRate] - Probability (0-1) a quote or swap throws (market default otherwise)
+   */
+  constructor(options) {
+    super(options);
+    this.market = options.market || createMarket();
+    this.priceRange = options.priceRange || [0.98, 1.02];
+    this.liquidity = options.liquidity || null;
+    this.quoteLatencyMs = options.quoteLatencyMs || [200, 400];
+    this.executeLatencyMs = options.executeLatencyMs || [2000, 3000];
+    this.failureRate = options.failureRate;
+  }
+
+  maybeFail(action) {
+    if (this.market.shouldFail(this, action)) {
+      throw new VenueUnavailableError(`${this.name} ${action} failed (simulated)`);
+    }
+  }
+
+  async quote(tokenIn, tokenOut, amountIn) {
+    await sleep(this.market.latency(this, this.quoteLatencyMs, 'quote'));
+    this.maybeFail('quote');
+    const { price, liquidity } = this.market.quote(this, tokenIn, tokenOut);
+    return { price, fee: this.fee, dex: this.name, liquidity };
+  }
+
+  /**
+   * Swap through the venue's pool at execution time, so the fill reflects
+   * market moves since the quote and the order's own impact
+   */
+  async execute(order) {
+    await sleep(this.market.latency(this, this.executeLatencyMs, 'swap'));
+    this.maybeFail('swap');
+    const txHash = this.market.txHash(this);
+    const { executedPrice } = this.market.swap(this, order.tokenIn, order.tokenOut, order.amountIn);
+    return { txHash, executedPrice };
+  }
+
+  async health() {
+    const start = Date.now();
+    try {
+      await sleep(this.market.latency(this, this.quoteLatencyMs, 'health') / 4);
+      this.maybeFail('health');
+      return { dex: this.name, healthy: true, latencyMs: Date.now() - start };
+    } catch (err) {
+      return { dex: this.name, healthy: false, latencyMs: Date.now() - start, error: err.message };
+    }
+  }
+}
+
+module.exports = MockDexAdapter;
@@ -0,0 +1,60 @@
+/**
+ * DEX Adapter Registry
+ * Holds the enabled venues; built from config so new venues need no worker changes
+ */
+
+const MockDexAdapter = require('./mock-adapter');
+const { createMarket } = require('./market');
+
+const ADAPTER_TYPES = {
+  mock: MockDexAdapter,
+};
+
+class DexRegistry {
+  constructor() {
+    this.adapters = new Map();
+  }
+
+  register(adapter) {
+    if (this.adapters.has(adapter.name)) {
+      throw new Error(`DEX adapter '${adapter.name}' already registered`);
+    }
+    this.adapters.set(adapter.name, adapter);
+    return this;
+  }
+
+  get(name) {
+    return this.adapters.get(name) || null;
+  }
+
+  list() {
+    return Array.from(this.adapters.values());
+  }
+
+  /**
+   * Adapters that trade the given pair
+   */
+  forPair(tokenIn, tokenOut) {
+    return this.list().filter((adapter) => adapter.supportsPair(tokenIn, tokenOut));
+  }
+}
+
+/**
+ * Build a registry from venue definitions (see config.js)
+ * Mock venues share one simulated market, so they quote the same reference prices
+ */
+function createRegistry(venues, { market = createMarket() } = {}) {
+  const registry = new DexRegistry();
+  venues.forEach((venue) => {
+    const Adapter = ADAPTER_TYPES[venue.type || 'mock'];
+    if (!Adapter) throw new Error(`Unknown DEX adapter type '${venue.type}' for ${venue.name}`);
+    registry.register(new Adapter({ market, ...venue }));
+  });
+  return registry;
+}
+
+module.exports = {
+  ADAPTER_TYPES,
+  DexRegistry,
+  createRegistry,
+};
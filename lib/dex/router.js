@@ -0,0 +1,148 @@
+/**
+ * DEX Router
+ * Fans quotes out to every venue that trades the pair, with per-adapter timeouts
+ * so one slow venue can't stall the order
+ */
+
+const { DEFAULT_QUOTE_TIMEOUT_MS } = require('./config');
+const { rankQuotes, routingSummary } = require('./routing');
+const {
+  ERROR_CLASSES,
+  QuoteTimeoutError,
+  VenueUnavailableError,
+  InsufficientLiquidityError,
+} = require('../errors');
+
+/**
+ * Reject with a QuoteTimeoutError if the promise doesn't settle within ms
+ */
+function withTimeout(promise, ms, label) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new QuoteTimeoutError(`${label} timed out after ${ms}ms`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+class DexRouter {
+  /**
+   * @param {DexRegistry} registry
+   * @param {object} [options]
+   * @param {number} [options.quoteTimeoutMs] - Default per-adapter quote timeout
+   * @param {SimulatedMarket} [options.market] - Market behind the mock venues, if any
+   */
+  constructor(registry, { quoteTimeoutMs = DEFAULT_QUOTE_TIMEOUT_MS, market = null } = {}) {
+    this.registry = registry;
+    this.quoteTimeoutMs = quoteTimeoutMs;
+    this.market = market;
+  }
+
+  /**
+   * Quote every venue for the pair in parallel
+   * Returns { quotes, failures } — timeouts and errors land in failures as
+   * { dex, error, errorClass }
+   */
+  async getQuotes(tokenIn, tokenOut, amountIn) {
+    const adapters = this.registry.forPair(tokenIn, tokenOut);
+
+    const results = await Promise.allSettled(adapters.map((adapter) => withTimeout(
+      adapter.quote(tokenIn, tokenOut, amountIn),
+      adapter.quoteTimeoutMs || this.quoteTimeoutMs,
+      `${adapter.name} quote`
+    )));
+
+    const quotes = [];
+    const failures = [];
+    results.forEach((result, i) => {
+      const dex = adapters[i].name;
+      if (result.status === 'rejected') {
+        const errorClass = result.reason instanceof QuoteTimeoutError
+          ? ERROR_CLASSES.QUOTE_TIMEOUT
+          : ERROR_CLASSES.VENUE_UNAVAILABLE;
+        failures.push({ dex, error: result.reason.message, errorClass });
+      } else {
+        quotes.push(result.value);
+      }
+    });
+
+    return { quotes, failures };
+  }
+
+  /**
+   * Pick the quote with the best net output for amountIn (see routing.js)
+   */
+  selectBest(quotes, amountIn) {
+    if (!quotes.length) return null;
+    return rankQuotes(quotes, amountIn)[0];
+  }
+
+  /**
+   * Quote all venues and rank them
+   * Returns { ranked, failures, summary } — summary is the audit record for the order
+   */
+  async route(tokenIn, tokenOut, amountIn) {
+    const { quotes, failures } = await this.getQuotes(tokenIn, tokenOut, amountIn);
+    const ranked = rankQuotes(quotes, amountIn);
+    return { ranked, failures, summary: routingSummary(ranked, failures, amountIn) };
+  }
+
+  /**
+   * Typed error for a pair no venue could quote: QuoteTimeoutError when every
+   * venue timed out, VenueUnavailableError otherwise
+   */
+  noQuotesError(tokenIn, tokenOut, failures) {
+    const detail = failures.map((f) => `${f.dex}: ${f.error}`).join('; ');
+    const message = `No DEX quotes available for ${tokenIn}/${tokenOut}${detail ? ` (${detail})` : ''}`;
+    const allTimedOut = failures.length > 0 && failures.every((f) => f.errorClass === ERROR_CLASSES.QUOTE_TIMEOUT);
+    return allTimedOut ? new QuoteTimeoutError(message) : new VenueUnavailableError(message);
+  }
+
+  /**
+   * InsufficientLiquidityError when amountIn exceeds the combined depth of the
+   * quoting venues (even a split can't fill it), else null
+   * Venues that don't report liquidity are treated as unbounded
+   */
+  liquidityError(quotes, tokenIn, tokenOut, amountIn) {
+    if (!quotes.length || quotes.some((q) => !q.liquidity)) return null;
+    const depth = quotes.reduce((sum, q) => sum + q.liquidity, 0);
+    if (Number(amountIn) <= depth) return null;
+    return new InsufficientLiquidityError(
+      `amountIn ${amountIn} exceeds the combined ${tokenIn}/${tokenOut} depth of ${depth} across ${quotes.length} venue(s)`
+    );
+  }
+
+  /**
+   * Quote all venues and return the best, throws if none answered
+   */
+  async getBestQuote(tokenIn, tokenOut, amountIn) {
+    const { quotes, failures } = await this.getQuotes(tokenIn, tokenOut, amountIn);
+    const best = this.selectBest(quotes, amountIn);
+    if (!best) throw this.noQuotesError(tokenIn, tokenOut, failures);
+    return best;
+  }
+
+  /**
+   * Execute on the venue that produced the quote
+   */
+  async executeSwap(order, quote) {
+    const adapter = this.registry.get(quote.dex);
+    if (!adapter) throw new VenueUnavailableError(`DEX adapter '${quote.dex}' not registered`);
+    return adapter.execute(order, quote);
+  }
+
+  /**
+   * Health of every registered venue
+   */
+  async health() {
+    return Promise.all(this.registry.list().map((adapter) => withTimeout(
+      adapter.health(),
+      adapter.quoteTimeoutMs || this.quoteTimeoutMs,
+      `${adapter.name} health`
+    ).catch((err) => ({ dex: adapter.name, healthy: false, error: err.message }))));
+  }
+}
+
+module.exports = {
+  DexRouter,
+  withTimeout,
+};
@@ -0,0 +1,76 @@
+/**
+ * Best-Execution Routing
+ * Ranks venue quotes by net output after price impact and fees
+ *
+ * Quotes carry a price in tokenIn per tokenOut and the venue's depth
+ * (liquidity, in tokenIn). Impact follows constant-product math: filling
+ * amountIn against reserve x moves the average price by amountIn / x.
+ */
+
+/**
+ * Price impact for an order of amountIn against a venue's liquidity
+ */
+function priceImpact(amountIn, liquidity) {
+  if (!liquidity || !Number.isFinite(liquidity)) return 0;
+  return Number(amountIn) / liquidity;
+}
+
+/**
+ * Full breakdown for one quote at the given order size
+ */
+function evaluateQuote(quote, amountIn) {
+  const amount = Number(amountIn);
+  const impact = priceImpact(amount, quote.liquidity);
+  const effectivePrice = quote.price * (1 + impact);
+  const grossOut = amount / effectivePrice;
+  const feeAmount = grossOut * quote.fee;
+
+  return {
+    ...quote,
+    priceImpact: impact,
+    effectivePrice,
+    grossOut,
+    feeAmount,
+    netOut: grossOut - feeAmount,
+  };
+}
+
+/**
+ * Evaluate and sort quotes, best net output first
+ */
+function rankQuotes(quotes, amountIn) {
+  return quotes
+    .map((quote) => evaluateQuote(quote, amountIn))
+    .sort((a, b) => b.netOut - a.netOut);
+}
+
+/**
+ * Audit record of a routing decision (stored on the order)
+ */
+function routingSummary(ranked, failures, amountIn) {
+  const round = (n) => Number(n.toFixed(8));
+  return {
+    criteria: 'net_output',
+    amountIn: Number(amountIn),
+    chosen: ranked.length ? ranked[0].dex : null,
+    venues: ranked.map((q) => ({
+      dex: q.dex,
+      price: round(q.price),
+      priceImpact: round(q.priceImpact),
+      effectivePrice: round(q.effectivePrice),
+      fee: q.fee,
+      grossOut: round(q.grossOut),
+      feeAmount: round(q.feeAmount),
+      netOut: round(q.netOut),
+    })),
+    failures,
+    decidedAt: new Date().toISOString(),
+  };
+}
+
+module.exports = {
+  priceImpact,
+  evaluateQuote,
+  rankQuotes,
+  routingSummary,
+};
@@ -0,0 +1,140 @@
+/**
+ * Split Routing
+ * Divides a large order across venues by quoted depth, and aggregates leg fills
+ *
+ * Allocation is greedy: the order is cut into equal slices and each slice goes
+ * to the venue whose net output grows the most from it. Because impact rises with
+ * the amount already sent to a venue, deep venues absorb more of the order.
+ *
+ * The size threshold is in USD at the market reference prices, like the risk
+ * limits, so it means the same for SOL as for BONK. Every leg is a transaction
+ * of its own, so a split must also out-earn the network fees of its extra legs
+ */
+
+const amounts = require('../amounts');
+const { evaluateQuote } = require('./routing');
+const { DEFAULT_REFERENCE_PRICES, usdValue } = require('./market');
+
+const DEFAULT_SPLIT_CHUNKS = 20;
+const DEFAULT_SPLIT_MIN_AMOUNT = 10000; // USD
+const DEFAULT_MAX_LEGS = 4;
+
+/**
+ * Plan child fills across quotes
+ * Returns { legs: [{ dex, amountIn, quote }], netOut } with each leg's quote
+ * evaluated at that leg's size
+ */
+function planSplit(quotes, amountIn, { chunks = DEFAULT_SPLIT_CHUNKS, maxLegs = DEFAULT_MAX_LEGS } = {}) {
+  const total = Number(amountIn);
+  const slice = total / chunks;
+  const allocation = new Map(quotes.map((q) => [q.dex, 0]));
+  const byDex = new Map(quotes.map((q) => [q.dex, q]));
+
+  const netAt = (quote, amount) => (amount > 0 ? evaluateQuote(quote, amount).netOut : 0);
+
+  for (let i = 0; i < chunks; i++) {
+    const used = Array.from(allocation.values()).filter((a) => a > 0).length;
+    let bestDex = null;
+    let bestGain = -Infinity;
+
+    quotes.forEach((quote) => {
+      const current = allocation.get(quote.dex);
+      if (current === 0 && used >= maxLegs) return; // no room for another venue
+      const gain = netAt(quote, current + slice) - netAt(quote, current);
+      if (gain > bestGain) {
+        bestGain = gain;
+        bestDex = quote.dex;
+      }
+    });
+
+    allocation.set(bestDex, allocation.get(bestDex) + slice);
+  }
+
+  const legs = Array.from(allocation.entries())
+    .filter(([, amount]) => amount > 0)
+    .map(([dex, amount]) => ({ dex, amountIn: amount, quote: evaluateQuote(byDex.get(dex), amount) }))
+    .sort((a, b) => b.amountIn - a.amountIn);
+
+  return {
+    legs,
+    netOut: legs.reduce((sum, leg) => sum + leg.quote.netOut, 0),
+  };
+}
+
+/**
+ * A network cost in lamports valued in tokenOut (through SOL at the reference
+ * prices), null when tokenOut has no price
+ */
+function networkCostIn(lamports, tokenOut, referencePrices = DEFAULT_REFERENCE_PRICES) {
+  if (!lamports) return 0;
+  const usd = usdValue(amounts.fromUnits(BigInt(lamports), 'SOL'), 'SOL', referencePrices);
+  const price = referencePrices[tokenOut];
+  return usd !== null && price ? usd / price : null;
+}
+
+/**
+ * Whether splitting beats the best single venue for this order
+ * ranked is the output of rankQuotes (best first); options.minAmount is in USD,
+ * valued at options.referencePrices. Tokens without a price never split
+ * options.legCost(dex) is the network cost in lamports of one transaction on a
+ * venue; the plan is returned with networkCost, the legs' total in tokenOut
+ */
+function chooseSplit(ranked, order, options = {}) {
+  const minAmount = options.minAmount === undefined ? DEFAULT_SPLIT_MIN_AMOUNT : options.minAmount;
+  const referencePrices = options.referencePrices || DEFAULT_REFERENCE_PRICES;
+  const value = usdValue(order.amountIn, order.tokenIn, referencePrices);
+  if (order.allowSplit === false || ranked.length < 2 || value === null || value < minAmount) {
+    return null;
+  }
+
+  const plan = planSplit(ranked, order.amountIn, options);
+  if (plan.legs.length < 2) return null;
+
+  const legCost = options.legCost || (() => 0);
+  const costOf = (dexes) => {
+    const costs = dexes.map((dex) => networkCostIn(legCost(dex), order.tokenOut, referencePrices));
+    return costs.includes(null) ? null : costs.reduce((sum, cost) => sum + cost, 0);
+  };
+  const networkCost = costOf(plan.legs.map((leg) => leg.dex));
+  const singleCost = costOf([ranked[0].dex]);
+  if (networkCost === null || singleCost === null) return null;
+  if (plan.netOut - networkCost <= ranked[0].netOut - singleCost) return null;
+  return { ...plan, networkCost };
+}
+
+/**
+ * Aggregate leg results into the parent's fill
+ * Legs are { amountIn, status: 'filled' | 'failed', executedPrice, fee }
+ * vwap is in tokenIn per tokenOut, weighted by the tokenOut each leg received
+ */
+function aggregateFills(legs) {
+  const filled = legs.filter((leg) => leg.status === 'filled');
+  const filledAmountIn = filled.reduce((sum, leg) => sum + leg.amountIn, 0);
+  const grossOut = filled.reduce((sum, leg) => sum + leg.amountIn / leg.executedPrice, 0);
+  const feeAmount = filled.reduce((sum, leg) => sum + (leg.amountIn / leg.executedPrice) * leg.fee, 0);
+
+  let state = 'none';
+  if (filled.length === legs.length && legs.length > 0) state = 'filled';
+  else if (filled.length > 0) state = 'partial';
+
+  return {
+    state,
+    filledAmountIn,
+    grossOut,
+    feeAmount,
+    amountOut: grossOut - feeAmount,
+    vwap: grossOut > 0 ? filledAmountIn / grossOut : null,
+    legsFilled: filled.length,
+    legsTotal: legs.length,
+  };
+}
+
+module.exports = {
+  DEFAULT_SPLIT_CHUNKS,
+  DEFAULT_SPLIT_MIN_AMOUNT,
+  DEFAULT_MAX_LEGS,
+  planSplit,
+  networkCostIn,
+  chooseSplit,
+  aggregateFills,
+};
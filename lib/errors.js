@@ -0,0 +1,162 @@
+/**
+ * Order Execution Errors
+ * Every failure the worker can hit belongs to a class with its own retry policy:
+ *
+ *   quote_timeout           venues too slow to quote          retried, short backoff
+ *   venue_unavailable       venue errors, nothing quoted      retried, longer backoff
+ *   quote_expired           signed quote's window has passed  final
+ *   slippage                fill outside tolerance            final
+ *   insufficient_liquidity  order deeper than every pool      final
+ *   invalid_order           payload fails the schema          final
+ *   transaction_expired     tx never landed before blockhash  retried, default backoff
+ *                           expiry, even after resubmission
+ *   unknown                 anything else                     retried, default backoff
+ *
+ * Final classes extend BullMQ's UnrecoverableError so the job fails at once
+ * (SlippageError lives in slippage.js, InvalidOrderError in validation.js);
+ * the rest are retried with the delay from orderBackoffStrategy().
+ * InterruptedSubmissionError is classed unknown but is always final
+ */
+
+const { UnrecoverableError } = require('bullmq');
+
+const ERROR_CLASSES = {
+  QUOTE_TIMEOUT: 'quote_timeout',
+  VENUE_UNAVAILABLE: 'venue_unavailable',
+  QUOTE_EXPIRED: 'quote_expired',
+  SLIPPAGE: 'slippage',
+  INSUFFICIENT_LIQUIDITY: 'insufficient_liquidity',
+  INVALID_ORDER: 'invalid_order',
+  TRANSACTION_EXPIRED: 'transaction_expired',
+  UNKNOWN: 'unknown',
+};
+
+// Exponential: delayMs, 2x delayMs, 4x delayMs ... capped at maxDelayMs
+const RETRY_POLICIES = {
+  [ERROR_CLASSES.QUOTE_TIMEOUT]: { retryable: true, delayMs: 250, maxDelayMs: 2000 },
+  [ERROR_CLASSES.VENUE_UNAVAILABLE]: { retryable: true, delayMs: 1000, maxDelayMs: 8000 },
+  [ERROR_CLASSES.QUOTE_EXPIRED]: { retryable: false },
+  [ERROR_CLASSES.SLIPPAGE]: { retryable: false },
+  [ERROR_CLASSES.INSUFFICIENT_LIQUIDITY]: { retryable: false },
+  [ERROR_CLASSES.INVALID_ORDER]: { retryable: false },
+  [ERROR_CLASSES.TRANSACTION_EXPIRED]: { retryable: true, delayMs: 500, maxDelayMs: 4000 },
+  [ERROR_CLASSES.UNKNOWN]: { retryable: true, delayMs: 500, maxDelayMs: 8000 },
+};
+
+// Job backoff type resolved by the worker's backoffStrategy setting
+const BACKOFF_TYPE = 'error-class';
+
+/**
+ * No venue quoted within its timeout
+ */
+class QuoteTimeoutError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'QuoteTimeoutError';
+    this.errorClass = ERROR_CLASSES.QUOTE_TIMEOUT;
+  }
+}
+
+/**
+ * A venue failed to quote or swap, or no venue could quote at all
+ */
+class VenueUnavailableError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'VenueUnavailableError';
+    this.errorClass = ERROR_CLASSES.VENUE_UNAVAILABLE;
+  }
+}
+
+/**
+ * amountIn exceeds the depth of every venue for the pair — never retried
+ */
+class InsufficientLiquidityError extends UnrecoverableError {
+  constructor(message) {
+    super(message);
+    this.name = 'InsufficientLiquidityError';
+    this.errorClass = ERROR_CLASSES.INSUFFICIENT_LIQUIDITY;
+  }
+}
+
+/**
+ * Order placed against a signed quote reached submission after the quote expired
+ */
+class QuoteExpiredError extends UnrecoverableError {
+  constructor(message) {
+    super(message);
+    this.name = 'QuoteExpiredError';
+    this.errorClass = ERROR_CLASSES.QUOTE_EXPIRED;
+  }
+}
+
+/**
+ * The swap transaction never landed on chain, so nothing executed and the order can run again
+ */
+class TransactionExpiredError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'TransactionExpiredError';
+    this.errorClass = ERROR_CLASSES.TRANSACTION_EXPIRED;
+  }
+}
+
+/**
+ * A job BullMQ runs again found its order already submitted by an earlier,
+ * interrupted run: that transaction may still land, so the order must not swap again
+ */
+class InterruptedSubmissionError extends UnrecoverableError {
+  constructor(orderId) {
+    super(`Order ${orderId} was interrupted after submission and cannot be swapped again`);
+    this.name = 'InterruptedSubmissionError';
+    this.errorClass = ERROR_CLASSES.UNKNOWN;
+  }
+}
+
+function classifyError(err) {
+  return (err && RETRY_POLICIES[err.errorClass]) ? err.errorClass : ERROR_CLASSES.UNKNOWN;
+}
+
+function retryPolicy(err) {
+  return RETRY_POLICIES[classifyError(err)];
+}
+
+/**
+ * Whether BullMQ will run another attempt after `attempt` (1-based) fails
+ */
+function shouldRetry(err, attempt, maxAttempts) {
+  return retryPolicy(err).retryable && !(err instanceof UnrecoverableError) && attempt < maxAttempts;
+}
+
+/**
+ * Delay before the next attempt after `attemptsMade` failures, -1 for none
+ */
+function backoffDelay(err, attemptsMade) {
+  const policy = retryPolicy(err);
+  if (!policy.retryable || err instanceof UnrecoverableError) return -1;
+  return Math.min(policy.delayMs * 2 ** Math.max(0, attemptsMade - 1), policy.maxDelayMs);
+}
+
+/**
+ * BullMQ backoffStrategy (Worker settings) for jobs with backoff { type: BACKOFF_TYPE }
+ */
+function orderBackoffStrategy(attemptsMade, type, err) {
+  return backoffDelay(err, attemptsMade);
+}
+
+module.exports = {
+  ERROR_CLASSES,
+  RETRY_POLICIES,
+  BACKOFF_TYPE,
+  QuoteTimeoutError,
+  VenueUnavailableError,
+  InsufficientLiquidityError,
+  QuoteExpiredError,
+  TransactionExpiredError,
+  InterruptedSubmissionError,
+  classifyError,
+  retryPolicy,
+  shouldRetry,
+  backoffDelay,
+  orderBackoffStrategy,
+};
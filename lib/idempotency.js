@@ -0,0 +1,128 @@
+/**
+ * Idempotent Order Submission (Redis)
+ * Maps an Idempotency-Key / clientOrderId to the order it created, so client
+ * retries return the original order instead of placing a second swap
+ * Keys are scoped per account, so two accounts may use the same key
+ */
+
+const crypto = require('crypto');
+const redis = require('./redis-client');
+
+const IDEMPOTENCY_PREFIX = 'idem:';
+const IDEMPOTENCY_TTL = parseInt(process.env.IDEMPOTENCY_TTL || '86400', 10); // 24 hours
+const MAX_KEY_LENGTH = 255;
+
+/**
+ * JSON with sorted keys, so field order doesn't change the fingerprint
+ */
+function canonicalJson(value) {
+  if (Array.isArray(value)) return `[${value.map(canonicalJson).join(',')}]`;
+  if (value && typeof value === 'object') {
+    const keys = Object.keys(value).filter((k) => value[k] !== undefined).sort();
+    return `{${keys.map((k) => `${JSON.stringify(k)}:${canonicalJson(value[k])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * Fingerprint of an order payload
+ */
+function fingerprint(payload) {
+  return crypto.createHash('sha256').update(canonicalJson(payload)).digest('hex');
+}
+
+/**
+ * Resolve the idempotency key from the header or body
+ * Returns { key } (null when absent) or { error }
+ */
+function resolveKey(headerValue, data) {
+  const header = typeof headerValue === 'string' ? headerValue.trim() : '';
+  const clientOrderId = data && data.clientOrderId;
+
+  if (clientOrderId !== undefined && (typeof clientOrderId !== 'string' || !clientOrderId.trim())) {
+    return { error: 'clientOrderId must be a non-empty string' };
+  }
+  if (header && clientOrderId && header !== clientOrderId) {
+    return { error: 'Idempotency-Key header and clientOrderId differ' };
+  }
+
+  const key = header || (clientOrderId ? clientOrderId.trim() : null);
+  if (key && key.length > MAX_KEY_LENGTH) {
+    return { error: `idempotency key must be at most ${MAX_KEY_LENGTH} characters` };
+  }
+  return { key };
+}
+
+/**
+ * How to answer a repeated submission of a payload under a key already
+ * reserved for prior ({ orderId, fingerprint })
+ * status is the prior order's stored status, null until the first submission
+ * has saved it (or if it never does)
+ * Returns 'conflict' (payload changed), 'in_progress' or 'replay'
+ */
+function classifyReplay(prior, payloadFingerprint, status) {
+  if (prior.fingerprint !== payloadFingerprint) return 'conflict';
+  return status ? 'replay' : 'in_progress';
+}
+
+function redisKeyFor(accountId, key) {
+  return `${IDEMPOTENCY_PREFIX}${accountId}:${key}`;
+}
+
+/**
+ * Reserve a key for a new order
+ * Returns { reserved: true } or { reserved: false, record: { orderId, fingerprint } }
+ */
+async function reserveKey(accountId, key, orderId, payloadFingerprint) {
+  const redisKey = redisKeyFor(accountId, key);
+  const record = { orderId, fingerprint: payloadFingerprint };
+
+  const result = await redis.set(redisKey, JSON.stringify(record), 'EX', IDEMPOTENCY_TTL, 'NX');
+  if (result === 'OK') return { reserved: true };
+
+  const existing = await redis.get(redisKey);
+  if (!existing) {
+    // Expired between SET and GET, try once more
+    const retry = await redis.set(redisKey, JSON.stringify(record), 'EX', IDEMPOTENCY_TTL, 'NX');
+    if (retry === 'OK') return { reserved: true };
+    return { reserved: false, record: JSON.parse(await redis.get(redisKey)) };
+  }
+  return { reserved: false, record: JSON.parse(existing) };
+}
+
+/**
+ * Point a key at an order (e.g. re-cache one found in the database)
+ */
+async function rememberKey(accountId, key, orderId, payloadFingerprint) {
+  try {
+    await redis.setex(
+      redisKeyFor(accountId, key),
+      IDEMPOTENCY_TTL,
+      JSON.stringify({ orderId, fingerprint: payloadFingerprint })
+    );
+  } catch (err) {
+    console.error(`❌ Error caching idempotency key:`, err.message);
+  }
+}
+
+/**
+ * Release a reservation when the submission didn't go through
+ */
+async function releaseKey(accountId, key) {
+  try {
+    await redis.del(redisKeyFor(accountId, key));
+  } catch (err) {
+    console.error(`❌ Error releasing idempotency key:`, err.message);
+  }
+}
+
+module.exports = {
+  IDEMPOTENCY_TTL,
+  canonicalJson,
+  fingerprint,
+  resolveKey,
+  classifyReplay,
+  reserveKey,
+  rememberKey,
+  releaseKey,
+};
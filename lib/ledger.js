@@ -0,0 +1,367 @@
+/**
+ * Simulated Wallet Ledger (PostgreSQL)
+ * Per-account token balances backed by a double-entry journal
+ *
+ *   - balances holds each account's available and reserved amount per token;
+ *     CHECK constraints keep both non-negative, so an overdraft fails its
+ *     transaction instead of needing a lock
+ *   - every movement is one journal transaction whose entries sum to zero per
+ *     token, between ledger accounts:
+ *       account:<id>:available, account:<id>:reserved   customer funds
+ *       external                                         deposits and withdrawals
+ *       venue:<dex>                                      swap counterparty
+ *   - an order reserves amountIn at submission (available → reserved); the
+ *     worker settles it on a fill (reserved → venue, tokenOut from venue →
+ *     available, any unfilled remainder back to available) or releases it
+ *     when the order fails, is cancelled, rejected or expires
+ *
+ * Reservations change state once (held → settled | released), so settling or
+ * releasing twice is a no-op; a released reservation can be held again when
+ * a dead-lettered order is re-driven
+ */
+
+const crypto = require('crypto');
+const amounts = require('./amounts');
+const tokens = require('./tokens');
+const { ERROR_CODES, MAX_AMOUNT, decimalPlaces } = require('./validation');
+
+const LEDGER_ERRORS = {
+  INSUFFICIENT_BALANCE: 'INSUFFICIENT_BALANCE',
+};
+
+const EXTERNAL_ACCOUNT = 'external';
+const CHECK_VIOLATION = '23514'; // Postgres: a balance would go negative
+
+function requestError(code, field, message) {
+  return { error: { code, field, message } };
+}
+
+/**
+ * Validate a deposit or withdrawal body: { token, amount }
+ * Returns { token, amount } or { error: { code, field, message } }
+ */
+function parseTransferRequest(body, { registry } = {}) {
+  const data = body || {};
+  if (typeof data !== 'object' || Array.isArray(data)) {
+    return requestError(ERROR_CODES.INVALID_BODY, null, 'Body must be a JSON object');
+  }
+
+  const tokenRegistry = registry || tokens.getRegistry();
+  const { token: symbol, amount } = data;
+  if (typeof symbol !== 'string') {
+    return requestError(ERROR_CODES.REQUIRED, 'token', 'token is required');
+  }
+  const token = tokenRegistry.get(symbol);
+  if (!token) {
+    return requestError(ERROR_CODES.UNKNOWN_TOKEN, 'token', `token '${symbol}' is not a supported token`);
+  }
+  if (typeof amount !== 'number' || !Number.isFinite(amount)) {
+    return requestError(ERROR_CODES.INVALID_TYPE, 'amount', 'amount must be a number');
+  }
+  if (amount <= 0 || amount > MAX_AMOUNT) {
+    return requestError(ERROR_CODES.OUT_OF_RANGE, 'amount', `amount must be greater than 0 and at most ${MAX_AMOUNT}`);
+  }
+  if (decimalPlaces(amount) > token.decimals) {
+    return requestError(ERROR_CODES.TOO_MANY_DECIMALS, 'amount',
+      `amount supports at most ${token.decimals} decimals for ${symbol}`);
+  }
+  return { token: symbol, amount };
+}
+
+function customer(accountId, bucket) {
+  return { ledgerAccount: `account:${accountId}:${bucket}`, accountId, bucket };
+}
+
+function entry(account, token, units) {
+  return { ...account, token, units };
+}
+
+/**
+ * Journal entries for each movement; units are BigInt counts of the token's
+ * smallest unit, positive into the ledger account and negative out of it
+ */
+const postings = {
+  deposit(accountId, token, units) {
+    return [
+      entry({ ledgerAccount: EXTERNAL_ACCOUNT }, token, -units),
+      entry(customer(accountId, 'available'), token, units),
+    ];
+  },
+
+  withdrawal(accountId, token, units) {
+    return [
+      entry(customer(accountId, 'available'), token, -units),
+      entry({ ledgerAccount: EXTERNAL_ACCOUNT }, token, units),
+    ];
+  },
+
+  reserve(accountId, token, units) {
+    return [
+      entry(customer(accountId, 'available'), token, -units),
+      entry(customer(accountId, 'reserved'), token, units),
+    ];
+  },
+
+  release(accountId, token, units) {
+    return [
+      entry(customer(accountId, 'reserved'), token, -units),
+      entry(customer(accountId, 'available'), token, units),
+    ];
+  },
+
+  /**
+   * Settle a reservation { accountId, tokenIn, tokenOut, units } against
+   * fills [{ dex, amountInUnits, amountOutUnits }]; what wasn't filled is refunded
+   */
+  settle(reservation, fills) {
+    const { accountId, tokenIn, tokenOut, units } = reservation;
+    const filled = fills.reduce((sum, fill) => sum + fill.amountInUnits, 0n);
+    if (filled > units) throw new Error(`Fills of ${filled} exceed the reserved ${units} ${tokenIn}`);
+
+    const entries = [entry(customer(accountId, 'reserved'), tokenIn, -units)];
+    fills.forEach((fill) => {
+      const venue = { ledgerAccount: `venue:${fill.dex}` };
+      entries.push(
+        entry(venue, tokenIn, fill.amountInUnits),
+        entry(venue, tokenOut, -fill.amountOutUnits),
+        entry(customer(accountId, 'available'), tokenOut, fill.amountOutUnits)
+      );
+    });
+    if (units > filled) entries.push(entry(customer(accountId, 'available'), tokenIn, units - filled));
+    return entries;
+  },
+};
+
+/**
+ * Whether the entries sum to zero for every token
+ */
+function isBalanced(entries) {
+  const totals = new Map();
+  entries.forEach((e) => totals.set(e.token, (totals.get(e.token) || 0n) + e.units));
+  return Array.from(totals.values()).every((total) => total === 0n);
+}
+
+/**
+ * Net change per customer balance row: Map('accountId/token' → { accountId, token, available, reserved })
+ */
+function balanceChanges(entries) {
+  const changes = new Map();
+  entries.filter((e) => e.accountId).forEach((e) => {
+    const key = `${e.accountId}/${e.token}`;
+    const change = changes.get(key) || { accountId: e.accountId, token: e.token, available: 0n, reserved: 0n };
+    change[e.bucket] += e.units;
+    changes.set(key, change);
+  });
+  return changes;
+}
+
+class Ledger {
+  /**
+   * @param {object} pool - pg Pool
+   */
+  constructor(pool) {
+    this.pool = pool;
+  }
+
+  /**
+   * Run fn(client) in a database transaction
+   */
+  async transaction(fn) {
+    const client = await this.pool.connect();
+    try {
+      await client.query('BEGIN');
+      const result = await fn(client);
+      await client.query('COMMIT');
+      return result;
+    } catch (err) {
+      await client.query('ROLLBACK').catch(() => {});
+      throw err;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Write one journal transaction and apply it to the customer balances
+   * Returns the updated balance rows; fails with a check violation on overdraft
+   */
+  async post(client, kind, entries, { orderId = null } = {}) {
+    if (!isBalanced(entries)) throw new Error(`Unbalanced ${kind} posting`);
+    const txnId = crypto.randomUUID();
+
+    const values = [];
+    const rows = entries.map((e) => {
+      values.push(txnId, kind, e.ledgerAccount, e.token, amounts.fromUnits(e.units, e.token), orderId);
+      const n = values.length;
+      return `($${n - 5}, $${n - 4}, $${n - 3}, $${n - 2}, $${n - 1}, $${n})`;
+    });
+    await client.query(
+      `INSERT INTO journal_entries (txn_id, kind, ledger_account, token, amount, order_id) VALUES ${rows.join(', ')}`,
+      values
+    );
+
+    const balances = [];
+    for (const change of balanceChanges(entries).values()) {
+      await client.query(`INSERT INTO accounts (id) VALUES ($1) ON CONFLICT DO NOTHING`, [change.accountId]);
+      const result = await client.query(
+        `INSERT INTO balances (account_id, token, available, reserved) VALUES ($1, $2, $3, $4)
+         ON CONFLICT (account_id, token) DO UPDATE SET available = balances.available + EXCLUDED.available,
+         reserved = balances.reserved + EXCLUDED.reserved, updated_at = NOW()
+         RETURNING token, available, reserved`,
+        [
+          change.accountId,
+          change.token,
+          amounts.fromUnits(change.available, change.token),
+          amounts.fromUnits(change.reserved, change.token),
+        ]
+      );
+      balances.push(result.rows[0]);
+    }
+    return balances;
+  }
+
+  /**
+   * Run a posting, mapping an overdraft to { success: false, insufficient: true }
+   */
+  async apply(description, fn) {
+    try {
+      return { success: true, ...(await this.transaction(fn)) };
+    } catch (err) {
+      if (err.code === CHECK_VIOLATION) {
+        return { success: false, insufficient: true, error: 'Insufficient balance' };
+      }
+      console.error(`❌ Ledger error (${description}):`, err.message);
+      return { success: false, error: err.message };
+    }
+  }
+
+  /**
+   * An account's balances, returns [{ token, available, reserved }] or null
+   */
+  async getBalances(accountId) {
+    try {
+      const result = await this.pool.query(
+        `SELECT token, available, reserved, updated_at FROM balances WHERE account_id = $1 ORDER BY token`,
+        [accountId]
+      );
+      return result.rows;
+    } catch (err) {
+      console.error(`❌ Error fetching balances for ${accountId}:`, err.message);
+      return null;
+    }
+  }
+
+  /**
+   * Credit a simulated deposit, returns { success, balance }
+   */
+  async deposit(accountId, token, amount) {
+    const units = amounts.toUnits(amount, token);
+    return this.apply(`deposit ${accountId}`, async (client) => {
+      const [balance] = await this.post(client, 'deposit', postings.deposit(accountId, token, units));
+      return { balance };
+    });
+  }
+
+  /**
+   * Debit a withdrawal from the available balance, returns { success, balance } or { insufficient }
+   */
+  async withdraw(accountId, token, amount) {
+    const units = amounts.toUnits(amount, token);
+    return this.apply(`withdraw ${accountId}`, async (client) => {
+      const [balance] = await this.post(client, 'withdrawal', postings.withdrawal(accountId, token, units));
+      return { balance };
+    });
+  }
+
+  /**
+   * Hold an order's amountIn; { insufficient: true } when the account can't cover it
+   * A reservation already held or settled for the order is left as is
+   */
+  async reserve(orderId, accountId, order) {
+    return this.apply(`reserve ${orderId}`, async (client) => {
+      await client.query(`INSERT INTO accounts (id) VALUES ($1) ON CONFLICT DO NOTHING`, [accountId]);
+      const result = await client.query(
+        `INSERT INTO balance_reservations (order_id, account_id, token_in, token_out, amount)
+         VALUES ($1, $2, $3, $4, $5)
+         ON CONFLICT (order_id) DO UPDATE SET status = 'held', updated_at = NOW()
+         WHERE balance_reservations.status = 'released'
+         RETURNING account_id, token_in, amount`,
+        [orderId, accountId, order.tokenIn, order.tokenOut, amounts.formatAmount(order.amountIn, order.tokenIn)]
+      );
+      if (result.rowCount === 0) return { existing: true };
+
+      const held = result.rows[0];
+      const units = amounts.toUnits(held.amount, held.token_in);
+      await this.post(client, 'reserve', postings.reserve(held.account_id, held.token_in, units), { orderId });
+      return { amount: held.amount };
+    });
+  }
+
+  /**
+   * Move a held reservation into the next state, returns it or null if it isn't held
+   */
+  async closeReservation(client, orderId, status) {
+    const result = await client.query(
+      `UPDATE balance_reservations SET status = $2, updated_at = NOW()
+       WHERE order_id = $1 AND status = 'held'
+       RETURNING account_id, token_in, token_out, amount`,
+      [orderId, status]
+    );
+    const row = result.rows[0];
+    if (!row) return null;
+    return {
+      accountId: row.account_id,
+      tokenIn: row.token_in,
+      tokenOut: row.token_out,
+      units: amounts.toUnits(row.amount, row.token_in),
+    };
+  }
+
+  /**
+   * Settle a filled order: fills are [{ dex, amountIn, amountOut }] in token units
+   * Debits the reservation, credits tokenOut and refunds what wasn't filled
+   */
+  async settle(orderId, fills) {
+    return this.apply(`settle ${orderId}`, async (client) => {
+      const reservation = await this.closeReservation(client, orderId, 'settled');
+      if (!reservation) return { skipped: true };
+
+      const entries = postings.settle(reservation, fills.map((fill) => ({
+        dex: fill.dex,
+        amountInUnits: amounts.toUnits(fill.amountIn, reservation.tokenIn),
+        amountOutUnits: amounts.toUnits(fill.amountOut, reservation.tokenOut),
+      })));
+      await this.post(client, 'settle', entries, { orderId });
+      return {};
+    });
+  }
+
+  /**
+   * Return an order's reserved amountIn to the available balance
+   */
+  async release(orderId) {
+    return this.apply(`release ${orderId}`, async (client) => {
+      const reservation = await this.closeReservation(client, orderId, 'released');
+      if (!reservation) return { skipped: true };
+
+      const { accountId, tokenIn, units } = reservation;
+      await this.post(client, 'release', postings.release(accountId, tokenIn, units), { orderId });
+      return {};
+    });
+  }
+}
+
+function createLedger(pool) {
+  return new Ledger(pool);
+}
+
+module.exports = {
+  LEDGER_ERRORS,
+  EXTERNAL_ACCOUNT,
+  parseTransferRequest,
+  postings,
+  isBalanced,
+  balanceChanges,
+  Ledger,
+  createLedger,
+};
@@ -0,0 +1,130 @@
+/**
+ * Limit Order Book (Redis)
+ * Holds waiting limit orders until a quote crosses the limit price or they expire
+ */
+
+const redis = require('./redis-client');
+const { parseExpiresAt } = require('./validation');
+
+const LIMIT_ORDERS_KEY = 'limit_orders'; // sorted set, score = expiresAt (ms)
+const LIMIT_ORDER_PREFIX = 'limit_order:';
+
+/**
+ * A quote crosses the limit when its price is at or below limitPrice
+ * (lower price is better, matching best-quote routing)
+ */
+function isLimitCrossed(quotePrice, limitPrice) {
+  return quotePrice <= limitPrice;
+}
+
+/**
+ * Add a waiting limit order to the book
+ */
+async function addLimitOrder(orderId, orderData) {
+  try {
+    const expiresAt = parseExpiresAt(orderData.expiresAt);
+    await redis.set(`${LIMIT_ORDER_PREFIX}${orderId}`, JSON.stringify(orderData));
+    await redis.zadd(LIMIT_ORDERS_KEY, expiresAt, orderId);
+    return { success: true };
+  } catch (err) {
+    console.error(`❌ Error adding limit order ${orderId}:`, err.message);
+    return { success: false, error: err.message };
+  }
+}
+
+/**
+ * Get all waiting limit orders as [{ orderId, expiresAt, data }]
+ */
+async function getWaitingOrders() {
+  try {
+    const entries = await redis.zrange(LIMIT_ORDERS_KEY, 0, -1, 'WITHSCORES');
+    const orders = [];
+
+    for (let i = 0; i < entries.length; i += 2) {
+      const orderId = entries[i];
+      const raw = await redis.get(`${LIMIT_ORDER_PREFIX}${orderId}`);
+      if (!raw) {
+        // Data vanished, drop the dangling book entry
+        await redis.zrem(LIMIT_ORDERS_KEY, orderId);
+        continue;
+      }
+      orders.push({ orderId, expiresAt: Number(entries[i + 1]), data: JSON.parse(raw) });
+    }
+
+    return orders;
+  } catch (err) {
+    console.error(`❌ Error fetching limit orders:`, err.message);
+    return [];
+  }
+}
+
+/**
+ * Atomically take an order off the book
+ * Returns true only for the caller that removed it, so concurrent watchers
+ * never trigger or expire the same order twice
+ */
+async function claimLimitOrder(orderId) {
+  try {
+    const removed = await redis.zrem(LIMIT_ORDERS_KEY, orderId);
+    if (removed !== 1) return false;
+    await redis.del(`${LIMIT_ORDER_PREFIX}${orderId}`);
+    return true;
+  } catch (err) {
+    console.error(`❌ Error claiming limit order ${orderId}:`, err.message);
+    return false;
+  }
+}
+
+/**
+ * Get count of waiting limit orders
+ */
+async function getWaitingOrderCount() {
+  try {
+    return await redis.zcard(LIMIT_ORDERS_KEY);
+  } catch (err) {
+    console.error(`❌ Error getting limit order count:`, err.message);
+    return 0;
+  }
+}
+
+/**
+ * Check every waiting order once: expire stale ones, trigger crossed ones
+ *
+ * @param {object} opts
+ * @param {function} opts.getBestQuote - async (data) => { price, dex, ... }
+ * @param {function} opts.onTrigger - async (orderId, data, quote) for crossed orders
+ * @param {function} opts.onExpire - async (orderId, data) for expired orders
+ */
+async function checkLimitOrders({ getBestQuote, onTrigger, onExpire, now = Date.now }) {
+  const orders = await getWaitingOrders();
+
+  await Promise.all(orders.map(async ({ orderId, expiresAt, data }) => {
+    try {
+      if (expiresAt <= now()) {
+        if (await claimLimitOrder(orderId)) await onExpire(orderId, data);
+        return;
+      }
+
+      // Compare the price actually paid at this size, after impact
+      const quote = await getBestQuote(data);
+      const price = quote.effectivePrice || quote.price;
+      if (isLimitCrossed(price, Number(data.limitPrice)) && await claimLimitOrder(orderId)) {
+        await onTrigger(orderId, data, quote);
+      }
+    } catch (err) {
+      console.error(`❌ Limit order check failed for ${orderId}:`, err.message);
+    }
+  }));
+
+  return orders.length;
+}
+
+module.exports = {
+  parseExpiresAt,
+  isLimitCrossed,
+  addLimitOrder,
+  getWaitingOrders,
+  claimLimitOrder,
+  getWaitingOrderCount,
+  checkLimitOrders,
+};
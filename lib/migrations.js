@@ -0,0 +1,219 @@
+/**
+ * Schema Migrations
+ * Numbered SQL files in migrations/, applied in order and tracked in schema_migrations:
+ *
+ *   001_create_orders.up.sql     applied by `npm run migrate` (and on startup)
+ *   001_create_orders.down.sql   applied by `npm run migrate down`
+ *
+ * Each migration runs in its own transaction. A Postgres advisory lock is held
+ * for the whole run, so a server and worker starting together never both
+ * apply the same migration — the second waits, then finds nothing pending
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+// Arbitrary, but must be the same for every process sharing the database
+const MIGRATION_LOCK_KEY = 7261437;
+
+const FILENAME_PATTERN = /^(\d+)_([a-z0-9_]+)\.(up|down)\.sql$/;
+
+const CREATE_TRACKING_TABLE = `
+  CREATE TABLE IF NOT EXISTS schema_migrations (
+    version INTEGER PRIMARY KEY,
+    name VARCHAR(255) NOT NULL,
+    checksum CHAR(64) NOT NULL,
+    applied_at TIMESTAMP DEFAULT NOW()
+  )
+`;
+
+function checksum(sql) {
+  return crypto.createHash('sha256').update(sql).digest('hex');
+}
+
+/**
+ * Read migration files from a directory
+ * Returns [{ version, name, id, up, down, checksum }] sorted by version; throws on
+ * duplicate versions or a migration without both its up and down file
+ */
+function loadMigrations(dir = MIGRATIONS_DIR) {
+  const byVersion = new Map();
+
+  fs.readdirSync(dir).forEach((file) => {
+    const match = file.match(FILENAME_PATTERN);
+    if (!match) return;
+    const [, digits, name, direction] = match;
+    const version = Number(digits);
+
+    const migration = byVersion.get(version) || { version, name, id: `${digits}_${name}` };
+    if (migration.name !== name) {
+      throw new Error(`Migration ${version} has two names: ${migration.name}, ${name}`);
+    }
+    migration[direction] = fs.readFileSync(path.join(dir, file), 'utf8');
+    byVersion.set(version, migration);
+  });
+
+  return [...byVersion.values()]
+    .map((migration) => {
+      ['up', 'down'].forEach((direction) => {
+        if (migration[direction] === undefined) {
+          throw new Error(`Migration ${migration.id} has no ${direction}.sql`);
+        }
+      });
+      return { ...migration, checksum: checksum(migration.up) };
+    })
+    .sort((a, b) => a.version - b.version);
+}
+
+/**
+ * Compare files with schema_migrations rows
+ * Returns one entry per version: { version, name, state, appliedAt }
+ * state is 'applied', 'pending', 'modified' (up.sql changed since it ran)
+ * or 'missing' (applied, but no longer on disk)
+ */
+function migrationStatus(migrations, appliedRows) {
+  const applied = new Map(appliedRows.map((row) => [Number(row.version), row]));
+  const entries = migrations.map((migration) => {
+    const row = applied.get(migration.version);
+    let state = 'pending';
+    if (row) state = row.checksum === migration.checksum ? 'applied' : 'modified';
+    return { version: migration.version, name: migration.name, state, appliedAt: row ? row.applied_at : null };
+  });
+
+  appliedRows
+    .filter((row) => !migrations.some((m) => m.version === Number(row.version)))
+    .forEach((row) => entries.push({
+      version: Number(row.version),
+      name: row.name,
+      state: 'missing',
+      appliedAt: row.applied_at,
+    }));
+
+  return entries.sort((a, b) => a.version - b.version);
+}
+
+/**
+ * Migrations to roll back: the last `steps` applied, newest first
+ * Throws if one of them is no longer on disk
+ */
+function rollbackPlan(migrations, appliedRows, steps = 1) {
+  return appliedRows
+    .map((row) => Number(row.version))
+    .sort((a, b) => b - a)
+    .slice(0, steps)
+    .map((version) => {
+      const migration = migrations.find((m) => m.version === version);
+      if (!migration) throw new Error(`Cannot roll back migration ${version}: its files are missing`);
+      return migration;
+    });
+}
+
+class Migrator {
+  /**
+   * @param {object} pool - pg Pool
+   * @param {object} options - { dir }
+   */
+  constructor(pool, { dir = MIGRATIONS_DIR } = {}) {
+    this.pool = pool;
+    this.dir = dir;
+  }
+
+  /**
+   * Run fn(client) on one connection holding the migration lock
+   */
+  async withLock(fn) {
+    const client = await this.pool.connect();
+    try {
+      await client.query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK_KEY]);
+      try {
+        await client.query(CREATE_TRACKING_TABLE);
+        return await fn(client);
+      } finally {
+        await client.query('SELECT pg_advisory_unlock($1)', [MIGRATION_LOCK_KEY]);
+      }
+    } finally {
+      client.release();
+    }
+  }
+
+  async appliedRows(client) {
+    const result = await client.query(
+      'SELECT version, name, checksum, applied_at FROM schema_migrations ORDER BY version'
+    );
+    return result.rows;
+  }
+
+  async runInTransaction(client, sql, record) {
+    await client.query('BEGIN');
+    try {
+      await client.query(sql);
+      await client.query(record.text, record.values);
+      await client.query('COMMIT');
+    } catch (err) {
+      await client.query('ROLLBACK');
+      throw err;
+    }
+  }
+
+  async status() {
+    const migrations = loadMigrations(this.dir);
+    return this.withLock(async (client) => migrationStatus(migrations, await this.appliedRows(client)));
+  }
+
+  /**
+   * Apply every pending migration, returns the versions applied
+   */
+  async up() {
+    const migrations = loadMigrations(this.dir);
+    return this.withLock(async (client) => {
+      const status = migrationStatus(migrations, await this.appliedRows(client));
+      status
+        .filter((entry) => entry.state === 'modified')
+        .forEach((entry) => console.warn(`⚠️  Migration ${entry.version}_${entry.name} changed since it was applied`));
+
+      const pending = migrations.filter((m) => status.find((e) => e.version === m.version).state === 'pending');
+      for (const migration of pending) {
+        console.log(`⬆️  Applying migration ${migration.id}`);
+        await this.runInTransaction(client, migration.up, {
+          text: 'INSERT INTO schema_migrations (version, name, checksum) VALUES ($1, $2, $3)',
+          values: [migration.version, migration.name, migration.checksum],
+        });
+      }
+      return pending.map((m) => m.version);
+    });
+  }
+
+  /**
+   * Roll back the last `steps` migrations, returns the versions rolled back
+   */
+  async down(steps = 1) {
+    const migrations = loadMigrations(this.dir);
+    return this.withLock(async (client) => {
+      const plan = rollbackPlan(migrations, await this.appliedRows(client), steps);
+      for (const migration of plan) {
+        console.log(`⬇️  Rolling back migration ${migration.id}`);
+        await this.runInTransaction(client, migration.down, {
+          text: 'DELETE FROM schema_migrations WHERE version = $1',
+          values: [migration.version],
+        });
+      }
+      return plan.map((m) => m.version);
+    });
+  }
+}
+
+function createMigrator(pool, options) {
+  return new Migrator(pool, options);
+}
+
+module.exports = {
+  MIGRATIONS_DIR,
+  MIGRATION_LOCK_KEY,
+  loadMigrations,
+  migrationStatus,
+  rollbackPlan,
+  Migrator,
+  createMigrator,
+};
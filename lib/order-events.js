@@ -0,0 +1,203 @@
+/**
+ * Order Status Pub/Sub
+ * Worker publishes status transitions, server fans them out to WebSocket subscribers
+ * (OrderSubscriptions), sending the current state to sockets that subscribe late
+ */
+
+const redis = require('./redis-client');
+
+const STATUS_CHANNEL = 'order_status';
+
+/**
+ * Publish an order status transition
+ */
+async function publishStatus(orderId, status, details = {}) {
+  try {
+    await redis.publish(
+      STATUS_CHANNEL,
+      JSON.stringify({
+        orderId,
+        status,
+        ...details,
+        timestamp: Date.now(),
+      })
+    );
+    return { success: true };
+  } catch (err) {
+    console.error(`❌ Error publishing status for ${orderId}:`, err.message);
+    return { success: false, error: err.message };
+  }
+}
+
+/**
+ * Subscribe to order status transitions
+ * Uses a dedicated connection since a subscribed client can't run other commands
+ */
+function subscribeStatus(handler) {
+  const subscriber = redis.duplicate();
+
+  subscriber.on('error', (err) => {
+    console.error('❌ Redis subscriber error:', err.message);
+  });
+
+  subscriber.subscribe(STATUS_CHANNEL).catch((err) => {
+    console.error(`❌ Error subscribing to ${STATUS_CHANNEL}:`, err.message);
+  });
+
+  subscriber.on('message', (channel, message) => {
+    if (channel !== STATUS_CHANNEL) return;
+    try {
+      handler(JSON.parse(message));
+    } catch (err) {
+      console.error('❌ Error handling status message:', err.message);
+    }
+  });
+
+  return subscriber;
+}
+
+/**
+ * Which WebSocket connections watch which orders, on the server
+ * Client → server messages:
+ *   { "action": "subscribe", "orderId": "..." }
+ *   { "action": "unsubscribe", "orderId": "..." }
+ * Server → client: status updates ({ orderId, status, ... }) and
+ * acknowledgements ({ event: "subscribed" | "unsubscribed" | "error", ... })
+ * Only the authenticated account's orders can be subscribed to
+ */
+class OrderSubscriptions {
+  /**
+   * @param {object} sources
+   * @param {function} sources.getActiveOrder - Cached state of an in-flight order (activeOrders)
+   * @param {function} sources.getOrder - Order row (db), for ownership and finished orders
+   * @param {function} sources.ownsOrder - (order, account) → whether the account may watch it
+   */
+  constructor({ getActiveOrder, getOrder, ownsOrder }) {
+    this.getActiveOrder = getActiveOrder;
+    this.getOrder = getOrder;
+    this.ownsOrder = ownsOrder;
+    this.clients = new Map(); // orderId → Set of connections watching that order
+  }
+
+  add(orderId, conn) {
+    if (!this.clients.has(orderId)) this.clients.set(orderId, new Set());
+    this.clients.get(orderId).add(conn);
+  }
+
+  remove(orderId, conn) {
+    const clients = this.clients.get(orderId);
+    if (!clients) return;
+    clients.delete(conn);
+    if (clients.size === 0) this.clients.delete(orderId);
+  }
+
+  /**
+   * Send a published update to every connection watching its order
+   */
+  broadcast(update) {
+    const clients = this.clients.get(update.orderId);
+    if (!clients) return;
+    const msg = JSON.stringify(update);
+    clients.forEach((conn) => conn.send(msg));
+  }
+
+  /**
+   * Send current order state to a socket that connected after updates began
+   * Falls back to the database once the order has left the active cache
+   */
+  async replay(orderId, conn) {
+    const cached = await this.getActiveOrder(orderId);
+    if (cached) {
+      conn.send(JSON.stringify({ orderId, status: cached.status || 'pending', ...cached }));
+      return;
+    }
+
+    const order = await this.getOrder(orderId);
+    if (order) {
+      conn.send(JSON.stringify({
+        orderId,
+        status: order.status,
+        dex: order.dex_chosen,
+        price: order.quote_price,
+        executedPrice: order.executed_price,
+        txHash: order.tx_hash,
+        commitment: order.commitment,
+        slot: order.slot,
+        expectedAmountOut: order.expected_amount_out,
+        amountOut: order.amount_out,
+        feeAmount: order.fee_amount,
+        effectiveRate: order.effective_rate,
+        error: order.last_error,
+        errorClass: order.error_class,
+      }));
+    }
+  }
+
+  /**
+   * Handle one client message; subscriptions is the Set of orders this connection watches
+   */
+  handleMessage(conn, account, subscriptions, text) {
+    let msg;
+    try {
+      msg = JSON.parse(text);
+    } catch (e) {
+      conn.send(JSON.stringify({ event: 'error', error: 'Invalid JSON' }));
+      return null;
+    }
+
+    const orderId = msg && typeof msg.orderId === 'string' ? msg.orderId : null;
+    if (!orderId) {
+      conn.send(JSON.stringify({ event: 'error', error: 'orderId required' }));
+      return null;
+    }
+
+    if (msg.action === 'subscribe') {
+      return this.subscribe(conn, account, subscriptions, orderId);
+    }
+    if (msg.action === 'unsubscribe') {
+      subscriptions.delete(orderId);
+      this.remove(orderId, conn);
+      conn.send(JSON.stringify({ event: 'unsubscribed', orderId }));
+    } else {
+      conn.send(JSON.stringify({ event: 'error', error: `Unknown action: ${msg.action}` }));
+    }
+    return null;
+  }
+
+  async subscribe(conn, account, subscriptions, orderId) {
+    try {
+      if (!subscriptions.has(orderId)) {
+        if (!this.ownsOrder(await this.getOrder(orderId), account)) {
+          conn.send(JSON.stringify({ event: 'error', orderId, error: 'Order not found' }));
+          return;
+        }
+        subscriptions.add(orderId);
+        this.add(orderId, conn);
+      }
+      conn.send(JSON.stringify({ event: 'subscribed', orderId }));
+      await this.replay(orderId, conn);
+    } catch (err) {
+      console.error(`❌ Subscribe error [${orderId.substring(0, 12)}]:`, err.message);
+    }
+  }
+
+  /**
+   * Stop sending to a closed connection
+   */
+  disconnect(conn, subscriptions) {
+    subscriptions.forEach((orderId) => this.remove(orderId, conn));
+    subscriptions.clear();
+  }
+}
+
+function createOrderSubscriptions(sources) {
+  return new OrderSubscriptions(sources);
+}
+
+module.exports = {
+  STATUS_CHANNEL,
+  publishStatus,
+  subscribeStatus,
+  OrderSubscriptions,
+  createOrderSubscriptions,
+};
@@ -0,0 +1,137 @@
+/**
+ * Order History Queries
+ * Parses GET /api/orders query strings into filters for db.listOrders()
+ *
+ *   status=confirmed,failed      one or more statuses
+ *   pair=SOL/USDC                or tokenIn= / tokenOut= separately
+ *   dex=raydium                  chosen venue, or any leg of a split order
+ *   from=2024-01-01&to=...       created_at range (from inclusive, to exclusive)
+ *   sort=created_at              the only sort, kept for compatibility; order=desc|asc
+ *   limit=50                     page size (max 200)
+ *   cursor=...                   nextCursor from the previous page
+ */
+
+const db = require('./db-client');
+const tokens = require('./tokens');
+const { ERROR_CODES } = require('./validation');
+const { ORDER_STATUSES } = require('./order-state');
+
+const QUERY_PARAMS = ['status', 'pair', 'tokenIn', 'tokenOut', 'dex', 'from', 'to', 'sort', 'order', 'limit', 'cursor', 'accountId'];
+
+function queryError(code, field, message) {
+  return { error: { code, field, message } };
+}
+
+function parseToken(field, value, registry) {
+  if (!registry.has(value)) {
+    return queryError(ERROR_CODES.UNKNOWN_TOKEN, field, `${field} '${value}' is not a supported token`);
+  }
+  return null;
+}
+
+function parseDate(field, value) {
+  const ms = Date.parse(value);
+  if (Number.isNaN(ms)) {
+    return queryError(ERROR_CODES.INVALID_TYPE, field, `${field} must be an ISO timestamp`);
+  }
+  return { value: new Date(ms).toISOString() };
+}
+
+/**
+ * Parse and validate list query parameters
+ * accountId is only honoured when allowAccount is set (admin listing)
+ * Returns { filters, page } or { error: { code, field, message } }
+ */
+function parseOrderListQuery(query, { allowAccount = false, registry = tokens.getRegistry() } = {}) {
+  const single = (name) => (Array.isArray(query[name]) ? query[name][query[name].length - 1] : query[name]);
+  const filters = {};
+
+  const unknown = Object.keys(query).find((name) => !QUERY_PARAMS.includes(name));
+  if (unknown || (!allowAccount && query.accountId !== undefined)) {
+    const field = unknown || 'accountId';
+    return queryError(ERROR_CODES.UNKNOWN_FIELD, field, `${field} is not a recognized query parameter`);
+  }
+
+  const status = single('status');
+  if (status) {
+    filters.statuses = status.split(',').map((s) => s.trim()).filter(Boolean);
+    const invalid = filters.statuses.find((s) => !ORDER_STATUSES.includes(s));
+    if (invalid) {
+      return queryError(ERROR_CODES.INVALID_VALUE, 'status', `status '${invalid}' is not one of: ${ORDER_STATUSES.join(', ')}`);
+    }
+  }
+
+  const pair = single('pair');
+  if (pair) {
+    const [tokenIn, tokenOut, extra] = pair.split('/');
+    if (!tokenIn || !tokenOut || extra !== undefined) {
+      return queryError(ERROR_CODES.INVALID_VALUE, 'pair', 'pair must look like TOKENIN/TOKENOUT');
+    }
+    filters.tokenIn = tokenIn;
+    filters.tokenOut = tokenOut;
+  }
+  for (const field of ['tokenIn', 'tokenOut']) {
+    const value = single(field);
+    if (!value) continue;
+    if (pair) return queryError(ERROR_CODES.CONFLICT, field, `specify either pair or ${field}, not both`);
+    filters[field] = value;
+  }
+  for (const field of ['tokenIn', 'tokenOut']) {
+    if (!filters[field]) continue;
+    const tokenError = parseToken(pair ? 'pair' : field, filters[field], registry);
+    if (tokenError) return tokenError;
+  }
+
+  const dex = single('dex');
+  if (dex) filters.dex = dex.toLowerCase();
+
+  for (const field of ['from', 'to']) {
+    const value = single(field);
+    if (!value) continue;
+    const parsed = parseDate(field, value);
+    if (parsed.error) return parsed;
+    filters[field] = parsed.value;
+  }
+  if (filters.from && filters.to && filters.from >= filters.to) {
+    return queryError(ERROR_CODES.OUT_OF_RANGE, 'to', 'to must be after from');
+  }
+
+  if (allowAccount && single('accountId')) filters.accountId = single('accountId');
+
+  const page = {
+    sort: single('sort') || 'created_at',
+    order: single('order') || 'desc',
+    limit: db.DEFAULT_PAGE_SIZE,
+    cursor: null,
+  };
+  if (!db.ORDER_SORT_COLUMNS.includes(page.sort)) {
+    return queryError(ERROR_CODES.INVALID_VALUE, 'sort', `sort must be one of: ${db.ORDER_SORT_COLUMNS.join(', ')}`);
+  }
+  if (!['asc', 'desc'].includes(page.order)) {
+    return queryError(ERROR_CODES.INVALID_VALUE, 'order', 'order must be asc or desc');
+  }
+
+  const limit = single('limit');
+  if (limit !== undefined) {
+    page.limit = Number(limit);
+    if (!Number.isInteger(page.limit) || page.limit < 1 || page.limit > db.MAX_PAGE_SIZE) {
+      return queryError(ERROR_CODES.OUT_OF_RANGE, 'limit', `limit must be an integer from 1 to ${db.MAX_PAGE_SIZE}`);
+    }
+  }
+
+  const cursor = single('cursor');
+  if (cursor) {
+    page.cursor = db.decodeCursor(cursor);
+    if (!page.cursor) return queryError(ERROR_CODES.INVALID_VALUE, 'cursor', 'cursor is malformed');
+    if (page.cursor.sort !== page.sort || page.cursor.order !== page.order) {
+      return queryError(ERROR_CODES.CONFLICT, 'cursor', 'cursor belongs to a different sort order');
+    }
+  }
+
+  return { filters, page };
+}
+
+module.exports = {
+  ORDER_STATUSES,
+  parseOrderListQuery,
+};
@@ -0,0 +1,44 @@
+/**
+ * BullMQ Order Queue
+ * Shared by the server (submission) and worker (limit order triggers)
+ */
+
+const { Queue } = require('bullmq');
+const redis = require('./redis-client');
+const { BACKOFF_TYPE } = require('./errors');
+
+const ORDER_QUEUE = 'order-queue';
+
+// Backoff delays depend on the error class (see lib/errors.js)
+const JOB_OPTIONS = {
+  attempts: 3,
+  backoff: {
+    type: BACKOFF_TYPE,
+  },
+  removeOnComplete: true,
+};
+
+const orderQueue = new Queue(ORDER_QUEUE, { connection: redis });
+
+orderQueue.on('error', (err) => {
+  console.error('❌ Queue error:', err.message);
+});
+
+/**
+ * Enqueue an order for execution (jobId = orderId, so re-adds are no-ops)
+ * options override JOB_OPTIONS, e.g. { attempts } for a dead-letter re-drive
+ */
+async function enqueueOrder(orderId, data, options = {}) {
+  return orderQueue.add('order', data, {
+    jobId: orderId,
+    ...JOB_OPTIONS,
+    ...options,
+  });
+}
+
+module.exports = {
+  ORDER_QUEUE,
+  JOB_OPTIONS,
+  orderQueue,
+  enqueueOrder,
+};
@@ -0,0 +1,71 @@
+/**
+ * Order State Machine
+ * The single definition of order statuses and the transitions between them.
+ * db.transitionOrder() and activeOrders.transitionActiveOrder() both check it,
+ * so a late or duplicate emit can never move an order backwards
+ *
+ *   waiting → pending → routing → building → submitted → confirmed | partially_filled
+ *   pending | routing | building → retrying → pending   (attempts left, or a job re-run
+ *                                                         after a stall before submission)
+ *   submitted → retrying                                (transaction expired unconfirmed)
+ *                                → failed               (attempts exhausted)
+ *   waiting → expired;  before submission → cancelled | rejected
+ *   failed → retrying                                   (re-driven from the dead-letter queue)
+ */
+
+const { UnrecoverableError } = require('bullmq');
+
+const TRANSITIONS = {
+  waiting: ['pending', 'cancelled', 'expired', 'rejected', 'failed'],
+  pending: ['routing', 'retrying', 'failed', 'cancelled', 'rejected'],
+  routing: ['building', 'retrying', 'failed', 'cancelled', 'rejected'],
+  building: ['submitted', 'retrying', 'failed', 'cancelled', 'rejected'],
+  submitted: ['confirmed', 'partially_filled', 'retrying', 'failed'],
+  retrying: ['pending', 'failed', 'cancelled', 'rejected'],
+  confirmed: [],
+  partially_filled: [],
+  failed: ['retrying'],
+  expired: [],
+  cancelled: [],
+  rejected: [],
+};
+
+const ORDER_STATUSES = Object.keys(TRANSITIONS);
+
+// Finished; only an admin re-drive takes a failed order out again
+const TERMINAL_STATUSES = ['confirmed', 'partially_filled', 'failed', 'expired', 'cancelled', 'rejected'];
+
+// Accepted but not finished
+const OPEN_STATUSES = ORDER_STATUSES.filter((status) => !TERMINAL_STATUSES.includes(status));
+
+function isTerminal(status) {
+  return TERMINAL_STATUSES.includes(status);
+}
+
+function canTransition(from, to) {
+  return Boolean(TRANSITIONS[from]) && TRANSITIONS[from].includes(to);
+}
+
+/**
+ * A transition that isn't allowed — the order moved on (e.g. was cancelled)
+ * Unrecoverable so the worker stops the job instead of retrying it
+ */
+class InvalidTransitionError extends UnrecoverableError {
+  constructor(orderId, from, to) {
+    super(`Order ${orderId} cannot move from ${from} to ${to}`);
+    this.name = 'InvalidTransitionError';
+    this.orderId = orderId;
+    this.from = from;
+    this.to = to;
+  }
+}
+
+module.exports = {
+  TRANSITIONS,
+  ORDER_STATUSES,
+  TERMINAL_STATUSES,
+  OPEN_STATUSES,
+  isTerminal,
+  canTransition,
+  InvalidTransitionError,
+};
@@ -0,0 +1,175 @@
+/**
+ * Signed Quotes
+ * GET /api/quotes prices a swap on every venue without executing it and
+ * returns a quote id: the recommended route and expected output, HMAC-signed
+ * and valid for QUOTE_TTL_MS. Passing it as quoteId to POST /api/orders/execute
+ * executes on the quoted venues against the quoted output, or fails once the
+ * window has passed
+ *
+ * Quote id format: q_<base64url(JSON body)>.<base64url(HMAC-SHA256)>
+ */
+
+const crypto = require('crypto');
+const { validateOrder } = require('./validation');
+const amounts = require('./amounts');
+
+const QUOTE_ID_PREFIX = 'q_';
+const QUOTE_USED_PREFIX = 'quote_used:';
+const DEFAULT_QUOTE_TTL_MS = 15000;
+const QUOTE_TTL_MS = parseInt(process.env.QUOTE_TTL_MS || String(DEFAULT_QUOTE_TTL_MS), 10);
+
+// Servers share QUOTE_SIGNING_SECRET; without it quotes only verify on the server that issued them
+const QUOTE_SIGNING_SECRET = process.env.QUOTE_SIGNING_SECRET || crypto.randomBytes(32).toString('hex');
+
+const QUOTE_ERRORS = {
+  INVALID_QUOTE: 'INVALID_QUOTE',
+  QUOTE_MISMATCH: 'QUOTE_MISMATCH',
+  QUOTE_EXPIRED: 'QUOTE_EXPIRED',
+  QUOTE_ALREADY_USED: 'QUOTE_ALREADY_USED',
+};
+
+function quoteError(httpStatus, code, message) {
+  return { httpStatus, error: { code, field: 'quoteId', message } };
+}
+
+/**
+ * Validate ?tokenIn=&tokenOut=&amountIn= with the order schema
+ * Returns { tokenIn, tokenOut, amountIn } or { error: { code, field, message } }
+ */
+function parseQuoteQuery(query) {
+  const amountIn = query.amountIn === undefined || query.amountIn === '' ? undefined : Number(query.amountIn);
+  const request = { type: 'market', tokenIn: query.tokenIn, tokenOut: query.tokenOut, amountIn };
+  const error = validateOrder(request);
+  if (error) return { error };
+  return { tokenIn: request.tokenIn, tokenOut: request.tokenOut, amountIn };
+}
+
+/**
+ * Recommended route from ranked quotes and an optional split plan
+ * Output amounts are decimal strings at tokenOut's precision (lib/amounts.js)
+ */
+function recommendedRoute(ranked, splitPlan, { tokenOut, amountIn }) {
+  const round = (n) => Number(n.toFixed(8));
+  const expected = (quotes) => {
+    const { amountOut, feeAmount, effectiveRate } = amounts.totals({
+      amountIn,
+      tokenOut,
+      grossOut: quotes.reduce((sum, q) => sum + q.grossOut, 0),
+      feeAmount: quotes.reduce((sum, q) => sum + q.feeAmount, 0),
+    });
+    return { expectedAmountOut: amountOut, feeAmount, effectiveRate };
+  };
+
+  if (splitPlan) {
+    return {
+      type: 'split',
+      legs: splitPlan.legs.map((leg) => ({
+        dex: leg.dex,
+        amountIn: round(leg.amountIn),
+        netOut: amounts.formatAmount(leg.quote.netOut, tokenOut),
+      })),
+      ...expected(splitPlan.legs.map((leg) => leg.quote)),
+    };
+  }
+  return {
+    type: 'single',
+    dex: ranked[0].dex,
+    ...expected([ranked[0]]),
+  };
+}
+
+function sign(body, secret) {
+  return crypto.createHmac('sha256', secret).update(body).digest('base64url');
+}
+
+/**
+ * Issue a quote id for an account's request and its recommended route
+ * Returns { quoteId, quote } where quote is the signed body
+ */
+function issueQuote(accountId, request, route, { secret = QUOTE_SIGNING_SECRET, ttlMs = QUOTE_TTL_MS, now = Date.now } = {}) {
+  const issuedAt = now();
+  const quote = {
+    nonce: crypto.randomBytes(8).toString('hex'),
+    accountId,
+    tokenIn: request.tokenIn,
+    tokenOut: request.tokenOut,
+    amountIn: request.amountIn,
+    venues: route.type === 'split' ? route.legs.map((leg) => leg.dex) : [route.dex],
+    expectedAmountOut: route.expectedAmountOut,
+    issuedAt,
+    expiresAt: issuedAt + ttlMs,
+  };
+  const body = Buffer.from(JSON.stringify(quote)).toString('base64url');
+  return { quoteId: `${QUOTE_ID_PREFIX}${body}.${sign(body, secret)}`, quote };
+}
+
+/**
+ * Read a quote id's body without checking the signature, or null if malformed
+ * The worker uses this for jobs the server already verified
+ */
+function decodeQuote(quoteId) {
+  if (typeof quoteId !== 'string' || !quoteId.startsWith(QUOTE_ID_PREFIX)) return null;
+  const [body] = quoteId.slice(QUOTE_ID_PREFIX.length).split('.');
+  try {
+    return JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * Check a submitted order's quoteId: signature, owner, pair and amount, expiry
+ * Returns { quote } or { httpStatus, error: { code, field, message } }
+ */
+function verifyQuote(quoteId, accountId, order, { secret = QUOTE_SIGNING_SECRET, now = Date.now } = {}) {
+  const match = typeof quoteId === 'string' && quoteId.match(/^q_([A-Za-z0-9_-]+)\.([A-Za-z0-9_-]+)$/);
+  if (!match) return quoteError(400, QUOTE_ERRORS.INVALID_QUOTE, 'quoteId is malformed');
+
+  const expected = Buffer.from(sign(match[1], secret));
+  const given = Buffer.from(match[2]);
+  if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) {
+    return quoteError(400, QUOTE_ERRORS.INVALID_QUOTE, 'quoteId signature is invalid');
+  }
+
+  const quote = decodeQuote(quoteId);
+  if (!quote || quote.accountId !== accountId) {
+    return quoteError(400, QUOTE_ERRORS.INVALID_QUOTE, 'quoteId was not issued to this account');
+  }
+  const mismatch = ['tokenIn', 'tokenOut', 'amountIn'].find((field) => order[field] !== quote[field]);
+  if (mismatch) {
+    return quoteError(400, QUOTE_ERRORS.QUOTE_MISMATCH, `${mismatch} differs from the quote (${quote[mismatch]})`);
+  }
+  if (now() >= quote.expiresAt) {
+    return quoteError(410, QUOTE_ERRORS.QUOTE_EXPIRED, `Quote expired at ${new Date(quote.expiresAt).toISOString()}`);
+  }
+  return { quote };
+}
+
+/**
+ * Mark a quote as used until it expires, so it executes at most once
+ * Returns true for the first caller only
+ */
+async function claimQuote(redis, quote, { now = Date.now } = {}) {
+  const ttlMs = Math.max(1, quote.expiresAt - now());
+  const result = await redis.set(`${QUOTE_USED_PREFIX}${quote.nonce}`, '1', 'PX', ttlMs, 'NX');
+  return result === 'OK';
+}
+
+/**
+ * Release a claimed quote when its order could not be placed
+ */
+async function releaseQuote(redis, quote) {
+  await redis.del(`${QUOTE_USED_PREFIX}${quote.nonce}`);
+}
+
+module.exports = {
+  QUOTE_TTL_MS,
+  QUOTE_ERRORS,
+  parseQuoteQuery,
+  recommendedRoute,
+  issueQuote,
+  decodeQuote,
+  verifyQuote,
+  claimQuote,
+  releaseQuote,
+};
@@ -0,0 +1,169 @@
+/**
+ * Rate Limiting (Redis token buckets)
+ * One bucket per account (or client IP before authentication) and limit:
+ *   requests  API reads and other calls, per minute
+ *   orders    order submissions, per minute
+ *   notional  value of accepted orders in USD, per minute (valued like the
+ *             risk limits, at the market reference prices)
+ *
+ * Buckets refill continuously, so a client that spent its burst regains
+ * capacity / 60 tokens every second. Limits come from environment:
+ *   RATE_LIMIT_REQUESTS_PER_MIN=120
+ *   RATE_LIMIT_ORDERS_PER_MIN=30
+ *   RATE_LIMIT_NOTIONAL_PER_MIN=1000000   (USD)
+ */
+
+const BUCKET_PREFIX = 'ratelimit:';
+const WINDOW_MS = 60000;
+
+const DEFAULT_LIMITS = {
+  requests: 120,
+  orders: 30,
+  notional: 1000000,
+};
+
+const ENV_KEYS = {
+  requests: 'RATE_LIMIT_REQUESTS_PER_MIN',
+  orders: 'RATE_LIMIT_ORDERS_PER_MIN',
+  notional: 'RATE_LIMIT_NOTIONAL_PER_MIN',
+};
+
+// Refill, then take `cost` tokens if available. Uses the Redis clock so all
+// servers share one notion of time. Returns { allowed, remaining, retryAfterMs }
+const TAKE_TOKENS_LUA = `
+local capacity = tonumber(ARGV[1])
+local cost = tonumber(ARGV[2])
+local window = tonumber(ARGV[3])
+local time = redis.call('TIME')
+local now = tonumber(time[1]) * 1000 + math.floor(tonumber(time[2]) / 1000)
+local rate = capacity / window
+
+local state = redis.call('HMGET', KEYS[1], 'tokens', 'ts')
+local tokens = tonumber(state[1]) or capacity
+local ts = tonumber(state[2]) or now
+tokens = math.min(capacity, tokens + math.max(0, now - ts) * rate)
+
+local allowed = 0
+local retry = 0
+if tokens >= cost then
+  tokens = tokens - cost
+  allowed = 1
+else
+  retry = math.ceil((cost - tokens) / rate)
+end
+
+redis.call('HSET', KEYS[1], 'tokens', tostring(tokens), 'ts', now)
+redis.call('PEXPIRE', KEYS[1], window)
+return { allowed, tostring(tokens), retry }
+`;
+
+// Give back `amount` tokens taken for a request that was not accepted, up to capacity
+// Returns the remaining tokens
+const REFUND_TOKENS_LUA = `
+local capacity = tonumber(ARGV[1])
+local amount = tonumber(ARGV[2])
+local tokens = tonumber(redis.call('HGET', KEYS[1], 'tokens'))
+if not tokens then return tostring(capacity) end
+tokens = math.min(capacity, tokens + amount)
+redis.call('HSET', KEYS[1], 'tokens', tostring(tokens))
+return tostring(tokens)
+`;
+
+/**
+ * Resolve per-minute limits from env, 0 disables a limit
+ */
+function loadRateLimitConfig(env = process.env) {
+  const limits = {};
+  Object.entries(DEFAULT_LIMITS).forEach(([name, fallback]) => {
+    const raw = env[ENV_KEYS[name]];
+    const value = raw === undefined || raw === '' ? fallback : Number(raw);
+    if (!Number.isFinite(value) || value < 0) {
+      throw new Error(`Invalid ${ENV_KEYS[name]}: ${raw}`);
+    }
+    limits[name] = value;
+  });
+  return limits;
+}
+
+/**
+ * Usage headers for one bucket result, e.g. X-RateLimit-Orders-Remaining
+ * `Retry-After` (seconds) is added when a rejected request can succeed later
+ */
+function rateLimitHeaders(name, result) {
+  if (!result.limit) return {}; // limit disabled
+  const label = name.charAt(0).toUpperCase() + name.slice(1);
+  const headers = {
+    [`X-RateLimit-${label}-Limit`]: String(result.limit),
+    [`X-RateLimit-${label}-Remaining`]: String(Math.floor(result.remaining)),
+  };
+  if (!result.allowed && Number.isFinite(result.retryAfterMs)) {
+    headers['Retry-After'] = String(Math.max(1, Math.ceil(result.retryAfterMs / 1000)));
+  }
+  return headers;
+}
+
+class RateLimiter {
+  /**
+   * @param {object} redis - ioredis client
+   * @param {object} limits - { requests, orders, notional } per minute
+   */
+  constructor(redis, limits) {
+    this.redis = redis;
+    this.limits = limits;
+    this.redis.defineCommand('takeTokens', { numberOfKeys: 1, lua: TAKE_TOKENS_LUA });
+    this.redis.defineCommand('refundTokens', { numberOfKeys: 1, lua: REFUND_TOKENS_LUA });
+  }
+
+  /**
+   * Take `cost` from a bucket for a client identity (e.g. 'acct:acme', 'ip:1.2.3.4')
+   * Returns { allowed, limit, remaining, retryAfterMs }; a cost above the limit
+   * can never succeed and returns retryAfterMs: Infinity
+   * Fails open when Redis is unavailable so reads don't depend on the limiter
+   */
+  async take(name, identity, cost = 1) {
+    const limit = this.limits[name];
+    if (!limit) return { allowed: true, limit: 0, remaining: 0, retryAfterMs: 0 };
+    if (cost > limit) return { allowed: false, limit, remaining: limit, retryAfterMs: Infinity };
+
+    try {
+      const [allowed, remaining, retryAfterMs] = await this.redis.takeTokens(
+        `${BUCKET_PREFIX}${name}:${identity}`,
+        limit,
+        cost,
+        WINDOW_MS
+      );
+      return { allowed: allowed === 1, limit, remaining: Number(remaining), retryAfterMs };
+    } catch (err) {
+      console.error(`❌ Rate limiter error (${name}):`, err.message);
+      return { allowed: true, limit, remaining: limit, retryAfterMs: 0 };
+    }
+  }
+
+  /**
+   * Return `cost` previously taken from a bucket, e.g. notional charged for an
+   * order that was then rejected. A bucket that expired meanwhile is already full
+   */
+  async refund(name, identity, cost) {
+    const limit = this.limits[name];
+    if (!limit || !cost) return;
+
+    try {
+      await this.redis.refundTokens(`${BUCKET_PREFIX}${name}:${identity}`, limit, cost);
+    } catch (err) {
+      console.error(`❌ Rate limiter refund error (${name}):`, err.message);
+    }
+  }
+}
+
+function createRateLimiter(redis, env = process.env) {
+  return new RateLimiter(redis, loadRateLimitConfig(env));
+}
+
+module.exports = {
+  DEFAULT_LIMITS,
+  WINDOW_MS,
+  loadRateLimitConfig,
+  rateLimitHeaders,
+  RateLimiter,
+  createRateLimiter,
+};
@@ -0,0 +1,221 @@
+/**
+ * Pre-trade Risk Checks
+ * Run at submission (server) and again right before execution (worker), so
+ * config changes and the kill switch also stop orders already in the queue
+ *
+ * Limits come from environment (0 disables). Order sizes are valued in USD at
+ * the market reference prices (MARKET_CONFIG.referencePrices), so orders in
+ * different tokens count toward the same limits:
+ *   RISK_MAX_ORDER_AMOUNT=100000         largest single order
+ *   RISK_TOKEN_ALLOWLIST=SOL,USDC        only these tokens may trade (empty = all)
+ *   RISK_TOKEN_DENYLIST=BONK             these tokens may never trade
+ *   RISK_DAILY_NOTIONAL_LIMIT=5000000    per account, per UTC day
+ *   RISK_MAX_OPEN_ORDERS=50              per account, checked at submission
+ *
+ * The global kill switch lives in Redis so every server and worker sees it at once
+ */
+
+const { UnrecoverableError } = require('bullmq');
+const { DEFAULT_REFERENCE_PRICES, loadMarketConfig, usdValue } = require('./dex/market');
+
+const KILL_SWITCH_KEY = 'risk:kill_switch';
+
+const REJECT_REASONS = {
+  KILL_SWITCH: 'KILL_SWITCH',
+  MAX_ORDER_SIZE: 'MAX_ORDER_SIZE',
+  TOKEN_NOT_ALLOWED: 'TOKEN_NOT_ALLOWED',
+  TOKEN_DENIED: 'TOKEN_DENIED',
+  DAILY_NOTIONAL_LIMIT: 'DAILY_NOTIONAL_LIMIT',
+  OPEN_ORDER_LIMIT: 'OPEN_ORDER_LIMIT',
+  NO_REFERENCE_PRICE: 'NO_REFERENCE_PRICE',
+  RISK_UNAVAILABLE: 'RISK_UNAVAILABLE',
+};
+
+const DEFAULT_RISK_CONFIG = {
+  maxOrderAmount: 100000,
+  allowlist: [],
+  denylist: [],
+  dailyNotionalLimit: 5000000,
+  maxOpenOrders: 50,
+  referencePrices: DEFAULT_REFERENCE_PRICES,
+};
+
+function parseLimit(env, name, fallback) {
+  const raw = env[name];
+  if (raw === undefined || raw === '') return fallback;
+  const value = Number(raw);
+  if (!Number.isFinite(value) || value < 0) throw new Error(`Invalid ${name}: ${raw}`);
+  return value;
+}
+
+function parseTokenList(raw) {
+  return (raw || '').split(',').map((t) => t.trim().toUpperCase()).filter(Boolean);
+}
+
+/**
+ * Resolve risk limits from env
+ */
+function loadRiskConfig(env = process.env) {
+  return {
+    maxOrderAmount: parseLimit(env, 'RISK_MAX_ORDER_AMOUNT', DEFAULT_RISK_CONFIG.maxOrderAmount),
+    allowlist: parseTokenList(env.RISK_TOKEN_ALLOWLIST),
+    denylist: parseTokenList(env.RISK_TOKEN_DENYLIST),
+    dailyNotionalLimit: parseLimit(env, 'RISK_DAILY_NOTIONAL_LIMIT', DEFAULT_RISK_CONFIG.dailyNotionalLimit),
+    maxOpenOrders: parseLimit(env, 'RISK_MAX_OPEN_ORDERS', DEFAULT_RISK_CONFIG.maxOpenOrders),
+    referencePrices: loadMarketConfig(env).referencePrices,
+  };
+}
+
+function rejection(code, field, message) {
+  return { code, field, message };
+}
+
+function formatUsd(value) {
+  return value.toFixed(2);
+}
+
+/**
+ * USD value of per-token amounts ({ SOL: 2, USDC: 150 }), null if a token has no price
+ */
+function totalUsdValue(amountsByToken, referencePrices) {
+  let total = 0;
+  for (const [token, amount] of Object.entries(amountsByToken)) {
+    const value = usdValue(amount, token, referencePrices);
+    if (value === null) return null;
+    total += value;
+  }
+  return total;
+}
+
+/**
+ * Evaluate an order against the limits
+ * context: { killSwitch, exposure: { dailyNotional, openOrders } | null, checkOpenOrders }
+ * dailyNotional is in USD; exposure is null when the account's usage couldn't
+ * be read or valued (fails closed)
+ * Returns null or { code, field, message }
+ */
+function evaluateRisk(order, context, config) {
+  if (context.killSwitch) {
+    const reason = context.killSwitch.reason ? `: ${context.killSwitch.reason}` : '';
+    return rejection(REJECT_REASONS.KILL_SWITCH, null, `Trading is halted${reason}`);
+  }
+
+  for (const field of ['tokenIn', 'tokenOut']) {
+    const token = String(order[field]).toUpperCase();
+    if (config.denylist.includes(token)) {
+      return rejection(REJECT_REASONS.TOKEN_DENIED, field, `${token} is not permitted for trading`);
+    }
+    if (config.allowlist.length && !config.allowlist.includes(token)) {
+      return rejection(REJECT_REASONS.TOKEN_NOT_ALLOWED, field, `${token} is not on the trading allowlist`);
+    }
+  }
+
+  const notional = usdValue(order.amountIn, order.tokenIn, config.referencePrices);
+  if (notional === null) {
+    return rejection(REJECT_REASONS.NO_REFERENCE_PRICE, 'tokenIn', `${order.tokenIn} has no reference price to value the order`);
+  }
+  if (config.maxOrderAmount && notional > config.maxOrderAmount) {
+    return rejection(REJECT_REASONS.MAX_ORDER_SIZE, 'amountIn',
+      `Order value ${formatUsd(notional)} USD exceeds the maximum order size of ${config.maxOrderAmount} USD`);
+  }
+
+  const needsExposure = config.dailyNotionalLimit || (context.checkOpenOrders && config.maxOpenOrders);
+  if (!needsExposure) return null;
+  if (!context.exposure) {
+    return rejection(REJECT_REASONS.RISK_UNAVAILABLE, null, 'Account exposure unavailable, retry later');
+  }
+
+  const { dailyNotional, openOrders } = context.exposure;
+  if (config.dailyNotionalLimit && dailyNotional + notional > config.dailyNotionalLimit) {
+    return rejection(REJECT_REASONS.DAILY_NOTIONAL_LIMIT, 'amountIn',
+      `Daily notional limit of ${config.dailyNotionalLimit} USD reached (${formatUsd(dailyNotional)} USD used today)`);
+  }
+  if (context.checkOpenOrders && config.maxOpenOrders && openOrders >= config.maxOpenOrders) {
+    return rejection(REJECT_REASONS.OPEN_ORDER_LIMIT, null,
+      `Open order limit of ${config.maxOpenOrders} reached`);
+  }
+  return null;
+}
+
+/**
+ * Raised in the worker when an order fails its pre-execution check — never retried
+ */
+class RiskRejectedError extends UnrecoverableError {
+  constructor(result) {
+    super(`risk_rejected: ${result.code}: ${result.message}`);
+    this.name = 'RiskRejectedError';
+    this.code = result.code;
+    this.risk = result;
+  }
+}
+
+class RiskChecker {
+  /**
+   * @param {object} deps - { redis, db }
+   * @param {object} config - see loadRiskConfig()
+   */
+  constructor({ redis, db }, config) {
+    this.redis = redis;
+    this.db = db;
+    this.config = config;
+  }
+
+  /**
+   * Active kill switch ({ reason, since }) or null
+   * An unreadable switch counts as engaged
+   */
+  async getKillSwitch() {
+    try {
+      const raw = await this.redis.get(KILL_SWITCH_KEY);
+      return raw ? JSON.parse(raw) : null;
+    } catch (err) {
+      console.error(`❌ Error reading kill switch:`, err.message);
+      return { reason: 'kill switch state unavailable' };
+    }
+  }
+
+  async setKillSwitch(enabled, reason = null) {
+    if (!enabled) {
+      await this.redis.del(KILL_SWITCH_KEY);
+      return null;
+    }
+    const state = { reason, since: new Date().toISOString() };
+    await this.redis.set(KILL_SWITCH_KEY, JSON.stringify(state));
+    return state;
+  }
+
+  /**
+   * Check an order for an account
+   * stage 'submission' also enforces the open-order count; at 'execution'
+   * the order itself is excluded from the account's usage
+   * Returns null or { code, field, message }
+   */
+  async checkOrder(order, accountId, { stage = 'submission', orderId = null } = {}) {
+    const killSwitch = await this.getKillSwitch();
+    const usage = accountId
+      ? await this.db.getAccountExposure(accountId, { excludeOrderId: orderId })
+      : { dailyAmounts: {}, openOrders: 0 }; // orders from before API keys
+    const dailyNotional = usage ? totalUsdValue(usage.dailyAmounts, this.config.referencePrices) : null;
+
+    return evaluateRisk(order, {
+      killSwitch,
+      exposure: dailyNotional === null ? null : { dailyNotional, openOrders: usage.openOrders },
+      checkOpenOrders: stage === 'submission',
+    }, this.config);
+  }
+}
+
+function createRiskChecker(deps, env = process.env) {
+  return new RiskChecker(deps, loadRiskConfig(env));
+}
+
+module.exports = {
+  KILL_SWITCH_KEY,
+  REJECT_REASONS,
+  DEFAULT_RISK_CONFIG,
+  loadRiskConfig,
+  evaluateRisk,
+  RiskRejectedError,
+  RiskChecker,
+  createRiskChecker,
+};
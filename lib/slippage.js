@@ -0,0 +1,82 @@
+/**
+ * Slippage Protection
+ * Expected output from the chosen quote (net of fee) and quote-to-fill tolerance checks
+ */
+
+const { UnrecoverableError } = require('bullmq');
+const { ERROR_CLASSES } = require('./errors');
+
+const DEFAULT_SLIPPAGE_BPS = parseInt(process.env.DEFAULT_SLIPPAGE_BPS || '100', 10); // 1%
+
+const SLIPPAGE_EXCEEDED = 'slippage_exceeded';
+
+/**
+ * Fill breached the order's tolerance
+ * Unrecoverable so BullMQ doesn't retry it with backoff
+ */
+class SlippageError extends UnrecoverableError {
+  constructor(message, details = {}) {
+    super(`${SLIPPAGE_EXCEEDED}: ${message}`);
+    this.name = 'SlippageError';
+    this.reason = SLIPPAGE_EXCEEDED;
+    this.errorClass = ERROR_CLASSES.SLIPPAGE;
+    this.details = details;
+  }
+}
+
+/**
+ * Output received for amountIn at a given price (tokenIn per tokenOut) after the venue fee
+ */
+function amountOutAt(amountIn, price, fee) {
+  return (Number(amountIn) * (1 - fee)) / price;
+}
+
+/**
+ * Expected output from the chosen quote (after price impact when routed)
+ */
+function expectedAmountOut(amountIn, quote) {
+  return amountOutAt(amountIn, quote.effectivePrice || quote.price, quote.fee);
+}
+
+/**
+ * Minimum acceptable output for an order
+ * Explicit minAmountOut wins, otherwise slippageBps (or the default) off the expected output
+ */
+function minAmountOut(order, expectedOut) {
+  if (order.minAmountOut !== undefined && order.minAmountOut !== null) {
+    return Number(order.minAmountOut);
+  }
+  const bps = order.slippageBps !== undefined && order.slippageBps !== null
+    ? Number(order.slippageBps)
+    : DEFAULT_SLIPPAGE_BPS;
+  return expectedOut * (1 - bps / 10000);
+}
+
+/**
+ * Check a fill against the order's tolerance
+ * Throws SlippageError if the filled output is below the minimum
+ */
+function checkFill(order, quote, executedPrice) {
+  const expectedOut = expectedAmountOut(order.amountIn, quote);
+  const minOut = minAmountOut(order, expectedOut);
+  const actualOut = amountOutAt(order.amountIn, executedPrice, quote.fee);
+
+  if (actualOut < minOut) {
+    throw new SlippageError(
+      `filled ${actualOut.toFixed(6)} < min ${minOut.toFixed(6)} (expected ${expectedOut.toFixed(6)})`,
+      { expectedOut, minOut, actualOut }
+    );
+  }
+
+  return { expectedOut, minOut, actualOut };
+}
+
+module.exports = {
+  DEFAULT_SLIPPAGE_BPS,
+  SLIPPAGE_EXCEEDED,
+  SlippageError,
+  amountOutAt,
+  expectedAmountOut,
+  minAmountOut,
+  checkFill,
+};
@@ -0,0 +1,60 @@
+/**
+ * Token Registry
+ * Tradable tokens and their decimals, overridable via TOKEN_REGISTRY:
+ *   TOKEN_REGISTRY='{"SOL":{"decimals":9},"JUP":{"decimals":6}}'
+ */
+
+const DEFAULT_TOKENS = {
+  SOL: { decimals: 9 },
+  USDC: { decimals: 6 },
+  USDT: { decimals: 6 },
+  ETH: { decimals: 8 },
+  BTC: { decimals: 8 },
+  BONK: { decimals: 5 },
+};
+
+/**
+ * Build the registry from env, returns Map(symbol → { symbol, decimals })
+ */
+function loadTokenRegistry(env = process.env) {
+  let tokens = DEFAULT_TOKENS;
+  if (env.TOKEN_REGISTRY) {
+    try {
+      tokens = JSON.parse(env.TOKEN_REGISTRY);
+    } catch (err) {
+      throw new Error(`Invalid TOKEN_REGISTRY JSON: ${err.message}`);
+    }
+  }
+
+  const registry = new Map();
+  Object.entries(tokens).forEach(([symbol, info]) => {
+    const decimals = Number(info && info.decimals);
+    if (!Number.isInteger(decimals) || decimals < 0 || decimals > 18) {
+      throw new Error(`Token ${symbol} needs integer decimals between 0 and 18`);
+    }
+    registry.set(symbol, { ...info, symbol, decimals });
+  });
+  return registry;
+}
+
+const registry = loadTokenRegistry();
+
+function getToken(symbol) {
+  return registry.get(symbol) || null;
+}
+
+function listTokens() {
+  return Array.from(registry.values());
+}
+
+function getRegistry() {
+  return registry;
+}
+
+module.exports = {
+  DEFAULT_TOKENS,
+  loadTokenRegistry,
+  getToken,
+  listTokens,
+  getRegistry,
+};
@@ -0,0 +1,232 @@
+/**
+ * Transaction Builder
+ * Assembles the swap transaction for a routed order (or one split leg):
+ *
+ *   SetComputeUnitLimit   venue's typical units plus overhead, with a safety margin
+ *   SetComputeUnitPrice   priority fee from the fee strategy and recent congestion
+ *   Memo                  order id (and leg), so every order signs uniquely
+ *   <venue> swap          route accounts, amountIn and minAmountOut in smallest units
+ *
+ * It is serialized (base64 JSON) with an estimate of the network cost:
+ *   baseFee     = 5000 lamports per signature
+ *   priorityFee = computeUnitLimit * microLamports / 1,000,000 lamports
+ *
+ * A submission that expires unconfirmed is rebuilt with the priority fee raised
+ * by bumpMultiplier (capped at maxMicroLamports)
+ *
+ * Fee strategy configured via environment:
+ *   FEE_STRATEGY='{"type":"percentile","percentile":75}'   rate paid in recent slots (default)
+ *   FEE_STRATEGY='{"type":"fixed","microLamports":20000}'  constant rate
+ */
+
+const amounts = require('./amounts');
+const { COMPUTE_BUDGET_PROGRAM, deriveAddress } = require('./chain');
+
+const MEMO_PROGRAM = 'MemoSq4gqABAXKb96qnH8TysNcWxMyWCqXgDLGmfcHr';
+const TOKEN_PROGRAM = 'TokenkegQfeZyiNwAJbNbGKPFXCWuBvf9Ss623VQ5DA';
+
+const LAMPORTS_PER_SIGNATURE = 5000;
+const MAX_COMPUTE_UNITS = 1400000;
+const DEFAULT_SWAP_COMPUTE_UNITS = 150000; // venues without their own computeUnits
+const OVERHEAD_COMPUTE_UNITS = 10000; // compute budget and memo instructions
+const COMPUTE_UNIT_MARGIN = 0.2;
+
+const FEE_STRATEGY_TYPES = ['fixed', 'percentile'];
+
+const DEFAULT_FEE_STRATEGY = {
+  type: 'percentile',
+  percentile: 75,
+  microLamports: 10000, // fixed strategy rate
+  minMicroLamports: 1000,
+  maxMicroLamports: 1000000,
+  bumpMultiplier: 2,
+};
+
+/**
+ * Resolve the priority fee strategy from env
+ */
+function loadFeeStrategy(env = process.env) {
+  let config = {};
+  if (env.FEE_STRATEGY) {
+    try {
+      config = JSON.parse(env.FEE_STRATEGY);
+    } catch (err) {
+      throw new Error(`Invalid FEE_STRATEGY JSON: ${err.message}`);
+    }
+  }
+  const strategy = { ...DEFAULT_FEE_STRATEGY, ...config };
+  if (!FEE_STRATEGY_TYPES.includes(strategy.type)) {
+    throw new Error(`Unknown fee strategy '${strategy.type}' (use ${FEE_STRATEGY_TYPES.join(' or ')})`);
+  }
+  return strategy;
+}
+
+/**
+ * Nearest-rank percentile (0-100) of a list of numbers, 0 when empty
+ */
+function percentile(values, p) {
+  if (values.length === 0) return 0;
+  const sorted = [...values].sort((a, b) => a - b);
+  const rank = Math.ceil((p / 100) * sorted.length);
+  return sorted[Math.min(sorted.length, Math.max(1, rank)) - 1];
+}
+
+/**
+ * Compute-unit limit for a swap on a venue, margin included
+ */
+function computeUnitLimit(venue) {
+  const units = (venue.computeUnits || DEFAULT_SWAP_COMPUTE_UNITS) + OVERHEAD_COMPUTE_UNITS;
+  return Math.min(MAX_COMPUTE_UNITS, Math.ceil(units * (1 + COMPUTE_UNIT_MARGIN)));
+}
+
+/**
+ * Network cost in lamports → { baseFee, priorityFee, total }
+ */
+function estimateCost(units, microLamports, signatures = 1) {
+  const baseFee = LAMPORTS_PER_SIGNATURE * signatures;
+  const priorityFee = Math.ceil((units * microLamports) / 1000000);
+  return { baseFee, priorityFee, total: baseFee + priorityFee };
+}
+
+/**
+ * Accounts the venue's swap instruction touches, wallet first (the signer)
+ */
+function routeAccounts(wallet, venue, tokenIn, tokenOut) {
+  const pool = deriveAddress('pool', venue.name, ...[tokenIn, tokenOut].sort());
+  return [
+    { name: 'authority', pubkey: wallet, isSigner: true, isWritable: true },
+    { name: 'pool', pubkey: pool, isSigner: false, isWritable: true },
+    { name: 'poolVaultIn', pubkey: deriveAddress('vault', pool, tokenIn), isSigner: false, isWritable: true },
+    { name: 'poolVaultOut', pubkey: deriveAddress('vault', pool, tokenOut), isSigner: false, isWritable: true },
+    { name: 'userTokenIn', pubkey: deriveAddress('token-account', wallet, tokenIn), isSigner: false, isWritable: true },
+    { name: 'userTokenOut', pubkey: deriveAddress('token-account', wallet, tokenOut), isSigner: false, isWritable: true },
+    { name: 'tokenProgram', pubkey: TOKEN_PROGRAM, isSigner: false, isWritable: false },
+  ];
+}
+
+/**
+ * Combined cost of several built transactions (a split order's legs)
+ * Returns { computeUnitLimit, priorityFee, networkFee, size } like a single one
+ */
+function totalCost(builtList) {
+  const lamports = builtList.reduce((sum, built) => sum + built.cost.total, 0);
+  return {
+    computeUnitLimit: builtList.reduce((sum, built) => sum + built.computeUnitLimit, 0),
+    priorityFee: Math.max(...builtList.map((built) => built.priorityFee)),
+    networkFee: amounts.fromUnits(BigInt(lamports), 'SOL'),
+    size: builtList.reduce((sum, built) => sum + built.size, 0),
+  };
+}
+
+class TransactionBuilder {
+  /**
+   * @param {object} options
+   * @param {SimulatedChain} options.chain - Source of recent prioritization fees
+   * @param {object} [options.strategy] - Fee strategy (see loadFeeStrategy)
+   */
+  constructor({ chain, strategy = DEFAULT_FEE_STRATEGY }) {
+    this.chain = chain;
+    this.strategy = { ...DEFAULT_FEE_STRATEGY, ...strategy };
+  }
+
+  /**
+   * Priority fee in micro-lamports per CU: the strategy's rate, at least
+   * `floor`, within [minMicroLamports, maxMicroLamports]
+   */
+  priorityFee(floor = 0) {
+    const { type, microLamports, minMicroLamports, maxMicroLamports } = this.strategy;
+    const rate = type === 'fixed'
+      ? microLamports
+      : percentile(this.chain.getRecentPrioritizationFees().map((f) => f.prioritizationFee), this.strategy.percentile);
+    return Math.round(Math.min(maxMicroLamports, Math.max(minMicroLamports, rate, floor)));
+  }
+
+  /**
+   * Fee to pay after a transaction at `previous` expired unconfirmed
+   */
+  bumpedFee(previous) {
+    return this.priorityFee(Math.ceil(previous * this.strategy.bumpMultiplier));
+  }
+
+  /**
+   * Network cost in lamports of a swap on a venue at the current rate, before
+   * building it → { baseFee, priorityFee, total }
+   */
+  estimateSwapCost(venue, priorityFee = this.priorityFee()) {
+    return estimateCost(computeUnitLimit(venue), priorityFee);
+  }
+
+  /**
+   * Build the swap transaction for an order on a venue
+   * @param {object} request
+   * @param {string} request.orderId
+   * @param {number|null} [request.legIndex] - Split leg, null for the whole order
+   * @param {string|null} [request.accountId] - Owner; its wallet signs and pays
+   * @param {object} request.order - { tokenIn, tokenOut, amountIn }
+   * @param {object} request.venue - DEX adapter ({ name, programId, computeUnits })
+   * @param {number} request.minAmountOut - Smallest output the swap may accept
+   * @param {number} [request.priorityFee] - Rate to pay instead of the strategy's
+   * Returns { request, message, serialized, size, computeUnitLimit, priorityFee, cost, networkFee }
+   */
+  build(request) {
+    const { orderId, legIndex = null, accountId = null, order, venue, minAmountOut } = request;
+    const priorityFee = request.priorityFee === undefined ? this.priorityFee() : request.priorityFee;
+    const units = computeUnitLimit(venue);
+    const wallet = deriveAddress('wallet', accountId || orderId);
+
+    const message = {
+      feePayer: wallet,
+      instructions: [
+        { programId: COMPUTE_BUDGET_PROGRAM, name: 'SetComputeUnitLimit', data: { units } },
+        { programId: COMPUTE_BUDGET_PROGRAM, name: 'SetComputeUnitPrice', data: { microLamports: priorityFee } },
+        { programId: MEMO_PROGRAM, name: 'Memo', data: { memo: legIndex === null ? orderId : `${orderId}:${legIndex}` } },
+        {
+          programId: venue.programId || deriveAddress('program', venue.name),
+          name: 'swap',
+          accounts: routeAccounts(wallet, venue, order.tokenIn, order.tokenOut),
+          data: {
+            amountIn: amounts.toUnits(order.amountIn, order.tokenIn).toString(),
+            minAmountOut: amounts.toUnits(minAmountOut, order.tokenOut).toString(),
+          },
+        },
+      ],
+    };
+    const serialized = Buffer.from(JSON.stringify(message)).toString('base64');
+    const cost = estimateCost(units, priorityFee);
+
+    return {
+      request,
+      message,
+      serialized,
+      size: Buffer.byteLength(serialized, 'base64'),
+      computeUnitLimit: units,
+      priorityFee,
+      cost,
+      networkFee: amounts.fromUnits(BigInt(cost.total), 'SOL'),
+    };
+  }
+
+  /**
+   * The same transaction with a bumped priority fee
+   */
+  rebuild(built) {
+    return this.build({ ...built.request, priorityFee: this.bumpedFee(built.priorityFee) });
+  }
+}
+
+function createTransactionBuilder(chain, strategy = loadFeeStrategy()) {
+  return new TransactionBuilder({ chain, strategy });
+}
+
+module.exports = {
+  MEMO_PROGRAM,
+  LAMPORTS_PER_SIGNATURE,
+  DEFAULT_FEE_STRATEGY,
+  loadFeeStrategy,
+  percentile,
+  computeUnitLimit,
+  estimateCost,
+  totalCost,
+  TransactionBuilder,
+  createTransactionBuilder,
+};
@@ -0,0 +1,237 @@
+/**
+ * Order Schema Validation
+ * Declarative field rules shared by the server (submission) and worker (before processing)
+ *
+ * validateOrder() returns null or a structured error:
+ *   { code, field, message }
+ */
+
+const { UnrecoverableError } = require('bullmq');
+const tokens = require('./tokens');
+const { ERROR_CLASSES } = require('./errors');
+
+const MAX_AMOUNT = 1e12;
+const MAX_SLIPPAGE_BPS = 5000; // 50%
+const MAX_CLIENT_ORDER_ID_LENGTH = 255;
+const MAX_QUOTE_ID_LENGTH = 2048;
+
+const ERROR_CODES = {
+  INVALID_JSON: 'INVALID_JSON',
+  INVALID_BODY: 'INVALID_BODY',
+  REQUIRED: 'REQUIRED',
+  INVALID_TYPE: 'INVALID_TYPE',
+  INVALID_VALUE: 'INVALID_VALUE',
+  OUT_OF_RANGE: 'OUT_OF_RANGE',
+  TOO_MANY_DECIMALS: 'TOO_MANY_DECIMALS',
+  UNKNOWN_TOKEN: 'UNKNOWN_TOKEN',
+  UNKNOWN_FIELD: 'UNKNOWN_FIELD',
+  NOT_ALLOWED: 'NOT_ALLOWED',
+  CONFLICT: 'CONFLICT',
+};
+
+const isLimit = (order) => order.type === 'limit';
+
+/**
+ * Field rules
+ *   type       'string' | 'number' | 'integer' | 'boolean' | 'token' | 'timestamp'
+ *   required   true, or a predicate on the order
+ *   allowed    predicate on the order; field is rejected when false
+ *   enum       allowed values
+ *   min/max    inclusive bounds, exclusiveMin for strictly positive values
+ *   decimalsOf token field whose decimals cap this amount's precision
+ *   future     timestamp must be in the future (skipped with checkExpiry: false)
+ */
+const ORDER_SCHEMA = {
+  type: { type: 'string', required: true, enum: ['market', 'limit'] },
+  tokenIn: { type: 'token', required: true },
+  tokenOut: { type: 'token', required: true },
+  amountIn: { type: 'number', required: true, exclusiveMin: 0, max: MAX_AMOUNT, decimalsOf: 'tokenIn' },
+  limitPrice: { type: 'number', required: isLimit, allowed: isLimit, exclusiveMin: 0, max: MAX_AMOUNT },
+  expiresAt: { type: 'timestamp', required: isLimit, allowed: isLimit, future: true },
+  slippageBps: { type: 'integer', min: 0, max: MAX_SLIPPAGE_BPS },
+  minAmountOut: { type: 'number', exclusiveMin: 0, max: MAX_AMOUNT, decimalsOf: 'tokenOut' },
+  allowSplit: { type: 'boolean' },
+  clientOrderId: { type: 'string', minLength: 1, maxLength: MAX_CLIENT_ORDER_ID_LENGTH },
+  quoteId: { type: 'string', allowed: (order) => !isLimit(order), minLength: 1, maxLength: MAX_QUOTE_ID_LENGTH },
+};
+
+/**
+ * Checks across fields, run after every field passes
+ */
+const CROSS_FIELD_RULES = [
+  (order) => order.tokenIn === order.tokenOut && {
+    code: ERROR_CODES.INVALID_VALUE,
+    field: 'tokenOut',
+    message: 'tokenOut must differ from tokenIn',
+  },
+  (order) => order.slippageBps != null && order.minAmountOut != null && {
+    code: ERROR_CODES.CONFLICT,
+    field: 'minAmountOut',
+    message: 'specify either slippageBps or minAmountOut, not both',
+  },
+];
+
+/**
+ * Normalize expiresAt (ISO string or epoch ms) to epoch ms, or null if invalid
+ */
+function parseExpiresAt(expiresAt) {
+  if (typeof expiresAt === 'number') return Number.isFinite(expiresAt) ? expiresAt : null;
+  if (typeof expiresAt === 'string' && expiresAt.trim()) {
+    const ms = Date.parse(expiresAt);
+    return Number.isNaN(ms) ? null : ms;
+  }
+  return null;
+}
+
+/**
+ * Decimal places in a number's shortest representation (handles 1e-7)
+ */
+function decimalPlaces(n) {
+  const [mantissa, exponent] = String(n).toLowerCase().split('e');
+  const fraction = (mantissa.split('.')[1] || '').length;
+  return Math.max(0, fraction - Number(exponent || 0));
+}
+
+function fieldError(code, field, message) {
+  return { code, field, message };
+}
+
+function checkType(rule, field, value, registry) {
+  switch (rule.type) {
+    case 'string':
+      if (typeof value !== 'string') return fieldError(ERROR_CODES.INVALID_TYPE, field, `${field} must be a string`);
+      return null;
+    case 'boolean':
+      if (typeof value !== 'boolean') return fieldError(ERROR_CODES.INVALID_TYPE, field, `${field} must be a boolean`);
+      return null;
+    case 'number':
+      if (typeof value !== 'number' || !Number.isFinite(value)) {
+        return fieldError(ERROR_CODES.INVALID_TYPE, field, `${field} must be a number`);
+      }
+      return null;
+    case 'integer':
+      if (!Number.isInteger(value)) return fieldError(ERROR_CODES.INVALID_TYPE, field, `${field} must be an integer`);
+      return null;
+    case 'token':
+      if (typeof value !== 'string') return fieldError(ERROR_CODES.INVALID_TYPE, field, `${field} must be a token symbol`);
+      if (!registry.has(value)) {
+        return fieldError(ERROR_CODES.UNKNOWN_TOKEN, field, `${field} '${value}' is not a supported token`);
+      }
+      return null;
+    case 'timestamp':
+      if (parseExpiresAt(value) === null) {
+        return fieldError(ERROR_CODES.INVALID_TYPE, field, `${field} must be an ISO timestamp or epoch ms`);
+      }
+      return null;
+    default:
+      throw new Error(`Unknown schema type '${rule.type}' for ${field}`);
+  }
+}
+
+function checkField(rule, field, order, { registry, checkExpiry, now }) {
+  const value = order[field];
+  const present = value !== undefined && value !== null;
+  const required = typeof rule.required === 'function' ? rule.required(order) : rule.required;
+  const allowed = rule.allowed ? rule.allowed(order) : true;
+
+  if (!present) {
+    return required ? fieldError(ERROR_CODES.REQUIRED, field, `${field} is required`) : null;
+  }
+  if (!allowed) {
+    return fieldError(ERROR_CODES.NOT_ALLOWED, field, `${field} is not allowed for ${order.type} orders`);
+  }
+
+  const typeError = checkType(rule, field, value, registry);
+  if (typeError) return typeError;
+
+  if (rule.enum && !rule.enum.includes(value)) {
+    return fieldError(ERROR_CODES.INVALID_VALUE, field, `${field} must be one of: ${rule.enum.join(', ')}`);
+  }
+  if (rule.exclusiveMin !== undefined && value <= rule.exclusiveMin) {
+    return fieldError(ERROR_CODES.OUT_OF_RANGE, field, `${field} must be greater than ${rule.exclusiveMin}`);
+  }
+  if (rule.min !== undefined && value < rule.min) {
+    return fieldError(ERROR_CODES.OUT_OF_RANGE, field, `${field} must be at least ${rule.min}`);
+  }
+  if (rule.max !== undefined && value > rule.max) {
+    return fieldError(ERROR_CODES.OUT_OF_RANGE, field, `${field} must be at most ${rule.max}`);
+  }
+  if (rule.minLength !== undefined && value.trim().length < rule.minLength) {
+    return fieldError(ERROR_CODES.INVALID_VALUE, field, `${field} must not be empty`);
+  }
+  if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+    return fieldError(ERROR_CODES.OUT_OF_RANGE, field, `${field} must be at most ${rule.maxLength} characters`);
+  }
+  if (rule.decimalsOf) {
+    const token = registry.get(order[rule.decimalsOf]);
+    if (token && decimalPlaces(value) > token.decimals) {
+      return fieldError(
+        ERROR_CODES.TOO_MANY_DECIMALS,
+        field,
+        `${field} supports at most ${token.decimals} decimals for ${token.symbol}`
+      );
+    }
+  }
+  if (rule.future && checkExpiry && parseExpiresAt(value) <= now()) {
+    return fieldError(ERROR_CODES.OUT_OF_RANGE, field, `${field} must be in the future`);
+  }
+  return null;
+}
+
+/**
+ * Validate an order payload
+ *
+ * @param {object} order
+ * @param {object} [options]
+ * @param {boolean} [options.checkExpiry] - Reject past expiresAt (off in the worker,
+ *   where a triggered limit order may legitimately be close to expiry)
+ * @param {Map} [options.registry] - Token registry (defaults to lib/tokens)
+ * @returns {null|{code, field, message}}
+ */
+function validateOrder(order, { checkExpiry = true, registry, now = Date.now } = {}) {
+  if (!order || typeof order !== 'object' || Array.isArray(order)) {
+    return fieldError(ERROR_CODES.INVALID_BODY, null, 'order must be a JSON object');
+  }
+
+  const tokenRegistry = registry || tokens.getRegistry();
+
+  const unknown = Object.keys(order).find((field) => !ORDER_SCHEMA[field]);
+  if (unknown) {
+    return fieldError(ERROR_CODES.UNKNOWN_FIELD, unknown, `${unknown} is not a recognized field`);
+  }
+
+  for (const [field, rule] of Object.entries(ORDER_SCHEMA)) {
+    const error = checkField(rule, field, order, { registry: tokenRegistry, checkExpiry, now });
+    if (error) return error;
+  }
+
+  for (const rule of CROSS_FIELD_RULES) {
+    const error = rule(order);
+    if (error) return error;
+  }
+
+  return null;
+}
+
+/**
+ * Job payload failed validation in the worker — never retried
+ */
+class InvalidOrderError extends UnrecoverableError {
+  constructor(error) {
+    super(`invalid_order: ${error.field ? `${error.field}: ` : ''}${error.message}`);
+    this.name = 'InvalidOrderError';
+    this.errorClass = ERROR_CLASSES.INVALID_ORDER;
+    this.validation = error;
+  }
+}
+
+module.exports = {
+  ERROR_CODES,
+  ORDER_SCHEMA,
+  MAX_AMOUNT,
+  MAX_SLIPPAGE_BPS,
+  parseExpiresAt,
+  decimalPlaces,
+  validateOrder,
+  InvalidOrderError,
+};
@@ -0,0 +1,427 @@
+/**
+ * Minimal RFC 6455 WebSocket Implementation
+ * Handshake, frame parsing (masked client frames, fragmentation, control frames),
+ * ping/pong heartbeats, and the close handshake
+ */
+
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+
+const WS_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+const OPCODES = {
+  CONTINUATION: 0x0,
+  TEXT: 0x1,
+  BINARY: 0x2,
+  CLOSE: 0x8,
+  PING: 0x9,
+  PONG: 0xa,
+};
+
+const CLOSE_CODES = {
+  NORMAL: 1000,
+  GOING_AWAY: 1001,
+  PROTOCOL_ERROR: 1002,
+  UNSUPPORTED_DATA: 1003,
+  NO_STATUS: 1005,
+  INVALID_PAYLOAD: 1007,
+  POLICY_VIOLATION: 1008,
+  MESSAGE_TOO_BIG: 1009,
+};
+
+const STATES = {
+  OPEN: 'open',
+  CLOSING: 'closing',
+  CLOSED: 'closed',
+};
+
+const DEFAULT_MAX_PAYLOAD = 1024 * 1024; // 1 MB
+const DEFAULT_HEARTBEAT_INTERVAL = 30000;
+const CLOSE_TIMEOUT = 5000;
+
+const utf8Decoder = new TextDecoder('utf-8', { fatal: true });
+
+/**
+ * Protocol violation carrying the close code to send back
+ */
+class WebSocketError extends Error {
+  constructor(message, code = CLOSE_CODES.PROTOCOL_ERROR) {
+    super(message);
+    this.name = 'WebSocketError';
+    this.code = code;
+  }
+}
+
+/**
+ * Compute Sec-WebSocket-Accept for a client key
+ */
+function acceptKey(key) {
+  return crypto.createHash('sha1').update(key + WS_GUID).digest('base64');
+}
+
+/**
+ * Build an unmasked server frame
+ */
+function encodeFrame(opcode, payload = Buffer.alloc(0)) {
+  const len = payload.length;
+  let header;
+
+  if (len < 126) {
+    header = Buffer.alloc(2);
+    header[1] = len;
+  } else if (len < 65536) {
+    header = Buffer.alloc(4);
+    header[1] = 126;
+    header.writeUInt16BE(len, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[1] = 127;
+    header.writeBigUInt64BE(BigInt(len), 2);
+  }
+
+  header[0] = 0x80 | opcode; // FIN + opcode
+  return Buffer.concat([header, payload]);
+}
+
+/**
+ * Build a close frame payload (status code + UTF-8 reason)
+ */
+function encodeClosePayload(code, reason = '') {
+  if (code === undefined || code === CLOSE_CODES.NO_STATUS) return Buffer.alloc(0);
+  const reasonBuf = Buffer.from(reason, 'utf8').subarray(0, 123);
+  const payload = Buffer.alloc(2 + reasonBuf.length);
+  payload.writeUInt16BE(code, 0);
+  reasonBuf.copy(payload, 2);
+  return payload;
+}
+
+/**
+ * Incremental parser for client → server frames
+ * Buffers partial input and returns complete frames as they arrive
+ */
+class FrameParser {
+  constructor({ maxPayload = DEFAULT_MAX_PAYLOAD } = {}) {
+    this.maxPayload = maxPayload;
+    this.buffer = Buffer.alloc(0);
+  }
+
+  /**
+   * Feed raw bytes, returns an array of { fin, opcode, payload }
+   */
+  push(chunk) {
+    this.buffer = this.buffer.length ? Buffer.concat([this.buffer, chunk]) : chunk;
+    const frames = [];
+
+    let frame;
+    while ((frame = this.readFrame())) {
+      frames.push(frame);
+    }
+
+    return frames;
+  }
+
+  readFrame() {
+    const buf = this.buffer;
+    if (buf.length < 2) return null;
+
+    const fin = (buf[0] & 0x80) !== 0;
+    const rsv = buf[0] & 0x70;
+    const opcode = buf[0] & 0x0f;
+    const masked = (buf[1] & 0x80) !== 0;
+    let len = buf[1] & 0x7f;
+    let offset = 2;
+
+    if (rsv !== 0) throw new WebSocketError('RSV bits set without negotiated extension');
+    if (!Object.values(OPCODES).includes(opcode)) throw new WebSocketError(`Unknown opcode ${opcode}`);
+    if (!masked) throw new WebSocketError('Client frames must be masked');
+
+    const isControl = opcode >= OPCODES.CLOSE;
+    if (isControl && (!fin || len > 125)) {
+      throw new WebSocketError('Control frames must be unfragmented with payload <= 125 bytes');
+    }
+
+    if (len === 126) {
+      if (buf.length < offset + 2) return null;
+      len = buf.readUInt16BE(offset);
+      offset += 2;
+    } else if (len === 127) {
+      if (buf.length < offset + 8) return null;
+      const bigLen = buf.readBigUInt64BE(offset);
+      if (bigLen > BigInt(this.maxPayload)) {
+        throw new WebSocketError('Frame payload too large', CLOSE_CODES.MESSAGE_TOO_BIG);
+      }
+      len = Number(bigLen);
+      offset += 8;
+    }
+
+    if (len > this.maxPayload) {
+      throw new WebSocketError('Frame payload too large', CLOSE_CODES.MESSAGE_TOO_BIG);
+    }
+
+    if (buf.length < offset + 4 + len) return null;
+
+    const mask = buf.subarray(offset, offset + 4);
+    offset += 4;
+
+    const payload = Buffer.alloc(len);
+    for (let i = 0; i < len; i++) {
+      payload[i] = buf[offset + i] ^ mask[i % 4];
+    }
+
+    this.buffer = buf.subarray(offset + len);
+    return { fin, opcode, payload };
+  }
+}
+
+/**
+ * Server-side WebSocket connection
+ *
+ * Events:
+ *   'message' (text)         - complete text message from the client
+ *   'close'   (code, reason) - connection fully closed
+ */
+class WebSocketConnection extends EventEmitter {
+  constructor(socket, options = {}) {
+    super();
+    this.socket = socket;
+    this.state = STATES.OPEN;
+    this.maxPayload = options.maxPayload || DEFAULT_MAX_PAYLOAD;
+    this.parser = new FrameParser({ maxPayload: this.maxPayload });
+    this.fragments = null; // { opcode, chunks, size } while a fragmented message is in flight
+    this.isAlive = true;
+    this.closeCode = CLOSE_CODES.NO_STATUS;
+    this.closeReason = '';
+    this.closeTimer = null;
+
+    socket.setNoDelay(true);
+    socket.on('data', (chunk) => this.onData(chunk));
+    socket.on('close', () => this.onSocketClose());
+    socket.on('error', () => socket.destroy());
+
+    const interval = options.heartbeatInterval === undefined
+      ? DEFAULT_HEARTBEAT_INTERVAL
+      : options.heartbeatInterval;
+    this.heartbeat = interval > 0 ? setInterval(() => this.checkAlive(), interval) : null;
+  }
+
+  /**
+   * Send a text message
+   */
+  send(text) {
+    if (this.state !== STATES.OPEN) return false;
+    return this.writeFrame(OPCODES.TEXT, Buffer.from(text, 'utf8'));
+  }
+
+  /**
+   * Send a ping, payload is echoed back in the pong
+   */
+  ping(data = '') {
+    if (this.state !== STATES.OPEN) return false;
+    return this.writeFrame(OPCODES.PING, Buffer.from(data, 'utf8'));
+  }
+
+  /**
+   * Start the close handshake
+   * The socket is destroyed if the peer doesn't answer within CLOSE_TIMEOUT
+   */
+  close(code = CLOSE_CODES.NORMAL, reason = '') {
+    if (this.state !== STATES.OPEN) return;
+    this.state = STATES.CLOSING;
+    this.closeCode = code;
+    this.closeReason = reason;
+    this.writeFrame(OPCODES.CLOSE, encodeClosePayload(code, reason));
+    this.closeTimer = setTimeout(() => this.socket.destroy(), CLOSE_TIMEOUT);
+  }
+
+  /**
+   * Drop the connection without a close handshake
+   */
+  terminate() {
+    this.state = STATES.CLOSING;
+    this.socket.destroy();
+  }
+
+  writeFrame(opcode, payload) {
+    try {
+      this.socket.write(encodeFrame(opcode, payload));
+      return true;
+    } catch (e) {
+      return false;
+    }
+  }
+
+  checkAlive() {
+    if (!this.isAlive) {
+      this.terminate();
+      return;
+    }
+    this.isAlive = false;
+    this.ping();
+  }
+
+  onData(chunk) {
+    if (this.state === STATES.CLOSED) return;
+
+    let frames;
+    try {
+      frames = this.parser.push(chunk);
+    } catch (err) {
+      this.failConnection(err);
+      return;
+    }
+
+    for (const frame of frames) {
+      try {
+        this.handleFrame(frame);
+      } catch (err) {
+        this.failConnection(err);
+        return;
+      }
+      if (this.state === STATES.CLOSED) return;
+    }
+  }
+
+  handleFrame({ fin, opcode, payload }) {
+    this.isAlive = true;
+
+    switch (opcode) {
+      case OPCODES.PING:
+        if (this.state === STATES.OPEN) this.writeFrame(OPCODES.PONG, payload);
+        return;
+
+      case OPCODES.PONG:
+        return;
+
+      case OPCODES.CLOSE:
+        this.handleClose(payload);
+        return;
+
+      case OPCODES.CONTINUATION:
+        if (!this.fragments) throw new WebSocketError('Unexpected continuation frame');
+        this.appendFragment(payload);
+        if (fin) this.finishMessage();
+        return;
+
+      default: // TEXT or BINARY
+        if (this.fragments) throw new WebSocketError('Expected continuation frame');
+        this.fragments = { opcode, chunks: [], size: 0 };
+        this.appendFragment(payload);
+        if (fin) this.finishMessage();
+    }
+  }
+
+  appendFragment(payload) {
+    this.fragments.size += payload.length;
+    if (this.fragments.size > this.maxPayload) {
+      throw new WebSocketError('Message too large', CLOSE_CODES.MESSAGE_TOO_BIG);
+    }
+    this.fragments.chunks.push(payload);
+  }
+
+  finishMessage() {
+    const { opcode, chunks } = this.fragments;
+    this.fragments = null;
+
+    if (this.state !== STATES.OPEN) return;
+    if (opcode !== OPCODES.TEXT) {
+      throw new WebSocketError('Binary messages are not supported', CLOSE_CODES.UNSUPPORTED_DATA);
+    }
+
+    let text;
+    try {
+      text = utf8Decoder.decode(Buffer.concat(chunks));
+    } catch (e) {
+      throw new WebSocketError('Invalid UTF-8 in text message', CLOSE_CODES.INVALID_PAYLOAD);
+    }
+    this.emit('message', text);
+  }
+
+  handleClose(payload) {
+    let code = CLOSE_CODES.NO_STATUS;
+    let reason = '';
+
+    if (payload.length === 1) throw new WebSocketError('Invalid close payload');
+    if (payload.length >= 2) {
+      code = payload.readUInt16BE(0);
+      try {
+        reason = utf8Decoder.decode(payload.subarray(2));
+      } catch (e) {
+        throw new WebSocketError('Invalid UTF-8 in close reason', CLOSE_CODES.INVALID_PAYLOAD);
+      }
+    }
+
+    if (this.state === STATES.OPEN) {
+      // Peer initiated: echo the close frame, then end the TCP connection
+      this.state = STATES.CLOSING;
+      this.closeCode = code;
+      this.closeReason = reason;
+      this.writeFrame(OPCODES.CLOSE, encodeClosePayload(code));
+    }
+
+    this.socket.end();
+  }
+
+  failConnection(err) {
+    if (this.state === STATES.OPEN) {
+      this.state = STATES.CLOSING;
+      this.closeCode = err.code || CLOSE_CODES.PROTOCOL_ERROR;
+      this.closeReason = err.message;
+      this.writeFrame(OPCODES.CLOSE, encodeClosePayload(this.closeCode, err.message));
+    }
+    this.socket.end();
+    this.closeTimer = this.closeTimer || setTimeout(() => this.socket.destroy(), CLOSE_TIMEOUT);
+  }
+
+  onSocketClose() {
+    if (this.state === STATES.CLOSED) return;
+    this.state = STATES.CLOSED;
+    clearInterval(this.heartbeat);
+    clearTimeout(this.closeTimer);
+    this.emit('close', this.closeCode, this.closeReason);
+  }
+}
+
+/**
+ * Validate an HTTP upgrade request and complete the handshake
+ * Returns a WebSocketConnection, or null after rejecting the request
+ */
+function handleUpgrade(req, socket, head, options = {}) {
+  const key = req.headers['sec-websocket-key'];
+  const upgrade = (req.headers.upgrade || '').toLowerCase();
+  const version = req.headers['sec-websocket-version'];
+
+  if (req.method !== 'GET' || upgrade !== 'websocket' || !key || version !== '13') {
+    socket.write(
+      'HTTP/1.1 400 Bad Request\r\n' +
+      'Sec-WebSocket-Version: 13\r\n' +
+      '\r\n'
+    );
+    socket.destroy();
+    return null;
+  }
+
+  socket.write(
+    'HTTP/1.1 101 Switching Protocols\r\n' +
+    'Upgrade: websocket\r\n' +
+    'Connection: Upgrade\r\n' +
+    `Sec-WebSocket-Accept: ${acceptKey(key)}\r\n` +
+    '\r\n'
+  );
+
+  const conn = new WebSocketConnection(socket, options);
+  if (head && head.length) conn.onData(head);
+  return conn;
+}
+
+module.exports = {
+  OPCODES,
+  CLOSE_CODES,
+  STATES,
+  WebSocketError,
+  acceptKey,
+  encodeFrame,
+  encodeClosePayload,
+  FrameParser,
+  WebSocketConnection,
+  handleUpgrade,
+};
@@ -0,0 +1,70 @@
+#!/usr/bin/env node
+
+require('dotenv').config();
+
+/**
+ * Schema migration CLI
+ *
+ *   npm run migrate              apply pending migrations
+ *   npm run migrate status       list applied and pending migrations
+ *   npm run migrate down [n]     roll back the last n migrations (default 1)
+ */
+
+const db = require('./lib/db-client');
+const { createMigrator } = require('./lib/migrations');
+
+const STATE_ICONS = {
+  applied: '✅',
+  pending: '⏳',
+  modified: '⚠️ ',
+  missing: '❓',
+};
+
+async function printStatus(migrator) {
+  const entries = await migrator.status();
+  if (!entries.length) {
+    console.log('No migrations found');
+    return;
+  }
+  entries.forEach((entry) => {
+    const version = String(entry.version).padStart(3, '0');
+    const when = entry.appliedAt ? `  (${new Date(entry.appliedAt).toISOString()})` : '';
+    console.log(`${STATE_ICONS[entry.state]} ${version}_${entry.name.padEnd(32)} ${entry.state}${when}`);
+  });
+}
+
+async function main(args) {
+  const [command = 'up', arg] = args;
+  const migrator = createMigrator(db.pool);
+
+  if (command === 'up') {
+    const applied = await migrator.up();
+    console.log(applied.length ? `✅ Applied ${applied.length} migration(s)` : '✅ Already up to date');
+    return;
+  }
+
+  if (command === 'status') {
+    await printStatus(migrator);
+    return;
+  }
+
+  if (command === 'down') {
+    const steps = arg === undefined ? 1 : Number(arg);
+    if (!Number.isInteger(steps) || steps < 1) {
+      throw new Error(`down expects a positive number of steps, got '${arg}'`);
+    }
+    const rolledBack = await migrator.down(steps);
+    console.log(rolledBack.length ? `✅ Rolled back ${rolledBack.length} migration(s)` : '✅ Nothing to roll back');
+    return;
+  }
+
+  throw new Error(`Unknown command '${command}' (expected up, status or down [n])`);
+}
+
+main(process.argv.slice(2))
+  .then(() => db.close())
+  .catch(async (err) => {
+    console.error(`❌ Migration failed: ${err.message}`);
+    await db.close();
+    process.exit(1);
+  });
@@ -0,0 +1,40 @@
+-- Orders and their indexes
+-- Idempotent so deployments created before migrations adopt it unchanged
+
+CREATE TABLE IF NOT EXISTS orders (
+  id VARCHAR(255) PRIMARY KEY,
+  payload JSONB NOT NULL,
+  status VARCHAR(50) DEFAULT 'pending',
+  dex_chosen VARCHAR(50),
+  quote_price NUMERIC,
+  executed_price NUMERIC,
+  tx_hash VARCHAR(255),
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW(),
+  last_error TEXT,
+  routing JSONB,
+  filled_amount_in NUMERIC,
+  idempotency_key VARCHAR(255),
+  account_id VARCHAR(64),
+  reject_reason VARCHAR(64)
+);
+
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS routing JSONB;
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS filled_amount_in NUMERIC;
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS idempotency_key VARCHAR(255);
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS account_id VARCHAR(64);
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS reject_reason VARCHAR(64);
+
+CREATE INDEX IF NOT EXISTS idx_status ON orders(status);
+CREATE INDEX IF NOT EXISTS idx_created_at ON orders(created_at);
+CREATE INDEX IF NOT EXISTS idx_account_status ON orders(account_id, status, created_at);
+
+-- Order history: keyset pagination per account, pair and venue filters
+CREATE INDEX IF NOT EXISTS idx_account_created ON orders(account_id, created_at, id);
+CREATE INDEX IF NOT EXISTS idx_account_updated ON orders(account_id, updated_at, id);
+CREATE INDEX IF NOT EXISTS idx_pair ON orders((payload->>'tokenIn'), (payload->>'tokenOut'));
+CREATE INDEX IF NOT EXISTS idx_dex_chosen ON orders(dex_chosen);
+
+-- Idempotency keys are unique per account
+DROP INDEX IF EXISTS idx_idempotency_key;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_account_idempotency_key ON orders(account_id, idempotency_key);
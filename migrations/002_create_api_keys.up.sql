@@ -0,0 +1,11 @@
+CREATE TABLE IF NOT EXISTS api_keys (
+  id VARCHAR(64) PRIMARY KEY,
+  account_id VARCHAR(64) NOT NULL,
+  key_hash CHAR(64) NOT NULL UNIQUE,
+  key_prefix VARCHAR(32) NOT NULL,
+  label VARCHAR(255),
+  created_at TIMESTAMP DEFAULT NOW(),
+  revoked_at TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_api_keys_account ON api_keys(account_id);
@@ -0,0 +1,18 @@
+-- Child fills of split orders
+CREATE TABLE IF NOT EXISTS order_legs (
+  order_id VARCHAR(255) NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+  leg_index INTEGER NOT NULL,
+  dex VARCHAR(50) NOT NULL,
+  amount_in NUMERIC NOT NULL,
+  quote_price NUMERIC,
+  expected_out NUMERIC,
+  status VARCHAR(50) DEFAULT 'pending',
+  executed_price NUMERIC,
+  tx_hash VARCHAR(255),
+  last_error TEXT,
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW(),
+  PRIMARY KEY (order_id, leg_index)
+);
+
+CREATE INDEX IF NOT EXISTS idx_order_legs_dex ON order_legs(dex, order_id);
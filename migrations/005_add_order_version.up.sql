@@ -0,0 +1,2 @@
+-- Optimistic concurrency for status transitions: every update bumps version
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS version INTEGER NOT NULL DEFAULT 0;
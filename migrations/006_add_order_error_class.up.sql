@@ -0,0 +1,2 @@
+-- Error class of the last failure (lib/errors.js), drives the retry policy
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS error_class VARCHAR(50);
@@ -0,0 +1,8 @@
+ALTER TABLE order_legs DROP COLUMN IF EXISTS fee_amount;
+ALTER TABLE order_legs DROP COLUMN IF EXISTS amount_out;
+
+ALTER TABLE orders DROP COLUMN IF EXISTS effective_rate;
+ALTER TABLE orders DROP COLUMN IF EXISTS fee_amount;
+ALTER TABLE orders DROP COLUMN IF EXISTS amount_out;
+ALTER TABLE orders DROP COLUMN IF EXISTS min_amount_out;
+ALTER TABLE orders DROP COLUMN IF EXISTS expected_amount_out;
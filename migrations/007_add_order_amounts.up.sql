@@ -0,0 +1,9 @@
+-- Token-unit swap results at each token's decimals (lib/amounts.js)
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS expected_amount_out NUMERIC;
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS min_amount_out NUMERIC;
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS amount_out NUMERIC;
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS fee_amount NUMERIC;
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS effective_rate NUMERIC;
+
+ALTER TABLE order_legs ADD COLUMN IF NOT EXISTS amount_out NUMERIC;
+ALTER TABLE order_legs ADD COLUMN IF NOT EXISTS fee_amount NUMERIC;
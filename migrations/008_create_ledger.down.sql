@@ -0,0 +1,4 @@
+DROP TABLE IF EXISTS journal_entries;
+DROP TABLE IF EXISTS balance_reservations;
+DROP TABLE IF EXISTS balances;
+DROP TABLE IF EXISTS accounts;
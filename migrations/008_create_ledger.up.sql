@@ -0,0 +1,46 @@
+-- Simulated wallet ledger (lib/ledger.js)
+
+CREATE TABLE IF NOT EXISTS accounts (
+  id VARCHAR(64) PRIMARY KEY,
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+-- Overdrafts fail on the CHECK constraints instead of needing a row lock
+CREATE TABLE IF NOT EXISTS balances (
+  account_id VARCHAR(64) NOT NULL REFERENCES accounts(id),
+  token VARCHAR(20) NOT NULL,
+  available NUMERIC NOT NULL DEFAULT 0 CONSTRAINT balances_available_non_negative CHECK (available >= 0),
+  reserved NUMERIC NOT NULL DEFAULT 0 CONSTRAINT balances_reserved_non_negative CHECK (reserved >= 0),
+  updated_at TIMESTAMP DEFAULT NOW(),
+  PRIMARY KEY (account_id, token)
+);
+
+-- amountIn held for an order from submission until it settles or is released
+CREATE TABLE IF NOT EXISTS balance_reservations (
+  order_id VARCHAR(255) PRIMARY KEY,
+  account_id VARCHAR(64) NOT NULL REFERENCES accounts(id),
+  token_in VARCHAR(20) NOT NULL,
+  token_out VARCHAR(20) NOT NULL,
+  amount NUMERIC NOT NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'held', -- held, settled, released
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_reservations_account ON balance_reservations(account_id, status);
+
+-- Double-entry journal: the entries of one txn_id sum to zero per token
+CREATE TABLE IF NOT EXISTS journal_entries (
+  id BIGSERIAL PRIMARY KEY,
+  txn_id VARCHAR(64) NOT NULL,
+  kind VARCHAR(20) NOT NULL,             -- deposit, withdrawal, reserve, release, settle
+  ledger_account VARCHAR(100) NOT NULL,  -- account:<id>:available|reserved, external, venue:<dex>
+  token VARCHAR(20) NOT NULL,
+  amount NUMERIC NOT NULL,               -- signed
+  order_id VARCHAR(255),
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_journal_txn ON journal_entries(txn_id);
+CREATE INDEX IF NOT EXISTS idx_journal_order ON journal_entries(order_id);
+CREATE INDEX IF NOT EXISTS idx_journal_account ON journal_entries(ledger_account, created_at);
@@ -0,0 +1,4 @@
+ALTER TABLE order_legs DROP COLUMN IF EXISTS slot;
+
+ALTER TABLE orders DROP COLUMN IF EXISTS slot;
+ALTER TABLE orders DROP COLUMN IF EXISTS commitment;
@@ -0,0 +1,5 @@
+-- On-chain confirmation progress (lib/chain.js): processed → confirmed → finalized
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS commitment VARCHAR(20);
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS slot BIGINT;
+
+ALTER TABLE order_legs ADD COLUMN IF NOT EXISTS slot BIGINT;
@@ -0,0 +1,8 @@
+ALTER TABLE order_legs DROP COLUMN IF EXISTS network_fee;
+ALTER TABLE order_legs DROP COLUMN IF EXISTS priority_fee;
+ALTER TABLE order_legs DROP COLUMN IF EXISTS tx_payload;
+
+ALTER TABLE orders DROP COLUMN IF EXISTS network_fee;
+ALTER TABLE orders DROP COLUMN IF EXISTS priority_fee;
+ALTER TABLE orders DROP COLUMN IF EXISTS compute_unit_limit;
+ALTER TABLE orders DROP COLUMN IF EXISTS tx_payload;
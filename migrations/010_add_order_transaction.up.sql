@@ -0,0 +1,9 @@
+-- Built swap transaction and its network cost (lib/transaction-builder.js)
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS tx_payload TEXT;
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS compute_unit_limit INTEGER;
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS priority_fee BIGINT;
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS network_fee NUMERIC;
+
+ALTER TABLE order_legs ADD COLUMN IF NOT EXISTS tx_payload TEXT;
+ALTER TABLE order_legs ADD COLUMN IF NOT EXISTS priority_fee BIGINT;
+ALTER TABLE order_legs ADD COLUMN IF NOT EXISTS network_fee NUMERIC;
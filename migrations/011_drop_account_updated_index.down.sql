@@ -0,0 +1 @@
+CREATE INDEX IF NOT EXISTS idx_account_updated ON orders(account_id, updated_at, id);
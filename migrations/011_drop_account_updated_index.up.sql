@@ -0,0 +1,2 @@
+-- Order history only pages by (created_at, id); the updated_at sort was dropped
+DROP INDEX IF EXISTS idx_account_updated;
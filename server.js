@@ -19,10 +19,37 @@ const url = require('url');
 const crypto = require('crypto');
 const fs = require('fs');
 const path = require('path');
-const { Queue } = require('bullmq');
-const redis = require('./lib/redis-client');
 const db = require('./lib/db-client');
 const activeOrders = require('./lib/active-orders');
+const limitOrders = require('./lib/limit-orders');
+const cancellation = require('./lib/cancellation');
+const idempotency = require('./lib/idempotency');
+const { orderQueue, enqueueOrder, JOB_OPTIONS } = require('./lib/order-queue');
+const { createRouter, shareMarketSeed, split, usdValue } = require('./lib/dex');
+const orderEvents = require('./lib/order-events');
+const websocket = require('./lib/websocket');
+const { validateOrder, ERROR_CODES } = require('./lib/validation');
+const auth = require('./lib/auth');
+const redis = require('./lib/redis-client');
+const { createRateLimiter, rateLimitHeaders } = require('./lib/rate-limit');
+const { createRiskChecker } = require('./lib/risk');
+const orderHistory = require('./lib/order-history');
+const orderState = require('./lib/order-state');
+const deadLetter = require('./lib/dead-letter');
+const quotes = require('./lib/quotes');
+const { createLedger, parseTransferRequest, LEDGER_ERRORS } = require('./lib/ledger');
+const { createChain, loadChainConfig } = require('./lib/chain');
+const transactionBuilder = require('./lib/transaction-builder');
+
+const dexRouter = createRouter();
+// Prices the network fees of split legs in quotes, like the worker does
+const txBuilder = transactionBuilder.createTransactionBuilder(createChain(loadChainConfig()));
+const rateLimiter = createRateLimiter(redis);
+const riskChecker = createRiskChecker({ redis, db });
+const deadLetters = deadLetter.createDeadLetterQueue(redis);
+const ledger = createLedger(db.pool);
+
+const SPLIT_MIN_AMOUNT = parseFloat(process.env.SPLIT_MIN_AMOUNT || String(split.DEFAULT_SPLIT_MIN_AMOUNT));
 
 // ============ UTILITIES ============
 
@@ -30,27 +57,887 @@ function uuidv4() {
   return `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
 }
 
-// ============ BULLMQ QUEUE ============
+/**
+ * Write a structured error body: { error: { code, field, message }, ...extra }
+ */
+function sendError(res, httpStatus, code, field, message, extra = {}) {
+  res.writeHead(httpStatus, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify({ error: { code, field, message }, ...extra }));
+}
 
-const orderQueue = new Queue('order-queue', { connection: redis });
+function sendJson(res, httpStatus, body) {
+  res.writeHead(httpStatus, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
 
-orderQueue.on('error', (err) => {
-  console.error('❌ Queue error:', err.message);
-});
+/**
+ * Read and parse a JSON request body (max 1MB)
+ * Resolves to the parsed value, or undefined after an error response was sent
+ * With optional, an empty body resolves to null
+ */
+function readJsonBody(req, res, { optional = false } = {}) {
+  return new Promise((resolve) => {
+    let body = '';
+    let tooLarge = false;
+
+    req.on('data', (chunk) => {
+      if (tooLarge) return;
+      body += chunk.toString('utf8');
+      if (body.length > 1e6) {
+        tooLarge = true;
+        sendError(res, 413, 'PAYLOAD_TOO_LARGE', null, 'Payload too large');
+        resolve(undefined);
+      }
+    });
+
+    req.on('end', () => {
+      if (tooLarge) return;
+      if (optional && body.trim() === '') {
+        resolve(null);
+        return;
+      }
+      try {
+        resolve(JSON.parse(body));
+      } catch (err) {
+        sendError(res, 400, ERROR_CODES.INVALID_JSON, null, `Invalid JSON: ${err.message}`);
+        resolve(undefined);
+      }
+    });
+  });
+}
+
+// ============ AUTHENTICATION ============
+
+function sendUnauthorized(res) {
+  res.setHeader('WWW-Authenticate', 'Bearer');
+  sendError(res, 401, 'UNAUTHORIZED', 'Authorization', 'Missing, invalid or revoked API key');
+}
+
+/**
+ * Client address; X-Forwarded-For is only trusted behind a proxy (TRUST_PROXY=true)
+ */
+function clientIp(req) {
+  const forwarded = req.headers['x-forwarded-for'];
+  if (process.env.TRUST_PROXY === 'true' && typeof forwarded === 'string') {
+    return forwarded.split(',')[0].trim();
+  }
+  return req.socket.remoteAddress;
+}
+
+/**
+ * Orders without an account (created before API keys) belong to nobody
+ */
+function ownsOrder(order, account) {
+  return Boolean(order) && order.account_id === account.accountId;
+}
+
+// ============ RATE LIMITING ============
+
+/**
+ * Rate limit bucket owner: the account, or the client IP before authentication
+ */
+function rateLimitIdentity(req, account) {
+  return account ? `acct:${account.accountId}` : `ip:${clientIp(req)}`;
+}
+
+/**
+ * Take from a bucket and set usage headers; sends 429 and returns false when exhausted
+ */
+async function applyRateLimit(res, name, identity, cost = 1) {
+  const result = await rateLimiter.take(name, identity, cost);
+  Object.entries(rateLimitHeaders(name, result)).forEach(([header, value]) => res.setHeader(header, value));
+  if (result.allowed) return true;
+
+  console.log(`🚦 RATE LIMITED ${identity} (${name})`);
+  const retryAfter = Number(res.getHeader('Retry-After'));
+  sendError(res, 429, 'RATE_LIMITED', null,
+    `Too many ${name === 'requests' ? 'requests' : 'order submissions'}, retry in ${retryAfter}s`, { retryAfter });
+  return false;
+}
+
+// ============ IDEMPOTENCY ============
+
+/**
+ * Find a prior submission under an idempotency key, reserving the key for
+ * orderId when there is none. Returns { orderId, fingerprint } or null
+ */
+async function findPriorSubmission(accountId, key, orderId, payloadFingerprint) {
+  const { reserved, record } = await idempotency.reserveKey(accountId, key, orderId, payloadFingerprint);
+  if (!reserved) return record;
+
+  // Redis entry may have expired while the order row remains
+  const row = await db.getOrderByIdempotencyKey(accountId, key);
+  if (row) {
+    const prior = { orderId: row.id, fingerprint: idempotency.fingerprint(row.payload) };
+    await idempotency.rememberKey(accountId, key, prior.orderId, prior.fingerprint);
+    return prior;
+  }
+  return null;
+}
+
+/**
+ * Answer a repeated submission: original order, or 409 if the payload changed
+ * or the original is still being placed (its order may never be stored)
+ */
+async function respondWithPrior(res, prior, payloadFingerprint) {
+  const order = await db.getOrder(prior.orderId);
+  const cached = order ? null : await activeOrders.getActiveOrder(prior.orderId);
+  const status = order ? order.status : cached && cached.status;
+
+  const outcome = idempotency.classifyReplay(prior, payloadFingerprint, status);
+  if (outcome === 'conflict') {
+    sendError(res, 409, 'IDEMPOTENCY_CONFLICT', 'Idempotency-Key',
+      'Idempotency key already used with a different payload', { orderId: prior.orderId });
+    return;
+  }
+  if (outcome === 'in_progress') {
+    res.setHeader('Retry-After', '1');
+    sendError(res, 409, 'IDEMPOTENCY_IN_PROGRESS', 'Idempotency-Key',
+      'A submission with this idempotency key is still in progress, retry shortly', { retryAfter: 1 });
+    return;
+  }
+
+  console.log(`   ↩️  Idempotent replay of [${prior.orderId.substring(0, 12)}]`);
+  res.writeHead(200, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify({ orderId: prior.orderId, status, idempotentReplay: true }));
+}
+
+// ============ CANCELLATION ============
+
+// BullMQ states where the job hasn't started and can be removed outright
+const REMOVABLE_JOB_STATES = ['waiting', 'delayed', 'prioritized', 'paused', 'waiting-children'];
+
+/**
+ * Returns db.transitionOrder()'s result; invalid when the order moved on
+ */
+async function markCancelled(orderId) {
+  const result = await db.transitionOrder(orderId, 'cancelled');
+  if (result.invalid) return result;
+  await ledger.release(orderId);
+  await activeOrders.removeActiveOrder(orderId);
+  await orderEvents.publishStatus(orderId, 'cancelled');
+  return result;
+}
+
+function cancelledResponse(orderId, result) {
+  if (result.invalid) {
+    return { httpStatus: 409, body: { error: `Order already ${result.from}, cannot cancel`, status: result.from } };
+  }
+  return { httpStatus: 200, body: { orderId, status: 'cancelled' } };
+}
+
+/**
+ * Cancel one of the account's orders, returns { httpStatus, body }
+ * Waiting limit orders and queued jobs are cancelled immediately; jobs already
+ * in processOrder() are flagged and cancelled at the worker's next checkpoint
+ */
+async function cancelOrder(orderId, account) {
+  const order = await db.getOrder(orderId);
+  if (!ownsOrder(order, account)) {
+    return { httpStatus: 404, body: { error: 'Order not found' } };
+  }
+  if (!orderState.canTransition(order.status, 'cancelled')) {
+    return { httpStatus: 409, body: { error: `Order already ${order.status}, cannot cancel`, status: order.status } };
+  }
+
+  // Limit order still on the book
+  if (await limitOrders.claimLimitOrder(orderId)) {
+    return cancelledResponse(orderId, await markCancelled(orderId));
+  }
+
+  const job = await orderQueue.getJob(orderId);
+  if (job && REMOVABLE_JOB_STATES.includes(await job.getState())) {
+    try {
+      await job.remove();
+      return cancelledResponse(orderId, await markCancelled(orderId));
+    } catch (err) {
+      // Locked by a worker in the meantime, fall through to cooperative cancel
+    }
+  }
+
+  const requested = await cancellation.requestCancel(orderId);
+  if (!requested.success) {
+    return { httpStatus: 503, body: { orderId, error: 'Cancel could not be requested, retry later' } };
+  }
+  return { httpStatus: 202, body: { orderId, status: 'cancelling' } };
+}
+
+// ============ DEAD-LETTER QUEUE ============
+
+/**
+ * Send a dead-lettered order back to order-queue with a fresh attempt budget
+ * Returns { httpStatus, body }
+ */
+async function redriveOrder(orderId, attempts) {
+  const entry = await deadLetters.claim(orderId);
+  if (!entry) {
+    return { httpStatus: 404, body: { orderId, error: 'Order not in dead-letter queue' } };
+  }
+
+  // The failed order's balance was released; hold it again for the new attempts
+  const reserved = entry.accountId ? await ledger.reserve(orderId, entry.accountId, entry.payload) : { success: true };
+  if (!reserved.success) {
+    await deadLetters.add(entry);
+    return reserved.insufficient
+      ? { httpStatus: 422, body: { orderId, error: 'Insufficient balance to re-drive', code: LEDGER_ERRORS.INSUFFICIENT_BALANCE } }
+      : { httpStatus: 503, body: { orderId, error: 'Balance could not be reserved, retry later' } };
+  }
+
+  const moved = await db.transitionOrder(orderId, 'retrying', { redriven: true, attempts });
+  if (!moved.success) {
+    await ledger.release(orderId);
+    await deadLetters.add(entry);
+    return moved.invalid
+      ? { httpStatus: 409, body: { orderId, error: moved.error, status: moved.from } }
+      : { httpStatus: 503, body: { orderId, error: 'Order could not be updated, retry later' } };
+  }
+
+  // The failed job still holds jobId = orderId, which would make the re-add a no-op
+  const previous = await orderQueue.getJob(orderId);
+  if (previous) await previous.remove();
+
+  const { payload } = entry;
+  await activeOrders.setActiveOrder(orderId, {
+    type: payload.type,
+    tokenIn: payload.tokenIn,
+    tokenOut: payload.tokenOut,
+    amountIn: payload.amountIn,
+    status: 'retrying',
+  });
+  await enqueueOrder(orderId, payload, { attempts });
+  await orderEvents.publishStatus(orderId, 'retrying', { redriven: true, attempts });
+
+  console.log(`♻️  RE-DRIVEN [${orderId.substring(0, 12)}] with ${attempts} attempt(s)`);
+  return { httpStatus: 200, body: { orderId, status: 'retrying', attempts } };
+}
 
 // ============ WEBSOCKET CLIENTS ============
 
-const wsClients = new Map();
+// orderId → WebSocket connections watching that order
+const subscriptions = orderEvents.createOrderSubscriptions({
+  getActiveOrder: activeOrders.getActiveOrder,
+  getOrder: db.getOrder,
+  ownsOrder,
+});
+
+// Worker status transitions arrive over Redis pub/sub
+orderEvents.subscribeStatus((update) => subscriptions.broadcast(update));
+
+// ============ QUOTES ============
+
+/**
+ * GET /api/quotes — price a swap on every venue without executing it
+ * Routes exactly like the worker, so the recommended route is what a
+ * submission with the returned quoteId will execute
+ */
+async function sendQuote(res, query, account) {
+  const request = quotes.parseQuoteQuery(query);
+  if (request.error) {
+    sendError(res, 400, request.error.code, request.error.field, request.error.message);
+    return;
+  }
+
+  const { tokenIn, tokenOut, amountIn } = request;
+  const { ranked, failures, summary } = await dexRouter.route(tokenIn, tokenOut, amountIn);
+  if (!ranked.length) {
+    const err = dexRouter.noQuotesError(tokenIn, tokenOut, failures);
+    sendError(res, 503, 'NO_QUOTES', null, err.message, { errorClass: err.errorClass, failures });
+    return;
+  }
+  const shallow = dexRouter.liquidityError(ranked, tokenIn, tokenOut, amountIn);
+  if (shallow) {
+    sendError(res, 422, 'INSUFFICIENT_LIQUIDITY', 'amountIn', shallow.message, { errorClass: shallow.errorClass });
+    return;
+  }
+
+  const splitPlan = split.chooseSplit(ranked, request, {
+    minAmount: SPLIT_MIN_AMOUNT,
+    referencePrices: dexRouter.market.referencePrices,
+    legCost: (dex) => txBuilder.estimateSwapCost(dexRouter.registry.get(dex)).total,
+  });
+  const route = quotes.recommendedRoute(ranked, splitPlan, request);
+  const { quoteId, quote } = quotes.issueQuote(account.accountId, request, route);
+  console.log(`💬 QUOTE ${amountIn} ${tokenIn} → ${tokenOut} (${account.accountId}): ${route.dex || 'split'} net ${route.expectedAmountOut} ${tokenOut}`);
+
+  sendJson(res, 200, {
+    quoteId,
+    expiresAt: new Date(quote.expiresAt).toISOString(),
+    tokenIn,
+    tokenOut,
+    amountIn,
+    venues: summary.venues,
+    failures,
+    route,
+  });
+}
+
+// ============ BALANCES ============
+
+/**
+ * POST /api/balances/deposit|withdraw — move simulated funds in or out of an account
+ */
+async function transferBalance(req, res, account, direction) {
+  const data = await readJsonBody(req, res);
+  if (data === undefined) return;
+
+  const request = parseTransferRequest(data);
+  if (request.error) {
+    sendError(res, 400, request.error.code, request.error.field, request.error.message);
+    return;
+  }
+
+  const { token, amount } = request;
+  const result = direction === 'deposit'
+    ? await ledger.deposit(account.accountId, token, amount)
+    : await ledger.withdraw(account.accountId, token, amount);
+  if (result.insufficient) {
+    sendError(res, 422, LEDGER_ERRORS.INSUFFICIENT_BALANCE, 'amount', `Available ${token} balance does not cover ${amount}`);
+    return;
+  }
+  if (!result.success) {
+    sendError(res, 503, 'DATABASE_UNAVAILABLE', null, 'Balance could not be updated, retry later');
+    return;
+  }
+
+  console.log(`💰 ${direction.toUpperCase()} ${amount} ${token} (${account.accountId})`);
+  sendJson(res, 200, { accountId: account.accountId, ...result.balance });
+}
+
+// ============ ORDER HISTORY ============
+
+/**
+ * Answer a history listing; accountId scopes it to one account
+ */
+async function sendOrderList(res, query, { accountId = null, allowAccount = false } = {}) {
+  const parsed = orderHistory.parseOrderListQuery(query, { allowAccount });
+  if (parsed.error) {
+    sendError(res, 400, parsed.error.code, parsed.error.field, parsed.error.message);
+    return;
+  }
+
+  const filters = accountId ? { ...parsed.filters, accountId } : parsed.filters;
+  const result = await db.listOrders(filters, parsed.page);
+  if (!result) {
+    sendError(res, 503, 'DATABASE_UNAVAILABLE', null, 'Orders could not be read, retry later');
+    return;
+  }
+  sendJson(res, 200, {
+    orders: result.orders,
+    count: result.orders.length,
+    total: result.total,
+    nextCursor: result.nextCursor,
+  });
+}
+
+// ============ ADMIN API ============
+
+/**
+ * /api/admin/* — API keys, kill switch, dead-letter queue and system-wide stats
+ * Authenticated with ADMIN_API_KEY; disabled when it isn't set
+ */
+async function handleAdmin(req, res, parsedUrl) {
+  const pathname = parsedUrl.pathname;
+
+  if (!process.env.ADMIN_API_KEY) {
+    sendError(res, 403, 'ADMIN_DISABLED', null, 'Admin API disabled, set ADMIN_API_KEY to enable it');
+    return;
+  }
+  if (!auth.isAdminRequest(req)) {
+    sendUnauthorized(res);
+    return;
+  }
+
+  // ===== POST /api/admin/keys - Create API key =====
+  if (pathname === '/api/admin/keys' && req.method === 'POST') {
+    const data = await readJsonBody(req, res);
+    if (data === undefined) return;
+
+    const accountId = data && data.accountId;
+    if (!auth.isValidAccountId(accountId)) {
+      sendError(res, 400, ERROR_CODES.INVALID_VALUE, 'accountId',
+        'accountId must be 1-64 characters of letters, digits, _ . or -');
+      return;
+    }
+    if (data.label !== undefined && typeof data.label !== 'string') {
+      sendError(res, 400, ERROR_CODES.INVALID_TYPE, 'label', 'label must be a string');
+      return;
+    }
+
+    const created = await auth.createApiKey(accountId, data.label || null);
+    if (!created.success) {
+      sendError(res, 503, 'DATABASE_UNAVAILABLE', null, 'API key could not be stored, retry later');
+      return;
+    }
+    console.log(`🔑 API KEY CREATED for ${accountId} (${created.record.key_prefix}…)`);
+    sendJson(res, 201, { ...created.record, key: created.key });
+    return;
+  }
+
+  // ===== GET /api/admin/keys - List API keys =====
+  if (pathname === '/api/admin/keys' && req.method === 'GET') {
+    const keys = await db.listApiKeys(parsedUrl.query.accountId || null);
+    sendJson(res, 200, { keys, count: keys.length });
+    return;
+  }
+
+  // ===== DELETE /api/admin/keys/:id - Revoke API key =====
+  const keyMatch = pathname.match(/^\/api\/admin\/keys\/([^/]+)$/);
+  if (keyMatch && req.method === 'DELETE') {
+    const revoked = await db.revokeApiKey(keyMatch[1]);
+    if (!revoked) {
+      sendError(res, 404, 'NOT_FOUND', null, 'API key not found');
+      return;
+    }
+    console.log(`🔑 API KEY REVOKED ${revoked.key_prefix}… (${revoked.account_id})`);
+    sendJson(res, 200, revoked);
+    return;
+  }
+
+  // ===== GET /api/admin/orders - Order history across accounts =====
+  if (pathname === '/api/admin/orders' && req.method === 'GET') {
+    await sendOrderList(res, parsedUrl.query, { allowAccount: true });
+    return;
+  }
+
+  // ===== GET /api/admin/kill-switch - Trading halt state =====
+  if (pathname === '/api/admin/kill-switch' && req.method === 'GET') {
+    const state = await riskChecker.getKillSwitch();
+    sendJson(res, 200, { enabled: Boolean(state), ...state });
+    return;
+  }
+
+  // ===== POST /api/admin/kill-switch - Halt or resume trading =====
+  if (pathname === '/api/admin/kill-switch' && req.method === 'POST') {
+    const data = await readJsonBody(req, res);
+    if (data === undefined) return;
+
+    if (!data || typeof data.enabled !== 'boolean') {
+      sendError(res, 400, ERROR_CODES.INVALID_TYPE, 'enabled', 'enabled must be a boolean');
+      return;
+    }
+    if (data.reason !== undefined && typeof data.reason !== 'string') {
+      sendError(res, 400, ERROR_CODES.INVALID_TYPE, 'reason', 'reason must be a string');
+      return;
+    }
+
+    const state = await riskChecker.setKillSwitch(data.enabled, data.reason || null);
+    console.log(data.enabled ? `🛑 KILL SWITCH ENGAGED${data.reason ? ` (${data.reason})` : ''}` : `▶️  KILL SWITCH RELEASED`);
+    sendJson(res, 200, { enabled: data.enabled, ...state });
+    return;
+  }
+
+  // ===== GET /api/admin/dlq - Dead-lettered orders, newest first =====
+  if (pathname === '/api/admin/dlq' && req.method === 'GET') {
+    const page = deadLetter.parseListQuery(parsedUrl.query);
+    if (page.error) {
+      sendError(res, 400, page.error.code, page.error.field, page.error.message);
+      return;
+    }
+    const result = await deadLetters.list(page);
+    if (!result) {
+      sendError(res, 503, 'DLQ_UNAVAILABLE', null, 'Dead-letter queue could not be read, retry later');
+      return;
+    }
+    sendJson(res, 200, { ...result, limit: page.limit, offset: page.offset });
+    return;
+  }
+
+  // ===== POST /api/admin/dlq/redrive - Re-drive a batch =====
+  if (pathname === '/api/admin/dlq/redrive' && req.method === 'POST') {
+    const data = await readJsonBody(req, res);
+    if (data === undefined) return;
+
+    const parsed = deadLetter.parseRedriveRequest(data, { batch: true, defaultAttempts: JOB_OPTIONS.attempts });
+    if (parsed.error) {
+      sendError(res, 400, parsed.error.code, parsed.error.field, parsed.error.message);
+      return;
+    }
+    const results = [];
+    for (const orderId of parsed.orderIds) {
+      const { httpStatus, body } = await redriveOrder(orderId, parsed.attempts);
+      results.push({ ...body, httpStatus });
+    }
+    sendJson(res, 200, {
+      redriven: results.filter((r) => r.httpStatus === 200).length,
+      failed: results.filter((r) => r.httpStatus !== 200).length,
+      results,
+    });
+    return;
+  }
+
+  // ===== POST /api/admin/dlq/:orderId/redrive - Re-drive one order =====
+  const redriveMatch = pathname.match(/^\/api\/admin\/dlq\/([^/]+)\/redrive$/);
+  if (redriveMatch && req.method === 'POST') {
+    const data = await readJsonBody(req, res, { optional: true });
+    if (data === undefined) return;
+
+    const parsed = deadLetter.parseRedriveRequest(data, { defaultAttempts: JOB_OPTIONS.attempts });
+    if (parsed.error) {
+      sendError(res, 400, parsed.error.code, parsed.error.field, parsed.error.message);
+      return;
+    }
+    const { httpStatus, body } = await redriveOrder(redriveMatch[1], parsed.attempts);
+    sendJson(res, httpStatus, body);
+    return;
+  }
+
+  // ===== GET /api/admin/dlq/:orderId - Inspect a dead letter =====
+  const dlqMatch = pathname.match(/^\/api\/admin\/dlq\/([^/]+)$/);
+  if (dlqMatch && req.method === 'GET') {
+    const entry = await deadLetters.get(dlqMatch[1]);
+    if (!entry) {
+      sendError(res, 404, 'NOT_FOUND', null, 'Order not in dead-letter queue');
+      return;
+    }
+    const events = await db.getOrderEvents(entry.orderId);
+    sendJson(res, 200, { ...entry, events: events || [] });
+    return;
+  }
+
+  // ===== GET /api/admin/stats - System-wide stats =====
+  if (pathname === '/api/admin/stats' && req.method === 'GET') {
+    const [activeCount, jobCounts, completed, failed, waitingCount, deadLetterCount] = await Promise.all([
+      activeOrders.getActiveOrderCount(),
+      orderQueue.getJobCounts('active'),
+      orderQueue.getJobCounts('completed'),
+      orderQueue.getJobCounts('failed'),
+      limitOrders.getWaitingOrderCount(),
+      deadLetters.count(),
+    ]);
+    sendJson(res, 200, {
+      activeOrders: activeCount,
+      waitingLimitOrders: waitingCount,
+      queuedJobs: jobCounts.active,
+      completedJobs: completed.completed || 0,
+      failedJobs: failed.failed || 0,
+      deadLetteredOrders: deadLetterCount,
+    });
+    return;
+  }
+
+  sendJson(res, 404, { error: 'Not Found' });
+}
+
+// ============ ACCOUNT API ============
+
+// Order statuses counted as in flight in account stats
+const IN_FLIGHT_STATUSES = ['pending', 'routing', 'building', 'submitted', 'retrying'];
+
+/**
+ * Authenticated /api/* routes, scoped to the caller's account
+ */
+async function handleApi(req, res, parsedUrl, account) {
+  const pathname = parsedUrl.pathname;
+
+  // ===== GET /api/orders - Order history (filters + cursor pagination) =====
+  if (pathname === '/api/orders' && req.method === 'GET') {
+    await sendOrderList(res, parsedUrl.query, { accountId: account.accountId });
+    return;
+  }
+
+  // ===== POST /api/orders/:id/cancel - Cancel order =====
+  const cancelMatch = pathname.match(/^\/api\/orders\/([^/]+)\/cancel$/);
+  if (cancelMatch && req.method === 'POST') {
+    const orderId = cancelMatch[1];
+    try {
+      const { httpStatus, body } = await cancelOrder(orderId, account);
+      console.log(`🛑 CANCEL [${orderId.substring(0, 12)}] → ${body.status || body.error}`);
+      sendJson(res, httpStatus, body);
+    } catch (err) {
+      console.error('❌ Cancel error:', err.message);
+      sendJson(res, 500, { error: 'Cancel failed' });
+    }
+    return;
+  }
+
+  // ===== GET /api/orders/:id/events - Status timeline =====
+  const eventsMatch = pathname.match(/^\/api\/orders\/([^/]+)\/events$/);
+  if (eventsMatch && req.method === 'GET') {
+    const orderId = eventsMatch[1];
+    const order = await db.getOrder(orderId);
+    if (!ownsOrder(order, account)) {
+      sendJson(res, 404, { error: 'Order not found' });
+      return;
+    }
+    const events = await db.getOrderEvents(orderId);
+    if (!events) {
+      sendJson(res, 503, { error: 'Order events unavailable' });
+      return;
+    }
+    sendJson(res, 200, { orderId, events });
+    return;
+  }
+
+  // ===== GET /api/orders/:id - Get order details =====
+  const orderMatch = pathname.match(/^\/api\/orders\/([^/]+)$/);
+  if (orderMatch && orderMatch[1] !== 'execute' && req.method === 'GET') {
+    const orderId = orderMatch[1];
+    const [order, legs] = await Promise.all([db.getOrder(orderId), db.getOrderLegs(orderId)]);
+    if (!ownsOrder(order, account)) {
+      sendJson(res, 404, { error: 'Order not found' });
+      return;
+    }
+    sendJson(res, 200, legs.length ? { ...order, legs } : order);
+    return;
+  }
+
+  // ===== GET /api/stats - Account stats =====
+  if (pathname === '/api/stats' && req.method === 'GET') {
+    const byStatus = await db.getOrderCountsByStatus(account.accountId);
+    const count = (statuses) => statuses.reduce((sum, s) => sum + (byStatus[s] || 0), 0);
+    sendJson(res, 200, {
+      accountId: account.accountId,
+      activeOrders: count(IN_FLIGHT_STATUSES),
+      waitingLimitOrders: count(['waiting']),
+      completedOrders: count(['confirmed', 'partially_filled']),
+      failedOrders: count(['failed']),
+      rejectedOrders: count(['rejected']),
+      byStatus,
+    });
+    return;
+  }
+
+  // ===== GET /api/balances - Available and reserved balance per token =====
+  if (pathname === '/api/balances' && req.method === 'GET') {
+    const balances = await ledger.getBalances(account.accountId);
+    if (!balances) {
+      sendJson(res, 503, { error: 'Balances unavailable' });
+      return;
+    }
+    sendJson(res, 200, { accountId: account.accountId, balances });
+    return;
+  }
+
+  // ===== POST /api/balances/deposit|withdraw - Simulated transfers =====
+  const transferMatch = pathname.match(/^\/api\/balances\/(deposit|withdraw)$/);
+  if (transferMatch && req.method === 'POST') {
+    await transferBalance(req, res, account, transferMatch[1]);
+    return;
+  }
+
+  // ===== GET /api/quotes - Price a swap without executing it =====
+  if (pathname === '/api/quotes' && req.method === 'GET') {
+    await sendQuote(res, parsedUrl.query, account);
+    return;
+  }
+
+  // ===== GET /api/dex - Configured venues and health =====
+  if (pathname === '/api/dex' && req.method === 'GET') {
+    const health = await dexRouter.health();
+    const venues = dexRouter.registry.list().map((adapter) => ({
+      dex: adapter.name,
+      fee: adapter.fee,
+      supportedPairs: adapter.supportedPairs,
+      ...health.find((h) => h.dex === adapter.name),
+    }));
+    sendJson(res, 200, { venues });
+    return;
+  }
+
+  // ===== POST /api/orders/execute - Submit order =====
+  if (pathname === '/api/orders/execute' && req.method === 'POST') {
+    await submitOrder(req, res, account);
+    return;
+  }
+
+  // Fallback 404
+  sendJson(res, 404, { error: 'Not Found' });
+}
+
+/**
+ * POST /api/orders/execute
+ */
+async function submitOrder(req, res, account) {
+  const { accountId } = account;
+  let idempotencyKey = null;
+  let keyReserved = false;
+  let quote = null;
+  let quoteClaimed = false;
+  let balanceReserved = false;
+  let notionalCharged = 0;
+  const orderId = uuidv4();
+  const shortId = orderId.substring(0, 12);
+
+  // Notional volume only counts for accepted orders
+  const refundNotional = async () => {
+    await rateLimiter.refund('notional', rateLimitIdentity(req, account), notionalCharged);
+    notionalCharged = 0;
+  };
+
+  // Undo reservations for an order that won't be placed
+  const releaseReservations = async () => {
+    if (keyReserved) await idempotency.releaseKey(accountId, idempotencyKey);
+    if (quoteClaimed) await quotes.releaseQuote(redis, quote);
+    if (balanceReserved) await ledger.release(orderId);
+    await refundNotional();
+  };
+
+  const data = await readJsonBody(req, res);
+  if (data === undefined) return;
+
+  const validationError = validateOrder(data);
+  if (validationError) {
+    sendError(res, 400, validationError.code, validationError.field, validationError.message);
+    return;
+  }
+
+  // Orders against a quote must match it and arrive within its validity window
+  if (data.quoteId) {
+    const verified = quotes.verifyQuote(data.quoteId, accountId, data);
+    if (verified.error) {
+      sendError(res, verified.httpStatus, verified.error.code, verified.error.field, verified.error.message);
+      return;
+    }
+    quote = verified.quote;
+  }
+
+  try {
+    const resolved = idempotency.resolveKey(req.headers['idempotency-key'], data);
+    if (resolved.error) {
+      sendError(res, 400, 'INVALID_IDEMPOTENCY_KEY', 'Idempotency-Key', resolved.error);
+      return;
+    }
+    idempotencyKey = resolved.key;
+    const payloadFingerprint = idempotencyKey ? idempotency.fingerprint(data) : null;
+
+    console.log(`\n📥 NEW ORDER [${shortId}] (${accountId})`);
+    console.log(`   ${data.amountIn} ${data.tokenIn} → ${data.tokenOut}`);
+
+    // Retries with the same key return the original order
+    if (idempotencyKey) {
+      const prior = await findPriorSubmission(accountId, idempotencyKey, orderId, payloadFingerprint);
+      if (prior) {
+        await respondWithPrior(res, prior, payloadFingerprint);
+        return;
+      }
+      keyReserved = true;
+    }
+
+    // A quote executes at most once
+    if (quote) {
+      if (!(await quotes.claimQuote(redis, quote))) {
+        await releaseReservations();
+        sendError(res, 409, quotes.QUOTE_ERRORS.QUOTE_ALREADY_USED, 'quoteId', 'Quote has already been used');
+        return;
+      }
+      quoteClaimed = true;
+    }
+
+    // Notional volume (USD, valued like the risk limits) is charged up front so
+    // concurrent submissions can't overshoot it, and refunded unless the order
+    // is accepted; idempotent replays never reach here
+    const orderValue = usdValue(data.amountIn, data.tokenIn, riskChecker.config.referencePrices) || 0;
+    const notional = await rateLimiter.take('notional', rateLimitIdentity(req, account), orderValue);
+    Object.entries(rateLimitHeaders('notional', notional)).forEach(([header, value]) => res.setHeader(header, value));
+    if (!notional.allowed) {
+      await releaseReservations();
+      if (!Number.isFinite(notional.retryAfterMs)) {
+        sendError(res, 400, ERROR_CODES.OUT_OF_RANGE, 'amountIn',
+          `Order value exceeds the per-minute notional limit of ${notional.limit} USD`);
+        return;
+      }
+      const retryAfter = Number(res.getHeader('Retry-After'));
+      console.log(`   🚦 Notional limit reached, retry in ${retryAfter}s`);
+      sendError(res, 429, 'NOTIONAL_LIMIT_EXCEEDED', 'amountIn',
+        `Per-minute notional limit of ${notional.limit} USD reached, retry in ${retryAfter}s`, { retryAfter });
+      return;
+    }
+    notionalCharged = orderValue;
+
+    const isLimit = data.type === 'limit';
+    const status = isLimit ? 'waiting' : 'pending';
+
+    // Pre-trade risk checks; rejected orders are still saved for the record
+    let rejection = await riskChecker.checkOrder(data, accountId);
+
+    // Hold amountIn until the worker settles or releases it
+    if (!rejection) {
+      const reserved = await ledger.reserve(orderId, accountId, data);
+      if (reserved.insufficient) {
+        rejection = {
+          code: LEDGER_ERRORS.INSUFFICIENT_BALANCE,
+          field: 'amountIn',
+          message: `Available ${data.tokenIn} balance does not cover amountIn ${data.amountIn}`,
+        };
+      } else if (!reserved.success) {
+        await releaseReservations();
+        sendError(res, 503, 'DATABASE_UNAVAILABLE', null, 'Balance could not be reserved, retry later');
+        return;
+      } else {
+        balanceReserved = true;
+      }
+    }
+
+    // Save to database
+    const saved = await db.saveOrder(orderId, data, { status, idempotencyKey, accountId, rejection });
+    if (saved.duplicate) {
+      // Another server won the race on the unique index
+      const row = await db.getOrderByIdempotencyKey(accountId, idempotencyKey);
+      const prior = { orderId: row.id, fingerprint: idempotency.fingerprint(row.payload) };
+      keyReserved = false;
+      await releaseReservations();
+      await idempotency.rememberKey(accountId, idempotencyKey, prior.orderId, prior.fingerprint);
+      await respondWithPrior(res, prior, payloadFingerprint);
+      return;
+    }
+    if (!saved.success) {
+      await releaseReservations();
+      sendError(res, 503, 'DATABASE_UNAVAILABLE', null, 'Order could not be persisted, retry later');
+      return;
+    }
+
+    if (rejection) {
+      await refundNotional();
+      console.log(`   ⛔ REJECTED ${rejection.code}: ${rejection.message}`);
+      sendError(res, 422, rejection.code, rejection.field, rejection.message, { orderId, status: 'rejected' });
+      return;
+    }
+
+    // Set in active orders cache
+    await activeOrders.setActiveOrder(orderId, {
+      type: data.type,
+      tokenIn: data.tokenIn,
+      tokenOut: data.tokenOut,
+      amountIn: data.amountIn,
+      ...(isLimit && { limitPrice: data.limitPrice, expiresAt: data.expiresAt }),
+      status,
+    });
+
+    if (isLimit) {
+      // Worker re-quotes the book and enqueues once the limit is crossed
+      await limitOrders.addLimitOrder(orderId, data);
+      console.log(`   ⏳ Waiting for price <= ${data.limitPrice}`);
+    } else {
+      // Enqueue to BullMQ
+      await enqueueOrder(orderId, data);
+      console.log(`   ✅ Enqueued to queue`);
+    }
+
+    sendJson(res, 200, { orderId, status });
+  } catch (err) {
+    console.error('❌ Order submission error:', err.message);
+    await releaseReservations();
+    sendError(res, 500, 'INTERNAL_ERROR', null, 'Order submission failed');
+  }
+}
 
 // ============ HTTP SERVER ============
 
 const PORT = parseInt(process.env.PORT || '3000', 10);
+const CORS_ORIGIN = process.env.CORS_ORIGIN || '*';
+
+function handleFailure(res, err) {
+  console.error('❌ Request error:', err.message);
+  if (!res.headersSent) sendError(res, 500, 'INTERNAL_ERROR', null, 'Request failed');
+}
 
 const server = http.createServer((req, res) => {
   // Enable CORS
-  res.setHeader('Access-Control-Allow-Origin', '*');
-  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+  res.setHeader('Access-Control-Allow-Origin', CORS_ORIGIN);
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, DELETE, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-API-Key, Idempotency-Key');
+  res.setHeader('Access-Control-Expose-Headers', 'Retry-After, X-RateLimit-Requests-Limit, X-RateLimit-Requests-Remaining, '
+    + 'X-RateLimit-Orders-Limit, X-RateLimit-Orders-Remaining, X-RateLimit-Notional-Limit, X-RateLimit-Notional-Remaining');
 
   if (req.method === 'OPTIONS') {
     res.writeHead(204);
@@ -76,204 +963,87 @@ const server = http.createServer((req, res) => {
     return;
   }
 
-  // ===== GET /api/orders - List orders =====
-  if (pathname === '/api/orders' && req.method === 'GET') {
-    const status = parsedUrl.query.status || 'pending';
-    db.getOrdersByStatus(status, 50).then((orders) => {
-      res.writeHead(200, { 'Content-Type': 'application/json' });
-      res.end(JSON.stringify({ orders, count: orders.length }));
-    });
-    return;
-  }
-
-  // ===== GET /api/orders/:id - Get order details =====
-  if (pathname.startsWith('/api/orders/') && pathname !== '/api/orders/execute' && req.method === 'GET') {
-    const orderId = pathname.split('/')[3];
-    db.getOrder(orderId).then((order) => {
-      if (!order) {
-        res.writeHead(404, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ error: 'Order not found' }));
-        return;
-      }
-      res.writeHead(200, { 'Content-Type': 'application/json' });
-      res.end(JSON.stringify(order));
-    });
-    return;
-  }
-
-  // ===== GET /api/stats - System stats =====
-  if (pathname === '/api/stats' && req.method === 'GET') {
-    Promise.all([
-      activeOrders.getActiveOrderCount(),
-      orderQueue.getJobCounts('active'),
-      orderQueue.getJobCounts('completed'),
-      orderQueue.getJobCounts('failed'),
-    ]).then(([activeCount, jobCounts, completed, failed]) => {
-      res.writeHead(200, { 'Content-Type': 'application/json' });
-      res.end(JSON.stringify({
-        activeOrders: activeCount,
-        queuedJobs: jobCounts.active,
-        completedJobs: completed.completed || 0,
-        failedJobs: failed.failed || 0,
-      }));
-    });
+  if (pathname.startsWith('/api/admin/')) {
+    handleAdmin(req, res, parsedUrl).catch((err) => handleFailure(res, err));
     return;
   }
 
-  // ===== POST /api/orders/execute - Submit order =====
-  if (pathname === '/api/orders/execute' && req.method === 'POST') {
-    let body = '';
-
-    req.on('data', (chunk) => {
-      body += chunk.toString('utf8');
-      if (body.length > 1e6) {
-        res.writeHead(413, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ error: 'Payload too large' }));
-      }
-    });
+  if (pathname.startsWith('/api/')) {
+    auth.authenticate(req).then(async (account) => {
+      // Unauthenticated callers share the requests bucket of their IP
+      const isSubmission = account && pathname === '/api/orders/execute' && req.method === 'POST';
+      const allowed = await applyRateLimit(res, isSubmission ? 'orders' : 'requests', rateLimitIdentity(req, account));
+      if (!allowed) return;
 
-    req.on('end', async () => {
-      try {
-        const data = JSON.parse(body);
-
-        if (!data || data.type !== 'market' || !data.tokenIn || !data.tokenOut || !data.amountIn) {
-          res.writeHead(400, { 'Content-Type': 'application/json' });
-          res.end(JSON.stringify({ error: 'invalid order. required: type=market, tokenIn, tokenOut, amountIn' }));
-          return;
-        }
-
-        const orderId = uuidv4();
-        const shortId = orderId.substring(0, 12);
-
-        console.log(`\n📥 NEW ORDER [${shortId}]`);
-        console.log(`   ${data.amountIn} ${data.tokenIn} → ${data.tokenOut}`);
-
-        // Save to database
-        await db.saveOrder(orderId, data);
-
-        // Set in active orders cache
-        await activeOrders.setActiveOrder(orderId, {
-          type: data.type,
-          tokenIn: data.tokenIn,
-          tokenOut: data.tokenOut,
-          amountIn: data.amountIn,
-        });
-
-        // Enqueue to BullMQ
-        await orderQueue.add('order', data, {
-          jobId: orderId,
-          attempts: 3,
-          backoff: {
-            type: 'exponential',
-            delay: 500,
-          },
-          removeOnComplete: true,
-        });
-
-        console.log(`   ✅ Enqueued to queue`);
-
-        res.writeHead(200, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ orderId }));
-      } catch (err) {
-        console.error('❌ Order submission error:', err.message);
-        res.writeHead(400, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ error: 'Invalid JSON' }));
+      if (!account) {
+        sendUnauthorized(res);
+        return;
       }
-    });
+      await handleApi(req, res, parsedUrl, account);
+    }).catch((err) => handleFailure(res, err));
     return;
   }
 
   // Fallback 404
-  res.writeHead(404, { 'Content-Type': 'application/json' });
-  res.end(JSON.stringify({ error: 'Not Found' }));
+  sendJson(res, 404, { error: 'Not Found' });
 });
 
 // ============ WEBSOCKET HANDLER ============
 
-server.on('upgrade', (req, socket, head) => {
+server.on('upgrade', async (req, socket, head) => {
+  // Raw sockets have no error listener until the WebSocket takes over; without
+  // one a client reset during the API key lookup would crash the process
+  const onSocketError = (err) => {
+    console.error('❌ WebSocket socket error:', err.message);
+    socket.destroy();
+  };
+  socket.on('error', onSocketError);
+
   const parsedUrl = url.parse(req.url, true);
   const pathname = parsedUrl.pathname;
   const query = parsedUrl.query;
 
-  if (pathname === '/api/orders/execute') {
-    const orderId = query.orderId;
-    if (!orderId) {
-      socket.write('HTTP/1.1 400 Bad Request\r\n\r\n');
-      socket.destroy();
-      return;
-    }
+  if (pathname !== '/api/orders/execute') {
+    socket.write('HTTP/1.1 404 Not Found\r\n\r\n');
+    socket.destroy();
+    return;
+  }
 
-    // Upgrade to WebSocket
-    const key = req.headers['sec-websocket-key'];
-    const hash = crypto
-      .createHash('sha1')
-      .update(key + '258EAFA5-E914-47DA-95CA-C5AB0DC85B11')
-      .digest('base64');
-
-    socket.write(
-      'HTTP/1.1 101 Switching Protocols\r\n' +
-      'Upgrade: websocket\r\n' +
-      'Connection: Upgrade\r\n' +
-      `Sec-WebSocket-Accept: ${hash}\r\n` +
-      '\r\n'
-    );
-
-    const send = (msg) => {
-      try {
-        const buf = Buffer.from(msg);
-        const frame = createWebSocketFrame(buf);
-        socket.write(frame);
-      } catch (e) {
-        // ignore
-      }
-    };
+  // Browsers can't set headers on WebSocket requests, so ?apiKey= is accepted here
+  let account = null;
+  try {
+    account = await auth.authenticate(req, query, { allowQuery: true });
+  } catch (err) {
+    console.error('❌ WebSocket auth error:', err.message);
+  }
+  if (socket.destroyed) return; // client went away during the lookup
+  if (!account) {
+    socket.write('HTTP/1.1 401 Unauthorized\r\nWWW-Authenticate: Bearer\r\n\r\n');
+    socket.destroy();
+    return;
+  }
 
-    const shortId = orderId.substring(0, 12);
-    console.log(`🔌 WEBSOCKET CONNECTED [${shortId}]`);
-    wsClients.set(orderId, send);
+  const conn = websocket.handleUpgrade(req, socket, head);
+  if (!conn) return;
+  socket.off('error', onSocketError); // the connection handles socket errors from here
 
-    socket.on('close', () => {
-      console.log(`🔌 WEBSOCKET DISCONNECTED [${shortId}]`);
-      wsClients.delete(orderId);
-    });
+  // Orders this connection is watching
+  const watching = new Set();
+  console.log(`🔌 WEBSOCKET CONNECTED (${account.accountId})`);
 
-    socket.on('error', () => {
-      wsClients.delete(orderId);
-    });
-  } else {
-    socket.write('HTTP/1.1 404 Not Found\r\n\r\n');
-    socket.destroy();
+  conn.on('message', (text) => subscriptions.handleMessage(conn, account, watching, text));
+
+  conn.on('close', (code) => {
+    console.log(`🔌 WEBSOCKET DISCONNECTED (${code}, ${watching.size} subscription(s))`);
+    subscriptions.disconnect(conn, watching);
+  });
+
+  // ?orderId=... subscribes immediately, kept for single-order clients
+  if (typeof query.orderId === 'string' && query.orderId) {
+    subscriptions.subscribe(conn, account, watching, query.orderId);
   }
 });
 
-// ============ WEBSOCKET FRAME BUILDER ============
-
-function createWebSocketFrame(payload) {
-  const len = payload.length;
-  let frame;
-
-  if (len < 126) {
-    frame = Buffer.alloc(len + 2);
-    frame[0] = 0x81;
-    frame[1] = len;
-    payload.copy(frame, 2);
-  } else if (len < 65536) {
-    frame = Buffer.alloc(len + 4);
-    frame[0] = 0x81;
-    frame[1] = 126;
-    frame.writeUInt16BE(len, 2);
-    payload.copy(frame, 4);
-  } else {
-    frame = Buffer.alloc(len + 10);
-    frame[0] = 0x81;
-    frame[1] = 127;
-    frame.writeBigUInt64BE(BigInt(len), 2);
-    payload.copy(frame, 10);
-  }
-
-  return frame;
-}
-
 // ============ INITIALIZE & START ============
 
 async function start() {
@@ -284,22 +1054,36 @@ async function start() {
   // Initialize database
   await db.initDb();
 
+  // Quotes (server) and fills (worker) must come from the same simulated market
+  await shareMarketSeed(redis, dexRouter.market);
+
   server.listen(PORT, '0.0.0.0', () => {
     console.log('📊 System Configuration:');
     console.log(`   ✓ HTTP Server: http://localhost:${PORT}`);
     console.log(`   ✓ WebSocket: ws://localhost:${PORT}`);
     console.log(`   ✓ Queue: BullMQ (Redis-backed)`);
     console.log(`   ✓ Database: PostgreSQL`);
-    console.log(`   ✓ Cache: Redis (active orders)\n`);
+    console.log(`   ✓ Cache: Redis (active orders)`);
+    console.log(`   ✓ Market seed: ${dexRouter.market.seed} (shared with the worker)\n`);
 
     console.log('📋 API Endpoints:');
-    console.log(`   POST   /api/orders/execute      - Submit market order`);
-    console.log(`   GET    /api/orders              - List orders (status query param)`);
+    console.log(`   POST   /api/orders/execute      - Submit market or limit order`);
+    console.log(`   GET    /api/orders              - Order history (filters, cursor pagination)`);
     console.log(`   GET    /api/orders/:id          - Get order details`);
-    console.log(`   GET    /api/stats               - System statistics\n`);
+    console.log(`   GET    /api/orders/:id/events   - Order status timeline`);
+    console.log(`   POST   /api/orders/:id/cancel   - Cancel order`);
+    console.log(`   GET    /api/stats               - Account statistics`);
+    console.log(`   GET    /api/balances            - Account balances (available + reserved)`);
+    console.log(`   POST   /api/balances/deposit    - Deposit simulated funds`);
+    console.log(`   POST   /api/balances/withdraw   - Withdraw available funds`);
+    console.log(`   GET    /api/quotes              - Quote a swap on every venue (signed quoteId)`);
+    console.log(`   GET    /api/dex                 - DEX venues and health`);
+    console.log(`   *      /api/admin/...           - API keys, kill switch, dead-letter queue, system stats (ADMIN_API_KEY)\n`);
 
     console.log('🔄 Order Lifecycle:');
-    console.log('   1. pending → 2. routing → 3. building → 4. submitted → 5. confirmed\n');
+    console.log('   1. pending → 2. routing → 3. building → 4. submitted → 5. confirmed');
+    console.log('   (limit orders: waiting → pending once price is reached, or expired)');
+    console.log('   (failed attempts: → retrying → pending, failed once attempts run out)\n');
 
     console.log('🎯 Ready to process orders!\n');
   });
@@ -0,0 +1,46 @@
+/**
+ * Swap Amount Tests
+ * Tests cover: per-token decimals, rounding down, fees and effective rate
+ *
+ * To run: npm test
+ * (No external services required)
+ */
+
+const amounts = require('../lib/amounts');
+const { loadTokenRegistry } = require('../lib/tokens');
+
+describe('Swap Amounts', () => {
+  test('Amounts keep exactly the token decimals, rounded down', () => {
+    expect(amounts.formatAmount(1.23456789, 'USDC')).toBe('1.234567');
+    expect(amounts.formatAmount(0.1 + 0.2, 'SOL')).toBe('0.300000000');
+    expect(amounts.formatAmount(2.9999999999, 'USDC')).toBe('2.999999');
+    expect(amounts.formatAmount(12345.678, 'BONK')).toBe('12345.67800');
+    expect(amounts.formatAmount(-0.5, 'USDC')).toBe('0.000000');
+    expect(() => amounts.formatAmount(1, 'DOGE')).toThrow(/Unknown token DOGE/);
+  });
+
+  test('Custom registries set the precision', () => {
+    const registry = loadTokenRegistry({ TOKEN_REGISTRY: '{"PTS":{"decimals":0}}' });
+
+    expect(amounts.formatAmount(7.9, 'PTS', { registry })).toBe('7');
+  });
+
+  test('Swap takes the venue fee from the output, in tokenOut units', () => {
+    // 1500 USDC at 150 USDC per SOL, 0.3% fee
+    const result = amounts.swapAmounts({ amountIn: 1500, tokenOut: 'SOL', price: 150, fee: 0.003 });
+
+    expect(result).toEqual({
+      grossAmountOut: '10.000000000',
+      feeAmount: '0.030000000',
+      amountOut: '9.970000000',
+      effectiveRate: '0.00664666666667',
+    });
+  });
+
+  test('Totals of split legs report the combined fee and rate', () => {
+    const result = amounts.totals({ amountIn: 1000, tokenOut: 'USDC', grossOut: 8, feeAmount: 0.06 });
+
+    expect(result).toMatchObject({ amountOut: '7.940000', feeAmount: '0.060000', effectiveRate: '0.00794' });
+    expect(amounts.formatRate(0, 0)).toBeNull();
+  });
+});
@@ -0,0 +1,62 @@
+/**
+ * API Key Authentication Tests
+ * Tests cover: key generation, hashing, header/query extraction, admin check
+ *
+ * To run: npm test
+ * (No external services required)
+ */
+
+const auth = require('../lib/auth');
+
+const request = (headers = {}) => ({ headers });
+
+describe('API Key Auth', () => {
+  test('Generated keys are prefixed, random, and hashed deterministically', () => {
+    const a = auth.generateApiKey();
+    const b = auth.generateApiKey();
+
+    expect(a.startsWith(auth.KEY_PREFIX)).toBe(true);
+    expect(a).not.toBe(b);
+    expect(auth.hashApiKey(a)).toMatch(/^[0-9a-f]{64}$/);
+    expect(auth.hashApiKey(a)).toBe(auth.hashApiKey(a));
+    expect(auth.hashApiKey(a)).not.toContain(a);
+    expect(a.startsWith(auth.displayPrefix(a))).toBe(true);
+  });
+
+  test('Extracts keys from Authorization and X-API-Key headers', () => {
+    expect(auth.extractApiKey(request({ authorization: 'Bearer oxe_abc' }))).toBe('oxe_abc');
+    expect(auth.extractApiKey(request({ authorization: 'bearer  oxe_abc' }))).toBe('oxe_abc');
+    expect(auth.extractApiKey(request({ 'x-api-key': ' oxe_def ' }))).toBe('oxe_def');
+    expect(auth.extractApiKey(request({ authorization: 'Basic dXNlcjpwYXNz' }))).toBeNull();
+    expect(auth.extractApiKey(request())).toBeNull();
+  });
+
+  test('Query-string keys are only accepted when allowed', () => {
+    const query = { apiKey: 'oxe_ws' };
+
+    expect(auth.extractApiKey(request(), query)).toBeNull();
+    expect(auth.extractApiKey(request(), query, { allowQuery: true })).toBe('oxe_ws');
+  });
+
+  test('Unknown-format keys never reach the database', async () => {
+    await expect(auth.authenticate(request({ authorization: 'Bearer not-a-key' }))).resolves.toBeNull();
+    await expect(auth.authenticate(request())).resolves.toBeNull();
+  });
+
+  test('Admin requests must match ADMIN_API_KEY', () => {
+    const req = request({ authorization: 'Bearer s3cret-admin' });
+
+    expect(auth.isAdminRequest(req, 's3cret-admin')).toBe(true);
+    expect(auth.isAdminRequest(req, 'other')).toBe(false);
+    expect(auth.isAdminRequest(req, undefined)).toBe(false);
+    expect(auth.isAdminRequest(request(), 's3cret-admin')).toBe(false);
+  });
+
+  test('Validates account ids', () => {
+    expect(auth.isValidAccountId('acme-trading_1')).toBe(true);
+    expect(auth.isValidAccountId('')).toBe(false);
+    expect(auth.isValidAccountId('has space')).toBe(false);
+    expect(auth.isValidAccountId('x'.repeat(65))).toBe(false);
+    expect(auth.isValidAccountId(42)).toBe(false);
+  });
+});
@@ -0,0 +1,68 @@
+/**
+ * Cancellation Flag Tests
+ * Tests cover: flag lifecycle (set, check, throw, clear), Redis failures
+ *
+ * To run: npm test
+ * (No external services required)
+ */
+
+// In-memory stand-in for the Redis commands the flags use
+jest.mock('../lib/redis-client', () => {
+  const values = new Map();
+  return {
+    ttls: new Map(),
+    failing: false,
+    async setex(key, ttl, value) {
+      if (this.failing) throw new Error('connection lost');
+      values.set(key, value);
+      this.ttls.set(key, ttl);
+    },
+    async exists(key) {
+      if (this.failing) throw new Error('connection lost');
+      return values.has(key) ? 1 : 0;
+    },
+    async del(key) { values.delete(key); },
+  };
+});
+
+const { UnrecoverableError } = require('bullmq');
+const redis = require('../lib/redis-client');
+const cancellation = require('../lib/cancellation');
+
+describe('Cancellation', () => {
+  afterEach(() => { redis.failing = false; });
+
+  test('A requested cancel is flagged until cleared', async () => {
+    expect(await cancellation.isCancelRequested('order-1')).toBe(false);
+
+    expect(await cancellation.requestCancel('order-1')).toEqual({ success: true });
+    expect(await cancellation.isCancelRequested('order-1')).toBe(true);
+    expect(await cancellation.isCancelRequested('order-2')).toBe(false);
+    expect(redis.ttls.get('cancel:order-1')).toBe(3600);
+
+    await cancellation.clearCancel('order-1');
+    expect(await cancellation.isCancelRequested('order-1')).toBe(false);
+  });
+
+  test('Worker checkpoints throw an unrecoverable OrderCancelledError once flagged', async () => {
+    await expect(cancellation.throwIfCancelled('order-3')).resolves.toBeUndefined();
+
+    await cancellation.requestCancel('order-3');
+    const checkpoint = cancellation.throwIfCancelled('order-3');
+    await expect(checkpoint).rejects.toThrow(cancellation.OrderCancelledError);
+    await expect(cancellation.throwIfCancelled('order-3')).rejects.toBeInstanceOf(UnrecoverableError);
+
+    await cancellation.clearCancel('order-3');
+    await expect(cancellation.throwIfCancelled('order-3')).resolves.toBeUndefined();
+  });
+
+  test('Redis failures report the flag unset instead of throwing', async () => {
+    const spy = jest.spyOn(console, 'error').mockImplementation(() => {});
+    redis.failing = true;
+
+    expect(await cancellation.requestCancel('order-4')).toEqual({ success: false, error: 'connection lost' });
+    expect(await cancellation.isCancelRequested('order-4')).toBe(false);
+    await expect(cancellation.throwIfCancelled('order-4')).resolves.toBeUndefined();
+    spy.mockRestore();
+  });
+});
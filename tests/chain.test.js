@@ -0,0 +1,169 @@
+/**
+ * Simulated Chain Tests
+ * Tests cover: slots and blockhashes, signatures, commitment levels, dropped
+ * transactions, congestion, rebroadcast and re-signing after blockhash expiry,
+ * eviction of settled signatures
+ *
+ * To run: npm test
+ * (No external services required)
+ */
+
+const {
+  createChain, loadChainConfig, waitForCommitment, commitmentReached, priorityFeeOf, COMPUTE_BUDGET_PROGRAM,
+} = require('../lib/chain');
+const { TransactionExpiredError, retryPolicy } = require('../lib/errors');
+
+// Chain on a hand-driven clock; waiting advances it instead of sleeping
+function testChain(options = {}) {
+  let now = 0;
+  const chain = createChain({ seed: 7, dropRate: 0, congestionDropRate: 0, now: () => now, ...options });
+  const wait = async (ms) => { now += ms; };
+  return { chain, wait, advanceSlots: (n) => { now += n * chain.slotMs; } };
+}
+
+const message = { orderId: 'order-1', dex: 'raydium', tokenIn: 'USDC', tokenOut: 'SOL', amountIn: 100 };
+
+describe('Simulated Chain', () => {
+  test('Blockhashes follow the slot and stay valid for the configured window', () => {
+    const { chain, advanceSlots } = testChain({ blockhashValiditySlots: 10 });
+    const first = chain.getLatestBlockhash();
+
+    expect(first.lastValidBlockHeight).toBe(10);
+    advanceSlots(3);
+    expect(chain.getSlot()).toBe(3);
+    expect(chain.getLatestBlockhash().blockhash).not.toBe(first.blockhash);
+    expect(chain.isBlockhashValid(first.lastValidBlockHeight)).toBe(true);
+    advanceSlots(8);
+    expect(chain.isBlockhashValid(first.lastValidBlockHeight)).toBe(false);
+  });
+
+  test('Signatures are deterministic per message and blockhash', () => {
+    const { chain, advanceSlots } = testChain();
+    const tx = chain.createTransaction(message);
+
+    expect(tx.signature).toMatch(/^[1-9A-HJ-NP-Za-km-z]{80,90}$/);
+    expect(chain.createTransaction(message).signature).toBe(tx.signature);
+    expect(chain.createTransaction({ ...message, amountIn: 101 }).signature).not.toBe(tx.signature);
+    advanceSlots(1);
+    expect(chain.createTransaction(message).signature).not.toBe(tx.signature);
+  });
+
+  test('Landed transactions move through processed, confirmed and finalized', () => {
+    const { chain, advanceSlots } = testChain({ landingSlots: [1, 1], confirmationSlots: 1, finalizationSlots: 4 });
+    const tx = chain.createTransaction(message);
+    chain.sendTransaction(tx);
+
+    expect(chain.getSignatureStatus(tx.signature)).toBeNull();
+    advanceSlots(1);
+    expect(chain.getSignatureStatus(tx.signature)).toEqual({ slot: 1, confirmations: 0, confirmationStatus: 'processed', err: null });
+    advanceSlots(1);
+    expect(chain.getSignatureStatus(tx.signature).confirmationStatus).toBe('confirmed');
+    advanceSlots(3);
+    expect(chain.getSignatureStatus(tx.signature)).toMatchObject({ slot: 1, confirmations: null, confirmationStatus: 'finalized' });
+    expect(commitmentReached('finalized', 'confirmed')).toBe(true);
+    expect(commitmentReached('processed', 'confirmed')).toBe(false);
+  });
+
+  test('Waiting reports each commitment level once and returns the landed transaction', async () => {
+    const { chain, wait } = testChain({ finalizationSlots: 3 });
+    const tx = chain.createTransaction(message);
+    chain.sendTransaction(tx);
+    const levels = [];
+
+    const landed = await waitForCommitment(chain, tx, 'finalized', {
+      wait,
+      onProgress: ({ commitment, signature }) => levels.push([commitment, signature]),
+    });
+
+    expect(levels).toEqual([['processed', tx.signature], ['confirmed', tx.signature], ['finalized', tx.signature]]);
+    expect(landed.tx).toBe(tx);
+    expect(landed.status.confirmationStatus).toBe('finalized');
+  });
+
+  test('Dropped transactions are rebroadcast until they land', async () => {
+    const { chain, wait, advanceSlots } = testChain({ dropRate: 1 });
+    const tx = chain.createTransaction(message);
+    chain.sendTransaction(tx);
+    advanceSlots(5);
+    expect(chain.getSignatureStatus(tx.signature)).toBeNull();
+
+    chain.dropRate = 0; // congestion clears
+    const send = jest.spyOn(chain, 'sendTransaction');
+    const landed = await waitForCommitment(chain, tx, 'confirmed', { wait, rebroadcastSlots: 2 });
+
+    expect(send).toHaveBeenCalledTimes(1);
+    expect(send).toHaveBeenCalledWith(tx);
+    expect(landed.tx.signature).toBe(tx.signature);
+  });
+
+  test('Expired transactions are rebuilt and re-signed, then fail with a retried error class', async () => {
+    const { chain, wait } = testChain({ dropRate: 1, blockhashValiditySlots: 5 });
+    const tx = chain.createTransaction(message);
+    chain.sendTransaction(tx);
+    const resigned = [];
+
+    const waiting = waitForCommitment(chain, tx, 'confirmed', {
+      wait,
+      maxResubmits: 2,
+      rebuild: (expired, resubmits) => ({ ...expired.message, rebuilt: resubmits }),
+      onResubmit: (next) => resigned.push(next),
+    });
+
+    await expect(waiting).rejects.toThrow(TransactionExpiredError);
+    expect(resigned.map((next) => next.message.rebuilt)).toEqual([1, 2]);
+    expect(new Set([tx.signature, ...resigned.map((next) => next.signature)]).size).toBe(3);
+    expect(retryPolicy(new TransactionExpiredError('expired'))).toMatchObject({ retryable: true });
+  });
+
+  test('Signatures are forgotten once finalized for the retention window or expired unlanded', () => {
+    const { chain, advanceSlots } = testChain({
+      landingSlots: [1, 1], finalizationSlots: 4, statusRetentionSlots: 3, blockhashValiditySlots: 10,
+    });
+    const send = (amountIn) => chain.sendTransaction(chain.createTransaction({ ...message, amountIn }));
+    const landed = send(1); // lands in slot 1, finalized in slot 5
+    chain.dropRate = 1;
+    const dropped = send(2); // valid through slot 10
+    chain.dropRate = 0;
+
+    advanceSlots(7);
+    send(3);
+    expect(chain.getSignatureStatus(landed).confirmationStatus).toBe('finalized');
+    expect(chain.transactions.size).toBe(3);
+
+    advanceSlots(1);
+    const fresh = send(4);
+    expect(chain.getSignatureStatus(landed)).toBeNull();
+    expect([...chain.transactions.keys()]).not.toContain(landed);
+    expect(chain.transactions.has(dropped)).toBe(true);
+
+    advanceSlots(3);
+    send(5);
+    expect(chain.transactions.has(dropped)).toBe(false);
+    expect(chain.transactions.has(fresh)).toBe(true);
+    expect(chain.transactions.size).toBe(3);
+  });
+
+  test('Congested slots drop transactions paying under the going priority fee', () => {
+    const { chain } = testChain({ congestionDropRate: 1, basePriorityFee: 50000 });
+    const congestion = chain.congestionAt(0);
+    const tx = chain.createTransaction({
+      ...message,
+      instructions: [{ programId: COMPUTE_BUDGET_PROGRAM, name: 'SetComputeUnitPrice', data: { microLamports: 25000 } }],
+    });
+
+    expect(congestion).toBeGreaterThan(0);
+    expect(chain.dropChance(0)).toBeCloseTo(congestion);
+    expect(chain.dropChance(50000 * congestion)).toBe(0);
+    expect(priorityFeeOf(tx.message)).toBe(25000);
+    expect(priorityFeeOf(message)).toBe(0);
+    expect(chain.getRecentPrioritizationFees()).toEqual([{ slot: 0, prioritizationFee: expect.any(Number) }]);
+  });
+
+  test('Chain settings come from CHAIN_CONFIG, seeded like the market', () => {
+    const config = loadChainConfig({ MARKET_SEED: '42', CHAIN_CONFIG: '{"slotMs":100,"maxResubmits":1}' });
+
+    expect(config).toMatchObject({ seed: '42', slotMs: 100, maxResubmits: 1, finalizationSlots: 32 });
+    expect(loadChainConfig({ CHAIN_SEED: '9', MARKET_SEED: '42' }).seed).toBe('9');
+    expect(() => loadChainConfig({ CHAIN_CONFIG: '{' })).toThrow(/Invalid CHAIN_CONFIG/);
+  });
+});
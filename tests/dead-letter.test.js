@@ -0,0 +1,96 @@
+/**
+ * Dead-Letter Queue Tests
+ * Tests cover: attempt history, re-drive validation, paging, park/list/claim
+ *
+ * To run: npm test
+ * (No external services required)
+ */
+
+const deadLetter = require('../lib/dead-letter');
+
+/** In-memory stand-in for the Redis commands the queue uses */
+function fakeRedis() {
+  const values = new Map();
+  const scores = new Map();
+  const byScoreDesc = () => [...scores.entries()].sort((a, b) => b[1] - a[1]).map(([member]) => member);
+  return {
+    async get(key) { return values.has(key) ? values.get(key) : null; },
+    async set(key, value) { values.set(key, value); },
+    async del(key) { values.delete(key); },
+    async mget(keys) { return keys.map((key) => (values.has(key) ? values.get(key) : null)); },
+    async zadd(key, score, member) { scores.set(member, score); },
+    async zrem(key, member) { return scores.delete(member) ? 1 : 0; },
+    async zcard() { return scores.size; },
+    async zrevrange(key, start, stop) { return byScoreDesc().slice(start, stop + 1); },
+  };
+}
+
+const entry = (orderId, failedAt) => ({
+  orderId,
+  accountId: 'acme',
+  payload: { type: 'market', tokenIn: 'SOL', tokenOut: 'USDC', amountIn: 1 },
+  attempts: [],
+  attemptsMade: 3,
+  lastError: 'No DEX quotes available',
+  failedAt,
+});
+
+describe('Dead-Letter Queue', () => {
+  test('Attempt history keeps failed attempts from the event timeline', () => {
+    const history = deadLetter.attemptHistory([
+      { status: 'pending', attempt: 1, details: null, created_at: 't0' },
+      { status: 'retrying', attempt: 1, details: { error: 'timeout', errorClass: 'quote_timeout', nextAttempt: 2 }, created_at: 't1' },
+      { status: 'routing', attempt: 2, details: { dex: 'raydium' }, created_at: 't2' },
+      { status: 'failed', attempt: 2, details: { error: 'venue down' }, created_at: 't3' },
+    ]);
+
+    expect(history).toEqual([
+      { attempt: 1, status: 'retrying', error: 'timeout', errorClass: 'quote_timeout', at: 't1' },
+      { attempt: 2, status: 'failed', error: 'venue down', errorClass: null, at: 't3' },
+    ]);
+    expect(deadLetter.attemptHistory(null)).toEqual([]);
+  });
+
+  test('Re-drive requests default the attempt budget and validate it', () => {
+    expect(deadLetter.parseRedriveRequest(null, { defaultAttempts: 3 })).toEqual({ attempts: 3 });
+    expect(deadLetter.parseRedriveRequest({ attempts: 5 }, { defaultAttempts: 3 })).toEqual({ attempts: 5 });
+
+    const tooMany = deadLetter.parseRedriveRequest({ attempts: deadLetter.MAX_REDRIVE_ATTEMPTS + 1 }, { defaultAttempts: 3 });
+    expect(tooMany.error.field).toBe('attempts');
+    expect(deadLetter.parseRedriveRequest({ attempts: 1.5 }, { defaultAttempts: 3 }).error.code).toBe('OUT_OF_RANGE');
+  });
+
+  test('Batch re-drives need a bounded list of order ids', () => {
+    const batch = { batch: true, defaultAttempts: 3 };
+
+    expect(deadLetter.parseRedriveRequest({ orderIds: ['a', 'b', 'a'] }, batch)).toEqual({ attempts: 3, orderIds: ['a', 'b'] });
+    expect(deadLetter.parseRedriveRequest({}, batch).error.field).toBe('orderIds');
+    expect(deadLetter.parseRedriveRequest({ orderIds: ['a', 7] }, batch).error.code).toBe('INVALID_TYPE');
+
+    const huge = Array.from({ length: deadLetter.MAX_REDRIVE_BATCH + 1 }, (_, i) => `order-${i}`);
+    expect(deadLetter.parseRedriveRequest({ orderIds: huge }, batch).error.code).toBe('OUT_OF_RANGE');
+  });
+
+  test('List paging is validated', () => {
+    expect(deadLetter.parseListQuery({})).toEqual({ limit: 50, offset: 0 });
+    expect(deadLetter.parseListQuery({ limit: '10', offset: '20' })).toEqual({ limit: 10, offset: 20 });
+    expect(deadLetter.parseListQuery({ limit: '0' }).error.field).toBe('limit');
+    expect(deadLetter.parseListQuery({ offset: '-1' }).error.field).toBe('offset');
+  });
+
+  test('Parked orders list newest first and are claimed exactly once', async () => {
+    const dlq = deadLetter.createDeadLetterQueue(fakeRedis());
+    await dlq.add(entry('order-old', '2024-01-01T00:00:00.000Z'));
+    await dlq.add(entry('order-new', '2024-01-02T00:00:00.000Z'));
+
+    const page = await dlq.list({ limit: 1 });
+    expect(page.total).toBe(2);
+    expect(page.entries.map((e) => e.orderId)).toEqual(['order-new']);
+    expect((await dlq.get('order-old')).lastError).toBe('No DEX quotes available');
+
+    const claimed = await dlq.claim('order-old');
+    expect(claimed.orderId).toBe('order-old');
+    expect(await dlq.claim('order-old')).toBeNull();
+    expect(await dlq.count()).toBe(1);
+  });
+});
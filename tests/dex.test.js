@@ -0,0 +1,220 @@
+/**
+ * DEX Adapter Registry Tests
+ * Tests cover: venue config, registry, pair filtering, per-adapter timeouts
+ *
+ * To run: npm test
+ * (No external services required)
+ */
+
+const {
+  DexAdapter,
+  DexRegistry,
+  DexRouter,
+  createRegistry,
+  createRouter,
+  loadDexConfig,
+  routing,
+  split,
+} = require('../lib/dex');
+
+const FAST = { quoteLatencyMs: [10, 10], executeLatencyMs: [10, 10] };
+
+/** Adapter that never answers within the test's timeout */
+class SlowAdapter extends DexAdapter {
+  async quote() {
+    await new Promise((r) => setTimeout(r, 500));
+    return { dex: this.name, price: 1, fee: 0 };
+  }
+}
+
+describe('DEX Module', () => {
+  test('Config: Defaults to Raydium and Meteora', () => {
+    const { venues } = loadDexConfig({});
+    expect(venues.map((v) => v.name)).toEqual(['raydium', 'meteora']);
+  });
+
+  test('Config: Enables presets and custom venues from env', () => {
+    const { venues, quoteTimeoutMs } = loadDexConfig({
+      DEX_ADAPTERS: 'orca, phoenix, lifinity',
+      DEX_CONFIG: JSON.stringify({ orca: { fee: 0.002 }, lifinity: { fee: 0.0015 } }),
+      DEX_QUOTE_TIMEOUT_MS: '250',
+    });
+
+    expect(venues.map((v) => v.name)).toEqual(['orca', 'phoenix', 'lifinity']);
+    expect(venues[0].fee).toBe(0.002);
+    expect(venues[2].type).toBe('mock');
+    expect(quoteTimeoutMs).toBe(250);
+  });
+
+  test('Config: Unknown venue without definition throws', () => {
+    expect(() => loadDexConfig({ DEX_ADAPTERS: 'nowhere' })).toThrow(/Unknown DEX adapter/);
+  });
+
+  test('Registry: Rejects duplicate names and filters by pair', () => {
+    const registry = createRegistry([
+      { name: 'raydium', fee: 0.003, ...FAST },
+      { name: 'phoenix', fee: 0.001, supportedPairs: ['SOL/USDC'], ...FAST },
+    ]);
+
+    expect(() => registry.register(new DexAdapter({ name: 'raydium', fee: 0 }))).toThrow();
+    expect(registry.forPair('USDC', 'SOL').map((a) => a.name)).toEqual(['raydium', 'phoenix']);
+    expect(registry.forPair('BONK', 'USDC').map((a) => a.name)).toEqual(['raydium']);
+  });
+
+  test('Routing: Fees can outweigh a better raw price', () => {
+    const quotes = [
+      { dex: 'cheap-but-pricey-fee', price: 100, fee: 0.01 },
+      { dex: 'low-fee', price: 100.5, fee: 0.001 },
+    ];
+    const [best] = routing.rankQuotes(quotes, 10);
+
+    expect(best.dex).toBe('low-fee');
+    expect(best.netOut).toBeCloseTo((10 / 100.5) * 0.999, 10);
+  });
+
+  test('Routing: Price impact grows with size and favors deep venues', () => {
+    const quotes = [
+      { dex: 'shallow', price: 99, fee: 0.002, liquidity: 1000 },
+      { dex: 'deep', price: 100, fee: 0.002, liquidity: 100000 },
+    ];
+
+    expect(routing.rankQuotes(quotes, 1)[0].dex).toBe('shallow');
+    expect(routing.rankQuotes(quotes, 500)[0].dex).toBe('deep');
+    expect(routing.priceImpact(500, 1000)).toBeGreaterThan(routing.priceImpact(1, 1000));
+  });
+
+  test('Routing: Summary records every venue breakdown', () => {
+    const ranked = routing.rankQuotes([
+      { dex: 'raydium', price: 100, fee: 0.003, liquidity: 50000 },
+      { dex: 'meteora', price: 101, fee: 0.002, liquidity: 20000 },
+    ], 100);
+    const summary = routing.routingSummary(ranked, [{ dex: 'orca', error: 'timeout' }], 100);
+
+    expect(summary.chosen).toBe('raydium');
+    expect(summary.venues).toHaveLength(2);
+    summary.venues.forEach((v) => {
+      expect(v).toEqual(expect.objectContaining({
+        dex: expect.any(String),
+        price: expect.any(Number),
+        fee: expect.any(Number),
+        grossOut: expect.any(Number),
+        netOut: expect.any(Number),
+      }));
+      expect(v.netOut).toBeCloseTo(v.grossOut - v.feeAmount, 6);
+    });
+    expect(summary.failures).toEqual([{ dex: 'orca', error: 'timeout' }]);
+  });
+
+  test('Split: Large orders spread across venues by depth', () => {
+    const ranked = routing.rankQuotes([
+      { dex: 'raydium', price: 100, fee: 0.003, liquidity: 50000 },
+      { dex: 'meteora', price: 100, fee: 0.003, liquidity: 20000 },
+    ], 10000);
+    const plan = split.chooseSplit(ranked, { tokenIn: 'USDC', amountIn: 10000 }, { minAmount: 1000 });
+
+    expect(plan.legs.map((leg) => leg.dex)).toEqual(['raydium', 'meteora']);
+    expect(plan.legs[0].amountIn).toBeGreaterThan(plan.legs[1].amountIn);
+    expect(plan.legs.reduce((sum, leg) => sum + leg.amountIn, 0)).toBeCloseTo(10000, 6);
+    expect(plan.netOut).toBeGreaterThan(ranked[0].netOut);
+  });
+
+  test('Split: Small or opted-out orders stay on one venue', () => {
+    const quotes = [
+      { dex: 'raydium', price: 100, fee: 0.003, liquidity: 50000 },
+      { dex: 'meteora', price: 100, fee: 0.003, liquidity: 20000 },
+    ];
+
+    expect(split.chooseSplit(routing.rankQuotes(quotes, 10), { tokenIn: 'USDC', amountIn: 10 }, { minAmount: 1000 })).toBeNull();
+    expect(split.chooseSplit(routing.rankQuotes(quotes, 10000), { tokenIn: 'USDC', amountIn: 10000, allowSplit: false })).toBeNull();
+    expect(split.chooseSplit(routing.rankQuotes(quotes, 10000), { tokenIn: 'JUP', amountIn: 10000 }, { minAmount: 0 })).toBeNull();
+  });
+
+  test('Split: The size threshold is in USD, whatever the token price', () => {
+    // Pool depth in tokenIn, so each order below is large for its venues
+    const depthOf = (liquidity) => [
+      { dex: 'raydium', price: 1, fee: 0.003, liquidity },
+      { dex: 'meteora', price: 1, fee: 0.003, liquidity: liquidity * 0.4 },
+    ];
+
+    // 100 SOL = 15000 USD: over the default 10000 USD threshold
+    const sol = split.chooseSplit(routing.rankQuotes(depthOf(500), 100), { tokenIn: 'SOL', amountIn: 100 });
+    expect(sol.legs).toHaveLength(2);
+
+    // 1,000,000 BONK = 20 USD: a large count of a cheap token stays on one venue
+    expect(split.chooseSplit(routing.rankQuotes(depthOf(5000000), 1000000), { tokenIn: 'BONK', amountIn: 1000000 })).toBeNull();
+    expect(split.chooseSplit(routing.rankQuotes(depthOf(5000000), 1000000), { tokenIn: 'BONK', amountIn: 1000000 }, { minAmount: 10 }).legs)
+      .toHaveLength(2);
+  });
+
+  test('Split: Extra legs must out-earn their network fees', () => {
+    const ranked = routing.rankQuotes([
+      { dex: 'raydium', price: 100, fee: 0.003, liquidity: 50000 },
+      { dex: 'meteora', price: 100, fee: 0.003, liquidity: 20000 },
+    ], 10000);
+    const order = { tokenIn: 'USDC', tokenOut: 'SOL', amountIn: 10000 };
+    const gain = split.chooseSplit(ranked, order).netOut - ranked[0].netOut; // in SOL
+
+    // Two legs pay one more transaction than the single venue does
+    const cheap = split.chooseSplit(ranked, order, { legCost: () => Math.floor(gain * 0.5 * 1e9) });
+    expect(cheap.legs).toHaveLength(2);
+    expect(cheap.networkCost).toBeCloseTo(gain, 6);
+    expect(split.chooseSplit(ranked, order, { legCost: () => Math.ceil(gain * 2 * 1e9) })).toBeNull();
+
+    // Fees can't be weighed against an output token without a price
+    expect(split.chooseSplit(ranked, { ...order, tokenOut: 'JUP' }, { legCost: () => 5000 })).toBeNull();
+    expect(split.networkCostIn(1e9, 'USDC')).toBe(150);
+  });
+
+  test('Split: Aggregates VWAP and partial-fill state', () => {
+    const legs = [
+      { amountIn: 600, executedPrice: 100, fee: 0.01, status: 'filled' },
+      { amountIn: 400, executedPrice: 200, fee: 0, status: 'filled' },
+      { amountIn: 500, status: 'failed' },
+    ];
+    const fill = split.aggregateFills(legs);
+
+    expect(fill.state).toBe('partial');
+    expect(fill.filledAmountIn).toBe(1000);
+    expect(fill.vwap).toBeCloseTo(1000 / (6 + 2), 10);
+    expect(fill.grossOut).toBeCloseTo(8, 10);
+    expect(fill.feeAmount).toBeCloseTo(0.06, 10);
+    expect(fill.amountOut).toBeCloseTo(7.94, 10);
+    expect(split.aggregateFills(legs.slice(0, 2)).state).toBe('filled');
+    expect(split.aggregateFills(legs.slice(2)).state).toBe('none');
+  });
+
+  test('Router: Compares N venues and picks the best net output', async () => {
+    const router = createRouter({ DEX_ADAPTERS: 'raydium,meteora,orca,phoenix' });
+    router.registry.list().forEach((adapter) => Object.assign(adapter, FAST));
+
+    const { quotes, failures } = await router.getQuotes('SOL', 'USDC', 10);
+    const best = router.selectBest(quotes, 10);
+    const ranked = routing.rankQuotes(quotes, 10);
+
+    expect(quotes).toHaveLength(4);
+    expect(failures).toEqual([]);
+    expect(best.netOut).toBe(Math.max(...ranked.map((q) => q.netOut)));
+  });
+
+  test('Router: Slow venue times out without stalling the others', async () => {
+    const registry = createRegistry([{ name: 'raydium', fee: 0.003, ...FAST }]);
+    registry.register(new SlowAdapter({ name: 'sluggish', fee: 0 }));
+    const router = new DexRouter(registry, { quoteTimeoutMs: 50 });
+
+    const start = Date.now();
+    const { quotes, failures } = await router.getQuotes('SOL', 'USDC', 10);
+
+    expect(Date.now() - start).toBeLessThan(400);
+    expect(quotes.map((q) => q.dex)).toEqual(['raydium']);
+    expect(failures).toEqual([
+      { dex: 'sluggish', error: 'sluggish quote timed out after 50ms', errorClass: 'quote_timeout' },
+    ]);
+  });
+
+  test('Router: getBestQuote throws when no venue answers', async () => {
+    const registry = new DexRegistry().register(new SlowAdapter({ name: 'sluggish', fee: 0 }));
+    const router = new DexRouter(registry, { quoteTimeoutMs: 20 });
+
+    await expect(router.getBestQuote('SOL', 'USDC', 10)).rejects.toThrow(/No DEX quotes available/);
+  });
+});
@@ -0,0 +1,85 @@
+/**
+ * Error Classification Tests
+ * Tests cover: error classes, retry decisions, per-class backoff, router errors
+ *
+ * To run: npm test
+ * (No external services required)
+ */
+
+const { UnrecoverableError } = require('bullmq');
+const errors = require('../lib/errors');
+const { SlippageError } = require('../lib/slippage');
+const { InvalidOrderError } = require('../lib/validation');
+const { DexRegistry, DexRouter } = require('../lib/dex');
+
+const { ERROR_CLASSES } = errors;
+
+describe('Order Errors', () => {
+  test('Typed errors carry their class, anything else is unknown', () => {
+    expect(errors.classifyError(new errors.QuoteTimeoutError('slow'))).toBe('quote_timeout');
+    expect(errors.classifyError(new errors.VenueUnavailableError('down'))).toBe('venue_unavailable');
+    expect(errors.classifyError(new errors.InsufficientLiquidityError('shallow'))).toBe('insufficient_liquidity');
+    expect(errors.classifyError(new SlippageError('received 1, minimum 2'))).toBe('slippage');
+    expect(errors.classifyError(new InvalidOrderError({ field: 'amountIn', message: 'must be positive' }))).toBe('invalid_order');
+    expect(errors.classifyError(new Error('boom'))).toBe('unknown');
+    expect(errors.classifyError(null)).toBe('unknown');
+  });
+
+  test('Final classes are unrecoverable and never retried', () => {
+    const final = [
+      new errors.InsufficientLiquidityError('shallow'),
+      new errors.QuoteExpiredError('late'),
+      new errors.InterruptedSubmissionError('order-1'),
+      new SlippageError('received 1, minimum 2'),
+      new InvalidOrderError({ field: 'amountIn', message: 'must be positive' }),
+    ];
+    final.forEach((err) => {
+      expect(err).toBeInstanceOf(UnrecoverableError);
+      expect(errors.shouldRetry(err, 1, 3)).toBe(false);
+      expect(errors.backoffDelay(err, 1)).toBe(-1);
+    });
+  });
+
+  test('Transient classes retry until attempts run out', () => {
+    const err = new errors.VenueUnavailableError('down');
+
+    expect(errors.shouldRetry(err, 1, 3)).toBe(true);
+    expect(errors.shouldRetry(err, 3, 3)).toBe(false);
+    expect(errors.shouldRetry(new Error('boom'), 2, 3)).toBe(true);
+  });
+
+  test('Backoff doubles per attempt from the class delay, up to its cap', () => {
+    const timeout = new errors.QuoteTimeoutError('slow');
+    const venue = new errors.VenueUnavailableError('down');
+
+    expect([1, 2, 3, 4, 5].map((n) => errors.backoffDelay(timeout, n))).toEqual([250, 500, 1000, 2000, 2000]);
+    expect([1, 2, 3, 4, 5].map((n) => errors.backoffDelay(venue, n))).toEqual([1000, 2000, 4000, 8000, 8000]);
+    expect(errors.backoffDelay(new Error('boom'), 1)).toBe(errors.RETRY_POLICIES[ERROR_CLASSES.UNKNOWN].delayMs);
+    expect(errors.orderBackoffStrategy(2, errors.BACKOFF_TYPE, venue)).toBe(2000);
+  });
+
+  test('Router: no quotes is a timeout only when every venue timed out', () => {
+    const router = new DexRouter(new DexRegistry());
+    const timedOut = router.noQuotesError('SOL', 'USDC', [
+      { dex: 'raydium', error: 'raydium quote timed out after 50ms', errorClass: 'quote_timeout' },
+    ]);
+    const mixed = router.noQuotesError('SOL', 'USDC', [
+      { dex: 'raydium', error: 'raydium quote timed out after 50ms', errorClass: 'quote_timeout' },
+      { dex: 'meteora', error: 'meteora unavailable', errorClass: 'venue_unavailable' },
+    ]);
+
+    expect(timedOut).toBeInstanceOf(errors.QuoteTimeoutError);
+    expect(timedOut.message).toMatch(/No DEX quotes available for SOL\/USDC \(raydium: /);
+    expect(mixed).toBeInstanceOf(errors.VenueUnavailableError);
+    expect(router.noQuotesError('SOL', 'USDC', [])).toBeInstanceOf(errors.VenueUnavailableError);
+  });
+
+  test('Router: orders deeper than every venue combined lack liquidity', () => {
+    const router = new DexRouter(new DexRegistry());
+    const quotes = [{ dex: 'raydium', liquidity: 100 }, { dex: 'meteora', liquidity: 50 }];
+
+    expect(router.liquidityError(quotes, 'SOL', 'USDC', 150)).toBeNull();
+    expect(router.liquidityError(quotes, 'SOL', 'USDC', 151)).toBeInstanceOf(errors.InsufficientLiquidityError);
+    expect(router.liquidityError([...quotes, { dex: 'orca' }], 'SOL', 'USDC', 1e9)).toBeNull();
+  });
+});
@@ -0,0 +1,78 @@
+/**
+ * Idempotent Submission Tests
+ * Tests cover: canonical JSON, payload fingerprints, key resolution,
+ * key reservation, replay vs conflict vs in-progress answers
+ *
+ * To run: npm test
+ * (No external services required)
+ */
+
+// In-memory stand-in for the Redis commands the key store uses
+jest.mock('../lib/redis-client', () => {
+  const values = new Map();
+  return {
+    async get(key) { return values.has(key) ? values.get(key) : null; },
+    async set(key, value, ...options) {
+      if (options.includes('NX') && values.has(key)) return null;
+      values.set(key, value);
+      return 'OK';
+    },
+    async setex(key, ttl, value) { values.set(key, value); },
+    async del(key) { values.delete(key); },
+  };
+});
+
+const idempotency = require('../lib/idempotency');
+
+const payload = { type: 'market', tokenIn: 'SOL', tokenOut: 'USDC', amountIn: 1.5 };
+
+describe('Idempotency', () => {
+  test('Canonical JSON sorts keys at every depth and drops undefined', () => {
+    expect(idempotency.canonicalJson({ b: 1, a: { d: [2, { f: 1, e: 0 }], c: undefined } }))
+      .toBe('{"a":{"d":[2,{"e":0,"f":1}]},"b":1}');
+    expect(idempotency.canonicalJson(null)).toBe('null');
+  });
+
+  test('Fingerprints ignore field order but not values', () => {
+    const reordered = { amountIn: 1.5, tokenOut: 'USDC', tokenIn: 'SOL', type: 'market' };
+
+    expect(idempotency.fingerprint(reordered)).toBe(idempotency.fingerprint(payload));
+    expect(idempotency.fingerprint({ ...payload, amountIn: 2 })).not.toBe(idempotency.fingerprint(payload));
+    expect(idempotency.fingerprint(payload)).toMatch(/^[0-9a-f]{64}$/);
+  });
+
+  test('Keys come from the header or clientOrderId, which must agree', () => {
+    expect(idempotency.resolveKey(undefined, payload)).toEqual({ key: null });
+    expect(idempotency.resolveKey(' key-1 ', payload)).toEqual({ key: 'key-1' });
+    expect(idempotency.resolveKey(undefined, { ...payload, clientOrderId: 'client-1' })).toEqual({ key: 'client-1' });
+    expect(idempotency.resolveKey('client-1', { ...payload, clientOrderId: 'client-1' })).toEqual({ key: 'client-1' });
+
+    expect(idempotency.resolveKey('key-1', { ...payload, clientOrderId: 'client-1' }).error).toMatch(/differ/);
+    expect(idempotency.resolveKey(undefined, { ...payload, clientOrderId: ' ' }).error).toMatch(/non-empty/);
+    expect(idempotency.resolveKey('k'.repeat(256), payload).error).toMatch(/at most 255/);
+  });
+
+  test('A key is reserved once per account', async () => {
+    const print = idempotency.fingerprint(payload);
+
+    expect(await idempotency.reserveKey('acme', 'key-1', 'order-1', print)).toEqual({ reserved: true });
+    expect(await idempotency.reserveKey('acme', 'key-1', 'order-2', print))
+      .toEqual({ reserved: false, record: { orderId: 'order-1', fingerprint: print } });
+    expect(await idempotency.reserveKey('globex', 'key-1', 'order-3', print)).toEqual({ reserved: true });
+
+    await idempotency.releaseKey('acme', 'key-1');
+    expect(await idempotency.reserveKey('acme', 'key-1', 'order-4', print)).toEqual({ reserved: true });
+  });
+
+  test('Repeats replay the stored order, conflict on a changed payload, wait while in flight', () => {
+    const prior = { orderId: 'order-1', fingerprint: idempotency.fingerprint(payload) };
+    const changed = idempotency.fingerprint({ ...payload, amountIn: 2 });
+
+    expect(idempotency.classifyReplay(prior, prior.fingerprint, 'pending')).toBe('replay');
+    expect(idempotency.classifyReplay(prior, prior.fingerprint, 'confirmed')).toBe('replay');
+    expect(idempotency.classifyReplay(prior, changed, 'pending')).toBe('conflict');
+    // Reserved but not saved yet: the first submission may still fail
+    expect(idempotency.classifyReplay(prior, prior.fingerprint, null)).toBe('in_progress');
+    expect(idempotency.classifyReplay(prior, changed, null)).toBe('conflict');
+  });
+});
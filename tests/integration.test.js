@@ -8,37 +8,22 @@
 
 const redis = require('ioredis');
 const { Queue, Worker } = require('bullmq');
-const crypto = require('crypto');
 
 // ============ TEST SETUP ============
 
 const testRedis = new redis('redis://127.0.0.1:6379');
 const TEST_QUEUE = 'test-order-queue';
 
-// Mock DEX Router
-class MockDexRouter {
-  constructor() {
-    this.basePrice = 100;
-  }
-
-  async getRaydiumQuote(tokenIn, tokenOut, amount) {
-    await new Promise((r) => setTimeout(r, 50));
-    const price = this.basePrice * (0.98 + Math.random() * 0.04);
-    return { price, fee: 0.003, dex: 'raydium' };
-  }
-
-  async getMeteoraQuote(tokenIn, tokenOut, amount) {
-    await new Promise((r) => setTimeout(r, 50));
-    const price = this.basePrice * (0.97 + Math.random() * 0.05);
-    return { price, fee: 0.002, dex: 'meteora' };
-  }
-
-  async executeSwap(dex, order) {
-    await new Promise((r) => setTimeout(r, 100));
-    const txHash = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
-    const executedPrice = this.basePrice * (dex === 'raydium' ? 1.0 : 0.995) * (1 + (Math.random() - 0.5) * 0.01);
-    return { txHash, executedPrice };
-  }
+// DEX router with the default venues at test-speed latency
+const { DexRouter, createRegistry, VENUE_PRESETS } = require('../lib/dex');
+
+const FAST = { quoteLatencyMs: [50, 50], executeLatencyMs: [100, 100] };
+
+function createTestRouter() {
+  return new DexRouter(createRegistry([
+    { name: 'raydium', ...VENUE_PRESETS.raydium, ...FAST },
+    { name: 'meteora', ...VENUE_PRESETS.meteora, ...FAST },
+  ]));
 }
 
 // ============ TESTS ============
@@ -46,8 +31,8 @@ class MockDexRouter {
 describe('Order Execution Engine - Full Test Suite', () => {
   // Test 1: DEX Routing - Raydium Quote
   test('DEX Routing: Raydium quote returns valid price', async () => {
-    const dex = new MockDexRouter();
-    const quote = await dex.getRaydiumQuote('SOL', 'USDC', 100);
+    const dex = createTestRouter();
+    const quote = await dex.registry.get('raydium').quote('SOL', 'USDC', 100);
 
     expect(quote).toHaveProperty('price');
     expect(quote).toHaveProperty('fee');
@@ -59,8 +44,8 @@ describe('Order Execution Engine - Full Test Suite', () => {
 
   // Test 2: DEX Routing - Meteora Quote
   test('DEX Routing: Meteora quote returns valid price', async () => {
-    const dex = new MockDexRouter();
-    const quote = await dex.getMeteoraQuote('SOL', 'USDC', 100);
+    const dex = createTestRouter();
+    const quote = await dex.registry.get('meteora').quote('SOL', 'USDC', 100);
 
     expect(quote).toHaveProperty('price');
     expect(quote).toHaveProperty('fee');
@@ -70,22 +55,24 @@ describe('Order Execution Engine - Full Test Suite', () => {
   });
 
   // Test 3: DEX Routing - Price Comparison Logic
-  test('DEX Routing: Correctly selects DEX with better price', async () => {
-    const dex = new MockDexRouter();
-    const [r, m] = await Promise.all([
-      dex.getRaydiumQuote('SOL', 'USDC', 100),
-      dex.getMeteoraQuote('SOL', 'USDC', 100),
-    ]);
-
-    // The chosen DEX should have lower or equal price (better for swap)
-    const chosen = r.price <= m.price ? r : m;
-    expect(chosen.price).toBeLessThanOrEqual(Math.max(r.price, m.price));
+  test('DEX Routing: Correctly selects DEX with better net output', async () => {
+    const dex = createTestRouter();
+    const { quotes } = await dex.getQuotes('SOL', 'USDC', 100);
+
+    // The chosen DEX should deliver the most tokenOut after impact and fees
+    const chosen = dex.selectBest(quotes, 100);
+    expect(quotes).toHaveLength(2);
+    expect(chosen.netOut).toBeGreaterThanOrEqual(
+      Math.max(...quotes.map((q) => 100 * (1 - q.fee) / (q.price * (1 + 100 / q.liquidity))))
+    );
   });
 
   // Test 4: DEX Execution - Returns valid transaction hash
   test('DEX Execution: executeSwap returns valid txHash and price', async () => {
-    const dex = new MockDexRouter();
-    const result = await dex.executeSwap('raydium', { amountIn: 100 });
+    const dex = createTestRouter();
+    const order = { tokenIn: 'SOL', tokenOut: 'USDC', amountIn: 100 };
+    const chosen = await dex.getBestQuote(order.tokenIn, order.tokenOut, order.amountIn);
+    const result = await dex.executeSwap(order, chosen);
 
     expect(result).toHaveProperty('txHash');
     expect(result).toHaveProperty('executedPrice');
@@ -103,25 +90,21 @@ describe('Order Execution Engine - Full Test Suite', () => {
       amountIn: 100,
     };
 
-    const dex = new MockDexRouter();
+    const dex = createTestRouter();
 
     // Simulate order lifecycle
     statuses.push('pending');
 
     // Routing stage
     statuses.push('routing');
-    const [r, m] = await Promise.all([
-      dex.getRaydiumQuote(orderData.tokenIn, orderData.tokenOut, orderData.amountIn),
-      dex.getMeteoraQuote(orderData.tokenIn, orderData.tokenOut, orderData.amountIn),
-    ]);
-    const chosen = r.price <= m.price ? r : m;
+    const chosen = await dex.getBestQuote(orderData.tokenIn, orderData.tokenOut, orderData.amountIn);
 
     // Building stage
     statuses.push('building');
 
     // Submitted stage
     statuses.push('submitted');
-    const exec = await dex.executeSwap(chosen.dex, orderData);
+    const exec = await dex.executeSwap(orderData, chosen);
 
     // Confirmed stage
     statuses.push('confirmed');
@@ -212,36 +195,15 @@ describe('Order Execution Engine - Full Test Suite', () => {
 
   // Test 9: Concurrent Orders - Multiple Orders Parallel
   test('Concurrent Processing: Multiple orders execute in parallel', async () => {
-    const dex = new MockDexRouter();
+    const dex = createTestRouter();
     const startTime = Date.now();
 
     // Submit 3 orders concurrently
-    const orders = await Promise.all([
-      (async () => {
-        const [r, m] = await Promise.all([
-          dex.getRaydiumQuote('SOL', 'USDC', 100),
-          dex.getMeteoraQuote('SOL', 'USDC', 100),
-        ]);
-        const chosen = r.price <= m.price ? r : m;
-        return dex.executeSwap(chosen.dex, {});
-      })(),
-      (async () => {
-        const [r, m] = await Promise.all([
-          dex.getRaydiumQuote('ETH', 'USDC', 50),
-          dex.getMeteoraQuote('ETH', 'USDC', 50),
-        ]);
-        const chosen = r.price <= m.price ? r : m;
-        return dex.executeSwap(chosen.dex, {});
-      })(),
-      (async () => {
-        const [r, m] = await Promise.all([
-          dex.getRaydiumQuote('BTC', 'USDC', 1),
-          dex.getMeteoraQuote('BTC', 'USDC', 1),
-        ]);
-        const chosen = r.price <= m.price ? r : m;
-        return dex.executeSwap(chosen.dex, {});
-      })(),
-    ]);
+    const pairs = [['SOL', 'USDC', 100], ['ETH', 'USDC', 50], ['BTC', 'USDC', 1]];
+    const orders = await Promise.all(pairs.map(async ([tokenIn, tokenOut, amountIn]) => {
+      const chosen = await dex.getBestQuote(tokenIn, tokenOut, amountIn);
+      return dex.executeSwap({ tokenIn, tokenOut, amountIn }, chosen);
+    }));
 
     const totalTime = Date.now() - startTime;
 
@@ -252,9 +214,10 @@ describe('Order Execution Engine - Full Test Suite', () => {
 
   // Test 10: Price Variance - Slippage Calculation
   test('Execution: Executed price includes realistic slippage', async () => {
-    const dex = new MockDexRouter();
-    const quote = await dex.getRaydiumQuote('SOL', 'USDC', 100);
-    const exec = await dex.executeSwap('raydium', {});
+    const dex = createTestRouter();
+    const order = { tokenIn: 'SOL', tokenOut: 'USDC', amountIn: 1 };
+    const quote = await dex.registry.get('raydium').quote(order.tokenIn, order.tokenOut, order.amountIn);
+    const exec = await dex.executeSwap(order, quote);
 
     const slippage = Math.abs((exec.executedPrice - quote.price) / quote.price);
 
@@ -306,6 +269,29 @@ describe('Order Execution Engine - Full Test Suite', () => {
       }
     });
   });
+
+  // Test 13: Rate Limiting - Token bucket in Redis
+  test('Rate Limiting: Bucket rejects bursts beyond the limit', async () => {
+    const { RateLimiter } = require('../lib/rate-limit');
+    const limiter = new RateLimiter(testRedis, { orders: 3, notional: 1000 });
+    const identity = `acct:test-${Date.now()}`;
+
+    const results = [];
+    for (let i = 0; i < 4; i++) results.push(await limiter.take('orders', identity));
+
+    expect(results.map((r) => r.allowed)).toEqual([true, true, true, false]);
+    expect(results[2].remaining).toBeLessThan(1);
+    expect(results[3].retryAfterMs).toBeGreaterThan(0);
+    expect(results[3].retryAfterMs).toBeLessThanOrEqual(20000);
+
+    // Notional is charged by amount and tracked separately
+    expect((await limiter.take('notional', identity, 900)).allowed).toBe(true);
+    expect((await limiter.take('notional', identity, 200)).allowed).toBe(false);
+
+    // A refunded charge (order not accepted) frees the capacity again
+    await limiter.refund('notional', identity, 900);
+    expect((await limiter.take('notional', identity, 200)).allowed).toBe(true);
+  });
 });
 
 // Cleanup
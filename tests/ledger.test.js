@@ -0,0 +1,142 @@
+/**
+ * Wallet Ledger Tests
+ * Tests cover: transfer validation, balanced postings, reservation, settlement, release
+ *
+ * To run: npm test
+ * (No external services required)
+ */
+
+const ledger = require('../lib/ledger');
+const amounts = require('../lib/amounts');
+
+// pg Pool stand-in: balances and reservations in memory, undone on ROLLBACK
+function fakePool() {
+  let state = { balances: new Map(), reservations: new Map() };
+  let snapshot = null;
+  const journal = [];
+  const units = (value, token) => (value.startsWith('-') ? -amounts.toUnits(value.slice(1), token) : amounts.toUnits(value, token));
+  const copy = (s) => ({ balances: new Map(s.balances), reservations: new Map(s.reservations) });
+
+  const client = {
+    async query(text, values = []) {
+      if (text === 'BEGIN') snapshot = copy(state);
+      if (text === 'ROLLBACK') state = snapshot;
+      if (text.startsWith('INSERT INTO journal_entries')) {
+        for (let i = 0; i < values.length; i += 6) journal.push({ ledgerAccount: values[i + 2], token: values[i + 3], amount: values[i + 4] });
+      }
+      if (text.startsWith('INSERT INTO balances')) {
+        const [accountId, token, available, reserved] = values;
+        const key = `${accountId}/${token}`;
+        const current = state.balances.get(key) || { available: 0n, reserved: 0n };
+        const next = { available: current.available + units(available, token), reserved: current.reserved + units(reserved, token) };
+        if (next.available < 0n || next.reserved < 0n) throw Object.assign(new Error('check violation'), { code: '23514' });
+        state.balances.set(key, next);
+        return { rows: [{ token, available: amounts.fromUnits(next.available, token), reserved: amounts.fromUnits(next.reserved, token) }] };
+      }
+      if (text.startsWith('INSERT INTO balance_reservations')) {
+        const [orderId, accountId, tokenIn, tokenOut, amount] = values;
+        const existing = state.reservations.get(orderId);
+        if (existing && existing.status !== 'released') return { rowCount: 0, rows: [] };
+        const row = existing || { account_id: accountId, token_in: tokenIn, token_out: tokenOut, amount };
+        state.reservations.set(orderId, { ...row, status: 'held' });
+        return { rowCount: 1, rows: [row] };
+      }
+      if (text.startsWith('UPDATE balance_reservations')) {
+        const row = state.reservations.get(values[0]);
+        if (!row || row.status !== 'held') return { rowCount: 0, rows: [] };
+        state.reservations.set(values[0], { ...row, status: values[1] });
+        return { rowCount: 1, rows: [row] };
+      }
+      return { rowCount: 0, rows: [] };
+    },
+    release() {},
+  };
+
+  return {
+    journal,
+    balance: (accountId, token) => state.balances.get(`${accountId}/${token}`),
+    reservation: (orderId) => state.reservations.get(orderId),
+    async connect() { return client; },
+  };
+}
+
+const order = { tokenIn: 'USDC', tokenOut: 'SOL', amountIn: 1500 };
+
+describe('Wallet Ledger', () => {
+  test('Transfers are validated against the token registry', () => {
+    expect(ledger.parseTransferRequest({ token: 'USDC', amount: 100.5 })).toEqual({ token: 'USDC', amount: 100.5 });
+    expect(ledger.parseTransferRequest({ amount: 1 }).error.field).toBe('token');
+    expect(ledger.parseTransferRequest({ token: 'DOGE', amount: 1 }).error.code).toBe('UNKNOWN_TOKEN');
+    expect(ledger.parseTransferRequest({ token: 'USDC', amount: '1' }).error.code).toBe('INVALID_TYPE');
+    expect(ledger.parseTransferRequest({ token: 'USDC', amount: 0 }).error.code).toBe('OUT_OF_RANGE');
+    expect(ledger.parseTransferRequest({ token: 'USDC', amount: 0.0000001 }).error.code).toBe('TOO_MANY_DECIMALS');
+  });
+
+  test('Every posting sums to zero per token', () => {
+    const reservation = { accountId: 'acme', tokenIn: 'USDC', tokenOut: 'SOL', units: 1500000000n };
+    const fills = [
+      { dex: 'raydium', amountInUnits: 1000000000n, amountOutUnits: 6600000000n },
+      { dex: 'orca', amountInUnits: 400000000n, amountOutUnits: 2640000000n },
+    ];
+    const entries = ledger.postings.settle(reservation, fills);
+
+    expect(ledger.isBalanced(entries)).toBe(true);
+    expect(ledger.isBalanced(ledger.postings.deposit('acme', 'SOL', 5n))).toBe(true);
+    expect(ledger.isBalanced([...ledger.postings.reserve('acme', 'SOL', 5n), ledger.postings.deposit('acme', 'SOL', 1n)[0]])).toBe(false);
+
+    // Unfilled 100 USDC goes back to available, reserved is cleared
+    const changes = ledger.balanceChanges(entries);
+    expect(changes.get('acme/USDC')).toEqual({ accountId: 'acme', token: 'USDC', available: 100000000n, reserved: -1500000000n });
+    expect(changes.get('acme/SOL').available).toBe(9240000000n);
+    expect(() => ledger.postings.settle({ ...reservation, units: 1n }, fills)).toThrow(/exceed the reserved/);
+  });
+
+  test('Orders reserve amountIn, or fail when the balance is short', async () => {
+    const pool = fakePool();
+    const book = ledger.createLedger(pool);
+
+    expect((await book.reserve('order-1', 'acme', order)).insufficient).toBe(true);
+    expect(pool.reservation('order-1')).toBeUndefined();
+
+    await book.deposit('acme', 'USDC', 2000);
+    expect(await book.reserve('order-1', 'acme', order)).toMatchObject({ success: true, amount: '1500.000000' });
+    expect(await book.reserve('order-1', 'acme', order)).toMatchObject({ success: true, existing: true });
+    expect(pool.balance('acme', 'USDC')).toEqual({ available: 500000000n, reserved: 1500000000n });
+
+    expect((await book.withdraw('acme', 'USDC', 600)).insufficient).toBe(true);
+    expect((await book.withdraw('acme', 'USDC', 500)).balance).toMatchObject({ available: '0.000000', reserved: '1500.000000' });
+  });
+
+  test('Settlement debits the reservation and credits tokenOut once', async () => {
+    const pool = fakePool();
+    const book = ledger.createLedger(pool);
+    await book.deposit('acme', 'USDC', 1500);
+    await book.reserve('order-1', 'acme', order);
+
+    const fills = [{ dex: 'raydium', amountIn: 1000, amountOut: '6.600000000' }, { dex: 'orca', amountIn: 400, amountOut: '2.640000000' }];
+    expect(await book.settle('order-1', fills)).toEqual({ success: true });
+    expect(await book.settle('order-1', fills)).toEqual({ success: true, skipped: true });
+
+    expect(pool.balance('acme', 'USDC')).toEqual({ available: 100000000n, reserved: 0n });
+    expect(pool.balance('acme', 'SOL')).toEqual({ available: 9240000000n, reserved: 0n });
+    expect(pool.journal.filter((e) => e.ledgerAccount === 'venue:raydium')).toEqual([
+      { ledgerAccount: 'venue:raydium', token: 'USDC', amount: '1000.000000' },
+      { ledgerAccount: 'venue:raydium', token: 'SOL', amount: '-6.600000000' },
+    ]);
+  });
+
+  test('Released reservations return to available and can be held again', async () => {
+    const pool = fakePool();
+    const book = ledger.createLedger(pool);
+    await book.deposit('acme', 'USDC', 1500);
+    await book.reserve('order-1', 'acme', order);
+
+    expect(await book.release('order-1')).toEqual({ success: true });
+    expect(await book.release('order-1')).toEqual({ success: true, skipped: true });
+    expect(pool.balance('acme', 'USDC')).toEqual({ available: 1500000000n, reserved: 0n });
+
+    // Dead-letter re-drive holds the same amount again
+    expect(await book.reserve('order-1', 'acme', order)).toMatchObject({ success: true, amount: '1500.000000' });
+    expect(pool.reservation('order-1').status).toBe('held');
+  });
+});
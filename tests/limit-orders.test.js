@@ -0,0 +1,109 @@
+/**
+ * Limit Order Book Tests
+ * Tests cover: crossing rule, triggering crossed orders, expiry, one trigger per order
+ *
+ * To run: npm test
+ * (No external services required)
+ */
+
+// In-memory stand-in for the Redis commands the book uses
+jest.mock('../lib/redis-client', () => {
+  const values = new Map();
+  const scores = new Map();
+  return {
+    async get(key) { return values.has(key) ? values.get(key) : null; },
+    async set(key, value) { values.set(key, value); },
+    async del(key) { values.delete(key); },
+    async zadd(key, score, member) { scores.set(member, score); },
+    async zrem(key, member) { return scores.delete(member) ? 1 : 0; },
+    async zcard() { return scores.size; },
+    async zrange() {
+      return [...scores.entries()].sort((a, b) => a[1] - b[1]).flatMap(([member, score]) => [member, String(score)]);
+    },
+    async flushall() { values.clear(); scores.clear(); },
+  };
+});
+
+const redis = require('../lib/redis-client');
+const limitOrders = require('../lib/limit-orders');
+
+const NOW = Date.parse('2024-01-01T00:00:00.000Z');
+const order = (limitPrice, expiresInMs = 60000) => ({
+  type: 'limit',
+  tokenIn: 'USDC',
+  tokenOut: 'SOL',
+  amountIn: 150,
+  limitPrice,
+  expiresAt: new Date(NOW + expiresInMs).toISOString(),
+});
+
+/** Callbacks that record what the check did */
+function watcher(price) {
+  const triggered = [];
+  const expired = [];
+  return {
+    triggered,
+    expired,
+    getBestQuote: async () => ({ dex: 'raydium', price, effectivePrice: price }),
+    onTrigger: async (orderId, data, quote) => { triggered.push([orderId, quote.dex]); },
+    onExpire: async (orderId) => { expired.push(orderId); },
+    now: () => NOW,
+  };
+}
+
+describe('Limit Orders', () => {
+  beforeEach(() => redis.flushall());
+
+  test('A price at or below the limit crosses it', () => {
+    expect(limitOrders.isLimitCrossed(149.9, 150)).toBe(true);
+    expect(limitOrders.isLimitCrossed(150, 150)).toBe(true);
+    expect(limitOrders.isLimitCrossed(150.1, 150)).toBe(false);
+  });
+
+  test('Crossed orders trigger and leave the book, uncrossed ones wait', async () => {
+    await limitOrders.addLimitOrder('order-low', order(140));
+    await limitOrders.addLimitOrder('order-high', order(160));
+    const w = watcher(150);
+
+    expect(await limitOrders.checkLimitOrders(w)).toBe(2);
+    expect(w.triggered).toEqual([['order-high', 'raydium']]);
+    expect(w.expired).toEqual([]);
+    expect((await limitOrders.getWaitingOrders()).map((o) => o.orderId)).toEqual(['order-low']);
+  });
+
+  test('Orders past expiresAt expire without being quoted', async () => {
+    await limitOrders.addLimitOrder('order-stale', order(160, -1000));
+    const w = watcher(150);
+    const getBestQuote = jest.fn(w.getBestQuote);
+
+    await limitOrders.checkLimitOrders({ ...w, getBestQuote });
+
+    expect(w.expired).toEqual(['order-stale']);
+    expect(w.triggered).toEqual([]);
+    expect(getBestQuote).not.toHaveBeenCalled();
+    expect(await limitOrders.getWaitingOrderCount()).toBe(0);
+  });
+
+  test('Concurrent checks trigger each order once', async () => {
+    await limitOrders.addLimitOrder('order-1', order(160));
+    const w = watcher(150);
+
+    await Promise.all([limitOrders.checkLimitOrders(w), limitOrders.checkLimitOrders(w)]);
+    await limitOrders.checkLimitOrders(w);
+
+    expect(w.triggered).toEqual([['order-1', 'raydium']]);
+    expect(await limitOrders.claimLimitOrder('order-1')).toBe(false);
+  });
+
+  test('A failed quote leaves the order waiting', async () => {
+    await limitOrders.addLimitOrder('order-1', order(160));
+    const w = watcher(150);
+    const spy = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    await limitOrders.checkLimitOrders({ ...w, getBestQuote: async () => { throw new Error('no quotes'); } });
+    spy.mockRestore();
+
+    expect(w.triggered).toEqual([]);
+    expect(await limitOrders.getWaitingOrderCount()).toBe(1);
+  });
+});
@@ -0,0 +1,150 @@
+/**
+ * Simulated Market Tests
+ * Tests cover: seeded replay, per-pair prices, constant-product fills, failure injection,
+ * one seed shared by separate processes
+ *
+ * To run: npm test
+ * (No external services required)
+ */
+
+const { createMarket, loadMarketConfig, createRegistry, DexRouter, routing } = require('../lib/dex');
+const { createRng, shareMarketSeed, SHARED_SEED_KEY } = require('../lib/dex/market');
+const { VenueUnavailableError } = require('../lib/errors');
+
+const VENUES = [
+  { name: 'deep', fee: 0.003, liquidity: 5000000, priceRange: [0.999, 1.001] },
+  { name: 'shallow', fee: 0.001, liquidity: 200000, priceRange: [0.999, 1.001] },
+];
+
+function createTestRouter(options = {}) {
+  const market = createMarket({ seed: 42, latencyScale: 0, ...options });
+  return new DexRouter(createRegistry(VENUES, { market }), { market });
+}
+
+/** Quote and fill a fixed sequence of orders, returning every number produced */
+async function run(seed) {
+  const router = createTestRouter({ seed });
+  const trace = [];
+  for (const [tokenIn, tokenOut, amountIn] of [['SOL', 'USDC', 10], ['BTC', 'USDC', 1], ['USDC', 'SOL', 5000]]) {
+    const best = await router.getBestQuote(tokenIn, tokenOut, amountIn);
+    const exec = await router.executeSwap({ tokenIn, tokenOut, amountIn }, best);
+    trace.push(best.dex, best.price, exec.executedPrice, exec.txHash);
+  }
+  return trace;
+}
+
+describe('Simulated Market', () => {
+  test('Seeded PRNG replays the same sequence', () => {
+    const a = createRng('run-1');
+    const b = createRng('run-1');
+    const draws = Array.from({ length: 5 }, () => a());
+
+    expect(draws).toEqual(Array.from({ length: 5 }, () => b()));
+    expect(draws.every((n) => n >= 0 && n < 1)).toBe(true);
+    expect(createRng('run-2')()).not.toBe(draws[0]);
+  });
+
+  test('The same seed reproduces quotes, fills and tx hashes', async () => {
+    const first = await run(7);
+
+    expect(await run(7)).toEqual(first);
+    expect(await run(8)).not.toEqual(first);
+  });
+
+  test('Pairs have their own reference prices, consistent in both directions', () => {
+    const market = createMarket({ seed: 1 });
+
+    expect(market.referencePrice('USDC', 'SOL')).toBeCloseTo(150);
+    expect(market.referencePrice('USDC', 'BTC')).toBeCloseTo(60000);
+    expect(market.referencePrice('SOL', 'USDC')).toBeCloseTo(1 / 150);
+
+    market.stepPair('SOL', 'USDC');
+    expect(market.referencePrice('SOL', 'USDC') * market.referencePrice('USDC', 'SOL')).toBeCloseTo(1);
+    expect(() => market.referencePrice('USDC', 'DOGE')).toThrow(/No reference price for DOGE/);
+  });
+
+  test('Random walk stays near the starting price', () => {
+    const market = createMarket({ seed: 3 });
+    for (let i = 0; i < 5000; i++) market.stepPair('USDC', 'SOL');
+
+    expect(market.referencePrice('USDC', 'SOL')).toBeGreaterThan(150 * 0.97);
+    expect(market.referencePrice('USDC', 'SOL')).toBeLessThan(150 * 1.03);
+  });
+
+  test('Fills follow x*y=k, so output depends on amountIn', () => {
+    const market = createMarket({ seed: 5, volatility: 0 });
+    const venue = { name: 'pool', liquidity: 1500000, priceRange: [1, 1] };
+
+    const { price, liquidity } = market.quote(venue, 'SOL', 'USDC');
+    expect(liquidity).toBeCloseTo(10000); // $1.5M of SOL at $150
+
+    const small = market.swap(venue, 'SOL', 'USDC', 1);
+    const large = market.swap(venue, 'SOL', 'USDC', 1000);
+    expect(large.executedPrice).toBeGreaterThan(small.executedPrice);
+    expect(large.executedPrice).toBeCloseTo(price * (1 + 1000 / liquidity), 10);
+    expect(large.amountOut).toBeCloseTo(150000 / 1.1, 4);
+  });
+
+  test('Routing outcomes can be asserted: depth wins large orders, fees win small ones', async () => {
+    const router = createTestRouter({ volatility: 0 });
+
+    expect((await router.getBestQuote('SOL', 'USDC', 1)).dex).toBe('shallow');
+    expect((await router.getBestQuote('SOL', 'USDC', 500)).dex).toBe('deep');
+
+    const { quotes } = await router.getQuotes('SOL', 'USDC', 500);
+    const ranked = routing.rankQuotes(quotes, 500);
+    expect(ranked[0].netOut).toBeGreaterThan(ranked[1].netOut);
+  });
+
+  test('Failure injection uses the venue rate, or the market default', async () => {
+    const failing = createTestRouter({ failureRate: 1 });
+    const { quotes, failures } = await failing.getQuotes('SOL', 'USDC', 1);
+
+    expect(quotes).toEqual([]);
+    expect(failures.map((f) => f.errorClass)).toEqual(['venue_unavailable', 'venue_unavailable']);
+    await expect(failing.executeSwap({ tokenIn: 'SOL', tokenOut: 'USDC', amountIn: 1 }, { dex: 'deep' }))
+      .rejects.toBeInstanceOf(VenueUnavailableError);
+
+    const market = createMarket({ seed: 1, latencyScale: 0, failureRate: 1 });
+    const registry = createRegistry([{ ...VENUES[0], failureRate: 0 }], { market });
+    expect((await new DexRouter(registry).getQuotes('SOL', 'USDC', 1)).quotes).toHaveLength(1);
+  });
+
+  test('Config: seed and overrides come from env', () => {
+    const config = loadMarketConfig({
+      MARKET_SEED: 'demo',
+      MARKET_CONFIG: '{"volatility":0.002,"referencePrices":{"JUP":0.8}}',
+    });
+
+    expect(config.seed).toBe('demo');
+    expect(config.volatility).toBe(0.002);
+    expect(config.referencePrices).toMatchObject({ JUP: 0.8, SOL: 150 });
+    expect(loadMarketConfig({}).seed).toEqual(expect.any(Number));
+    expect(() => loadMarketConfig({ MARKET_CONFIG: '{' })).toThrow(/Invalid MARKET_CONFIG/);
+  });
+
+  test('Processes without MARKET_SEED adopt the seed the first one stored', async () => {
+    const values = new Map();
+    const redis = {
+      async set(key, value, nx) {
+        if (nx === 'NX' && values.has(key)) return null;
+        values.set(key, value);
+        return 'OK';
+      },
+      async get(key) { return values.has(key) ? values.get(key) : null; },
+    };
+    const worker = createMarket({ seed: 1001 });
+    const server = createMarket({ seed: 2002 });
+    server.stepPair('SOL', 'USDC'); // state from the old seed is dropped
+
+    expect(await shareMarketSeed(redis, worker, {})).toBe(1001);
+    expect(await shareMarketSeed(redis, server, {})).toBe('1001');
+    expect(values.get(SHARED_SEED_KEY)).toBe('1001');
+    expect(server.referencePrice('USDC', 'SOL')).toBe(150);
+    expect(server.stepPair('SOL', 'USDC')).toBe(worker.stepPair('SOL', 'USDC'));
+
+    // A seed from env is used as is
+    const pinned = createMarket({ seed: 'demo' });
+    expect(await shareMarketSeed(redis, pinned, { MARKET_SEED: 'demo' })).toBe('demo');
+  });
+});
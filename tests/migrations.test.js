@@ -0,0 +1,132 @@
+/**
+ * Schema Migration Tests
+ * Tests cover: migration file loading, status, rollback planning, locking
+ *
+ * To run: npm test
+ * (No external services required)
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const migrations = require('../lib/migrations');
+
+function migrationDir(files) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'migrations-'));
+  Object.entries(files).forEach(([name, sql]) => fs.writeFileSync(path.join(dir, name), sql));
+  return dir;
+}
+
+// pg Pool stand-in: records queries, keeps schema_migrations rows in memory
+function fakePool(appliedRows = []) {
+  const queries = [];
+  const rows = [...appliedRows];
+  const client = {
+    async query(text, values = []) {
+      queries.push(text.trim().split('\n')[0]);
+      if (text.startsWith('SELECT version')) return { rows: [...rows] };
+      if (text.startsWith('INSERT INTO schema_migrations')) {
+        rows.push({ version: values[0], name: values[1], checksum: values[2], applied_at: new Date() });
+      }
+      if (text.startsWith('DELETE FROM schema_migrations')) {
+        rows.splice(rows.findIndex((r) => r.version === values[0]), 1);
+      }
+      if (text === 'FAIL') throw new Error('syntax error');
+      return { rows: [] };
+    },
+    release() {
+      queries.push('RELEASE');
+    },
+  };
+  return { queries, rows, async connect() { return client; } };
+}
+
+describe('Schema Migrations', () => {
+  test('Repository migrations load in order with both directions', () => {
+    const loaded = migrations.loadMigrations();
+
+    expect(loaded.length).toBeGreaterThan(0);
+    loaded.forEach((m, i) => {
+      expect(m.version).toBe(i + 1);
+      expect(m.up.trim()).not.toBe('');
+      // Downs drop what their up added, or recreate what it removed
+      expect(m.down).toMatch(/DROP|CREATE/);
+      expect(m.checksum).toMatch(/^[0-9a-f]{64}$/);
+    });
+  });
+
+  test('A migration missing its down file is an error', () => {
+    const dir = migrationDir({
+      '001_first.up.sql': 'CREATE TABLE a (id INT);',
+      '001_first.down.sql': 'DROP TABLE a;',
+      '002_second.up.sql': 'CREATE TABLE b (id INT);',
+      'README.md': 'ignored',
+    });
+
+    expect(() => migrations.loadMigrations(dir)).toThrow('002_second has no down.sql');
+  });
+
+  test('Status reports applied, pending, modified and missing migrations', () => {
+    const dir = migrationDir({
+      '001_a.up.sql': 'A', '001_a.down.sql': 'a',
+      '002_b.up.sql': 'B', '002_b.down.sql': 'b',
+      '003_c.up.sql': 'C', '003_c.down.sql': 'c',
+    });
+    const loaded = migrations.loadMigrations(dir);
+    const status = migrations.migrationStatus(loaded, [
+      { version: 1, name: 'a', checksum: loaded[0].checksum },
+      { version: 2, name: 'b', checksum: 'stale' },
+      { version: 9, name: 'gone', checksum: 'x' },
+    ]);
+
+    expect(status.map((e) => [e.version, e.state])).toEqual([
+      [1, 'applied'],
+      [2, 'modified'],
+      [3, 'pending'],
+      [9, 'missing'],
+    ]);
+  });
+
+  test('Rollback plan takes the newest applied migrations first', () => {
+    const dir = migrationDir({
+      '001_a.up.sql': 'A', '001_a.down.sql': 'a',
+      '002_b.up.sql': 'B', '002_b.down.sql': 'b',
+    });
+    const loaded = migrations.loadMigrations(dir);
+    const applied = [{ version: 1 }, { version: 2 }];
+
+    expect(migrations.rollbackPlan(loaded, applied, 2).map((m) => m.version)).toEqual([2, 1]);
+    expect(migrations.rollbackPlan(loaded, applied, 5)).toHaveLength(2);
+    expect(() => migrations.rollbackPlan(loaded, [{ version: 3 }], 1)).toThrow('files are missing');
+  });
+
+  test('Up applies pending migrations in transactions under the advisory lock', async () => {
+    const dir = migrationDir({
+      '001_a.up.sql': 'CREATE A', '001_a.down.sql': 'DROP A',
+      '002_b.up.sql': 'CREATE B', '002_b.down.sql': 'DROP B',
+    });
+    const pool = fakePool();
+    const migrator = migrations.createMigrator(pool, { dir });
+
+    expect(await migrator.up()).toEqual([1, 2]);
+    expect(await migrator.up()).toEqual([]);
+    expect(pool.queries[0]).toBe('SELECT pg_advisory_lock($1)');
+    expect(pool.queries).toContain('CREATE A');
+    expect(pool.queries.filter((q) => q === 'COMMIT')).toHaveLength(2);
+    expect(pool.queries.slice(-2)).toEqual(['SELECT pg_advisory_unlock($1)', 'RELEASE']);
+
+    expect(await migrator.down()).toEqual([2]);
+    expect(pool.rows.map((r) => r.version)).toEqual([1]);
+  });
+
+  test('A failing migration rolls back and still releases the lock', async () => {
+    const dir = migrationDir({ '001_bad.up.sql': 'FAIL', '001_bad.down.sql': 'DROP X' });
+    const pool = fakePool();
+
+    await expect(migrations.createMigrator(pool, { dir }).up()).rejects.toThrow('syntax error');
+    expect(pool.queries).toContain('ROLLBACK');
+    expect(pool.queries).not.toContain('COMMIT');
+    expect(pool.rows).toHaveLength(0);
+    expect(pool.queries.slice(-2)).toEqual(['SELECT pg_advisory_unlock($1)', 'RELEASE']);
+  });
+});
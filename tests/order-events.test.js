@@ -0,0 +1,163 @@
+/**
+ * Order Event Fan-out Tests
+ * Tests cover: Redis pub/sub publish and subscribe, fan-out to every socket
+ * watching an order, ownership filtering, replay of the latest state on subscribe
+ *
+ * To run: npm test
+ * (No external services required)
+ */
+
+// In-memory stand-in for Redis pub/sub: duplicate() gives a subscriber connection
+jest.mock('../lib/redis-client', () => {
+  const { EventEmitter } = require('events');
+  const subscribers = [];
+  return {
+    failing: false,
+    async publish(channel, message) {
+      if (this.failing) throw new Error('connection lost');
+      subscribers
+        .filter((sub) => sub.channels.has(channel))
+        .forEach((sub) => sub.emit('message', channel, message));
+      return subscribers.length;
+    },
+    duplicate() {
+      const sub = new EventEmitter();
+      sub.channels = new Set();
+      sub.subscribe = async (channel) => { sub.channels.add(channel); };
+      subscribers.push(sub);
+      return sub;
+    },
+  };
+});
+
+const redis = require('../lib/redis-client');
+const orderEvents = require('../lib/order-events');
+
+const acme = { accountId: 'acme' };
+const globex = { accountId: 'globex' };
+
+/** Socket stand-in that records the frames it was sent */
+function fakeConn() {
+  const frames = [];
+  return { frames, send: (text) => frames.push(JSON.parse(text)) };
+}
+
+/** Subscriptions over an in-memory active cache and orders table */
+function fakeSubscriptions() {
+  const cache = new Map();
+  const rows = new Map([
+    ['order-1', { id: 'order-1', account_id: 'acme', status: 'pending' }],
+    ['order-2', { id: 'order-2', account_id: 'globex', status: 'pending' }],
+  ]);
+  const subscriptions = orderEvents.createOrderSubscriptions({
+    getActiveOrder: async (orderId) => cache.get(orderId) || null,
+    getOrder: async (orderId) => rows.get(orderId) || null,
+    ownsOrder: (order, account) => Boolean(order) && order.account_id === account.accountId,
+  });
+  return { subscriptions, cache, rows };
+}
+
+describe('Order Events', () => {
+  afterEach(() => { redis.failing = false; });
+
+  test('Published transitions reach every subscriber', async () => {
+    const first = [];
+    const second = [];
+    orderEvents.subscribeStatus((update) => first.push(update));
+    orderEvents.subscribeStatus((update) => second.push(update));
+    await new Promise((resolve) => setImmediate(resolve));
+
+    expect(await orderEvents.publishStatus('order-1', 'routing', { dex: 'raydium' })).toEqual({ success: true });
+    await redis.publish('other_channel', '{"orderId":"order-1"}');
+
+    expect(first).toEqual([{ orderId: 'order-1', status: 'routing', dex: 'raydium', timestamp: expect.any(Number) }]);
+    expect(second).toEqual(first);
+  });
+
+  test('A failed publish is reported instead of thrown', async () => {
+    const spy = jest.spyOn(console, 'error').mockImplementation(() => {});
+    redis.failing = true;
+
+    expect(await orderEvents.publishStatus('order-1', 'failed')).toEqual({ success: false, error: 'connection lost' });
+    spy.mockRestore();
+  });
+
+  test('Updates fan out to every socket watching the order, and only those', async () => {
+    const { subscriptions } = fakeSubscriptions();
+    const [a, b, other] = [fakeConn(), fakeConn(), fakeConn()];
+    const [watchA, watchB, watchOther] = [new Set(), new Set(), new Set()];
+
+    await subscriptions.subscribe(a, acme, watchA, 'order-1');
+    await subscriptions.subscribe(b, acme, watchB, 'order-1');
+    await subscriptions.subscribe(other, globex, watchOther, 'order-2');
+    subscriptions.broadcast({ orderId: 'order-1', status: 'routing' });
+
+    expect(a.frames.slice(-1)).toEqual([{ orderId: 'order-1', status: 'routing' }]);
+    expect(b.frames.slice(-1)).toEqual([{ orderId: 'order-1', status: 'routing' }]);
+    expect(other.frames.map((f) => f.status || f.event)).toEqual(['subscribed', 'pending']);
+
+    // Closed sockets stop receiving, the others keep going
+    subscriptions.disconnect(a, watchA);
+    subscriptions.broadcast({ orderId: 'order-1', status: 'building' });
+    expect(a.frames.slice(-1)[0].status).toBe('routing');
+    expect(b.frames.slice(-1)[0].status).toBe('building');
+    expect(watchA.size).toBe(0);
+  });
+
+  test("Another account's order can't be watched", async () => {
+    const { subscriptions } = fakeSubscriptions();
+    const conn = fakeConn();
+    const watching = new Set();
+
+    await subscriptions.handleMessage(conn, acme, watching, JSON.stringify({ action: 'subscribe', orderId: 'order-2' }));
+    await subscriptions.subscribe(conn, acme, watching, 'missing');
+    subscriptions.broadcast({ orderId: 'order-2', status: 'confirmed' });
+
+    expect(conn.frames).toEqual([
+      { event: 'error', orderId: 'order-2', error: 'Order not found' },
+      { event: 'error', orderId: 'missing', error: 'Order not found' },
+    ]);
+    expect(watching.size).toBe(0);
+  });
+
+  test('A late subscriber gets the latest state, then live updates', async () => {
+    const { subscriptions, cache, rows } = fakeSubscriptions();
+    const conn = fakeConn();
+    const watching = new Set();
+    // Transitions the socket missed: the cache holds the last one
+    cache.set('order-1', { status: 'submitted', dex: 'raydium', txHash: 'sig-1' });
+
+    await subscriptions.handleMessage(conn, acme, watching, JSON.stringify({ action: 'subscribe', orderId: 'order-1' }));
+    subscriptions.broadcast({ orderId: 'order-1', status: 'confirmed' });
+
+    expect(conn.frames).toEqual([
+      { event: 'subscribed', orderId: 'order-1' },
+      { orderId: 'order-1', status: 'submitted', dex: 'raydium', txHash: 'sig-1' },
+      { orderId: 'order-1', status: 'confirmed' },
+    ]);
+
+    // Finished orders have left the cache: the row is replayed instead
+    cache.clear();
+    rows.set('order-1', { ...rows.get('order-1'), status: 'confirmed', dex_chosen: 'raydium', amount_out: '0.99' });
+    const late = fakeConn();
+    await subscriptions.subscribe(late, acme, new Set(), 'order-1');
+    expect(late.frames[1]).toMatchObject({ orderId: 'order-1', status: 'confirmed', dex: 'raydium', amountOut: '0.99' });
+  });
+
+  test('Malformed and unknown messages are answered with errors', async () => {
+    const { subscriptions } = fakeSubscriptions();
+    const conn = fakeConn();
+    const watching = new Set();
+
+    subscriptions.handleMessage(conn, acme, watching, 'not json');
+    subscriptions.handleMessage(conn, acme, watching, '{"action":"subscribe"}');
+    subscriptions.handleMessage(conn, acme, watching, '{"action":"watch","orderId":"order-1"}');
+    await subscriptions.subscribe(conn, acme, watching, 'order-1');
+    subscriptions.handleMessage(conn, acme, watching, '{"action":"unsubscribe","orderId":"order-1"}');
+    subscriptions.broadcast({ orderId: 'order-1', status: 'routing' });
+
+    expect(conn.frames.map((f) => f.error || f.event || f.status)).toEqual([
+      'Invalid JSON', 'orderId required', 'Unknown action: watch', 'subscribed', 'pending', 'unsubscribed',
+    ]);
+  });
+});
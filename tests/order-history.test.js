@@ -0,0 +1,99 @@
+/**
+ * Order History Tests
+ * Tests cover: query parsing, filter/page query builders, cursors
+ *
+ * To run: npm test
+ * (No external services required)
+ */
+
+const { parseOrderListQuery } = require('../lib/order-history');
+const db = require('../lib/db-client');
+
+describe('Order History', () => {
+  test('Parses filters and defaults', () => {
+    const { filters, page } = parseOrderListQuery({
+      status: 'confirmed,failed',
+      pair: 'SOL/USDC',
+      dex: 'Raydium',
+      from: '2024-01-01',
+    });
+
+    expect(filters).toEqual({
+      statuses: ['confirmed', 'failed'],
+      tokenIn: 'SOL',
+      tokenOut: 'USDC',
+      dex: 'raydium',
+      from: '2024-01-01T00:00:00.000Z',
+    });
+    expect(page).toEqual({ sort: 'created_at', order: 'desc', limit: db.DEFAULT_PAGE_SIZE, cursor: null });
+  });
+
+  test('Rejects invalid parameters with structured errors', () => {
+    expect(parseOrderListQuery({ status: 'done' }).error.field).toBe('status');
+    expect(parseOrderListQuery({ pair: 'SOL' }).error.field).toBe('pair');
+    expect(parseOrderListQuery({ tokenIn: 'DOGE' }).error.code).toBe('UNKNOWN_TOKEN');
+    expect(parseOrderListQuery({ pair: 'SOL/USDC', tokenIn: 'SOL' }).error.code).toBe('CONFLICT');
+    expect(parseOrderListQuery({ from: 'yesterday' }).error.field).toBe('from');
+    expect(parseOrderListQuery({ from: '2024-02-01', to: '2024-01-01' }).error.field).toBe('to');
+    expect(parseOrderListQuery({ limit: '500' }).error.field).toBe('limit');
+    expect(parseOrderListQuery({ sort: 'amount' }).error.field).toBe('sort');
+    // Cursors are keyed on immutable columns only
+    expect(parseOrderListQuery({ sort: 'updated_at' }).error.field).toBe('sort');
+    expect(parseOrderListQuery({ cursor: 'garbage' }).error.field).toBe('cursor');
+    expect(parseOrderListQuery({ page: '2' }).error.code).toBe('UNKNOWN_FIELD');
+  });
+
+  test('Account filter is admin-only', () => {
+    expect(parseOrderListQuery({ accountId: 'acme' }).error.field).toBe('accountId');
+    expect(parseOrderListQuery({ accountId: 'acme' }, { allowAccount: true }).filters.accountId).toBe('acme');
+  });
+
+  test('Cursors round-trip and must match the sort', () => {
+    const cursor = db.encodeCursor({ sort: 'created_at', order: 'desc' }, {
+      id: 'order-1',
+      sort_key: '2024-05-01 12:00:00.123456',
+    });
+
+    expect(parseOrderListQuery({ cursor }).page.cursor).toEqual({
+      sort: 'created_at',
+      order: 'desc',
+      value: '2024-05-01 12:00:00.123456',
+      id: 'order-1',
+    });
+    expect(parseOrderListQuery({ cursor, order: 'asc' }).error.code).toBe('CONFLICT');
+  });
+
+  test('Builds parameterized filter and keyset queries', () => {
+    const filters = { accountId: 'acme', statuses: ['confirmed'], dex: 'raydium', to: '2024-02-01T00:00:00.000Z' };
+    const list = db.buildOrderListQuery({ ...filters, from: '2024-01-01T00:00:00.000Z' }, {
+      sort: 'created_at',
+      order: 'asc',
+      limit: 10,
+      cursor: { value: '2024-01-05 00:00:00', id: 'order-9' },
+    });
+
+    expect(list.values).toEqual([
+      'acme', ['confirmed'], 'raydium', '2024-01-01T00:00:00.000Z', '2024-02-01T00:00:00.000Z', '2024-01-05 00:00:00', 'order-9', 11,
+    ]);
+    expect(list.text).toContain('account_id = $1');
+    expect(list.text).toContain('status = ANY($2::varchar[])');
+    expect(list.text).toContain('l.dex = $3');
+    // created_at is TIMESTAMP, so bounds are cast to match rather than to timestamptz
+    expect(list.text).toContain('created_at >= $4::timestamp');
+    expect(list.text).toContain('created_at < $5::timestamp');
+    expect(list.text).toContain('(created_at, id) > ($6::timestamp, $7)');
+    expect(list.text).toMatch(/ORDER BY created_at ASC, id ASC LIMIT \$8/);
+
+    const count = db.buildOrderCountQuery(filters);
+    expect(count.values).toEqual(['acme', ['confirmed'], 'raydium', '2024-02-01T00:00:00.000Z']);
+    expect(count.text).not.toContain('LIMIT');
+  });
+
+  test('Descending pages walk backwards from the cursor', () => {
+    const list = db.buildOrderListQuery({}, { cursor: { value: '2024-01-05 00:00:00', id: 'x' }, limit: 5 });
+
+    expect(list.text).toContain('(created_at, id) < ($1::timestamp, $2)');
+    expect(list.text).toMatch(/ORDER BY created_at DESC, id DESC/);
+    expect(() => db.buildOrderListQuery({}, { sort: 'payload' })).toThrow();
+  });
+});
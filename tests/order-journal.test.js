@@ -0,0 +1,123 @@
+/**
+ * Order Event Journal Tests
+ * Tests cover: one event journal row per status transition, optimistic
+ * version checks, columns kept across transitions with partial details
+ *
+ * To run: npm test
+ * (No external services required)
+ */
+
+const db = require('../lib/db-client');
+
+/**
+ * In-memory orders row and order_events journal behind db.pool.query
+ * The UPDATE's SET clause is applied as written: `col = COALESCE($n, col)` keeps
+ * the column when the parameter is null, `col = $n` overwrites it
+ * `races` other writers bump the version right after each of the first reads
+ */
+function fakeJournal(status, { races = 0 } = {}) {
+  const order = { status, version: 1 };
+  const events = [];
+  let pendingRaces = races;
+
+  const applySet = (text, params) => {
+    const set = text.slice(text.indexOf('UPDATE orders SET'), text.indexOf('WHERE'));
+    for (const [, column, index] of set.matchAll(/(\w+) = \$(\d+)/g)) {
+      order[column] = params[index - 1] === undefined ? null : params[index - 1];
+    }
+    for (const [, column, index] of set.matchAll(/(\w+) = COALESCE\(\$(\d+), \1\)/g)) {
+      const value = params[index - 1];
+      if (value !== undefined && value !== null) order[column] = value;
+    }
+  };
+
+  jest.spyOn(db.pool, 'query').mockImplementation(async (text, params) => {
+    if (text.startsWith('SELECT status, version FROM orders')) {
+      const row = { status: order.status, version: order.version };
+      if (pendingRaces > 0) {
+        pendingRaces -= 1;
+        order.version += 1;
+      }
+      return { rows: [row] };
+    }
+    if (text.includes('INSERT INTO order_events')) {
+      // The event is inserted from the UPDATE's returned row, so a stale version inserts nothing
+      const [newStatus] = params;
+      if (params[10] !== order.version) return { rows: [], rowCount: 0 };
+      applySet(text, params);
+      order.status = newStatus;
+      order.version += 1;
+      events.push({ status: newStatus, attempt: params[11], details: JSON.parse(params[12]) });
+      return { rows: [], rowCount: 1 };
+    }
+    throw new Error(`Unexpected query: ${text}`);
+  });
+  return { order, events };
+}
+
+describe('Order Event Journal', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  test('Every transition writes exactly one event row', async () => {
+    const { order, events } = fakeJournal('pending');
+
+    await db.transitionOrder('order-1', 'routing', { dex: 'raydium' }, { attempt: 1 });
+    await db.transitionOrder('order-1', 'building', { priorityFee: 20000 }, { attempt: 1 });
+    await db.transitionOrder('order-1', 'submitted', { txHash: 'sig' }, { attempt: 1 });
+    const result = await db.transitionOrder('order-1', 'confirmed', { txHash: 'sig' }, { attempt: 1 });
+
+    expect(result).toEqual({ success: true, from: 'submitted', version: 5 });
+    expect(events.map((e) => e.status)).toEqual(['routing', 'building', 'submitted', 'confirmed']);
+    expect(events[0]).toEqual({ status: 'routing', attempt: 1, details: { dex: 'raydium' } });
+    expect(order).toMatchObject({ status: 'confirmed', version: 5 });
+  });
+
+  test('Later stages keep the venue and quote chosen during routing', async () => {
+    const { order } = fakeJournal('pending');
+
+    await db.transitionOrder('order-1', 'routing', {
+      dex: 'raydium', price: 150.25, expectedAmountOut: '0.996', minAmountOut: '0.986',
+    });
+    await db.transitionOrder('order-1', 'building', {});
+    await db.transitionOrder('order-1', 'submitted', { txHash: 'sig-1' });
+    await db.transitionOrder('order-1', 'confirmed', { executedPrice: 150.4, amountOut: '0.995', commitment: 'confirmed' });
+
+    expect(order).toMatchObject({
+      status: 'confirmed',
+      dex_chosen: 'raydium',
+      quote_price: 150.25,
+      expected_amount_out: '0.996',
+      min_amount_out: '0.986',
+      tx_hash: 'sig-1',
+      executed_price: 150.4,
+      amount_out: '0.995',
+      commitment: 'confirmed',
+    });
+  });
+
+  test('Refused transitions write no event row', async () => {
+    const { events } = fakeJournal('confirmed');
+    const result = await db.transitionOrder('order-1', 'routing', {});
+
+    expect(result).toMatchObject({ success: false, invalid: true, from: 'confirmed' });
+    expect(events).toEqual([]);
+  });
+
+  test('A lost version check writes no row; the re-checked transition writes one', async () => {
+    const { order, events } = fakeJournal('pending', { races: 1 });
+
+    expect((await db.transitionOrder('order-1', 'routing', {})).success).toBe(true);
+    expect(events.map((e) => e.status)).toEqual(['routing']);
+    expect(order.version).toBe(3);
+  });
+
+  test('A transition that keeps losing the version check writes nothing', async () => {
+    const { order, events } = fakeJournal('pending', { races: 3 });
+    const result = await db.transitionOrder('order-1', 'routing', {});
+
+    expect(result.success).toBe(false);
+    expect(result.error).toMatch(/kept changing/);
+    expect(events).toEqual([]);
+    expect(order.status).toBe('pending');
+  });
+});
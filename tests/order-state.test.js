@@ -0,0 +1,68 @@
+/**
+ * Order State Machine Tests
+ * Tests cover: legal lifecycle paths, retries, terminal statuses, rejections
+ *
+ * To run: npm test
+ * (No external services required)
+ */
+
+const { UnrecoverableError } = require('bullmq');
+const orderState = require('../lib/order-state');
+
+function walk(path) {
+  return path.slice(1).every((to, i) => orderState.canTransition(path[i], to));
+}
+
+describe('Order State Machine', () => {
+  test('Market, limit and split lifecycles are legal', () => {
+    expect(walk(['pending', 'routing', 'building', 'submitted', 'confirmed'])).toBe(true);
+    expect(walk(['waiting', 'pending', 'routing', 'building', 'submitted', 'confirmed'])).toBe(true);
+    expect(walk(['pending', 'routing', 'building', 'submitted', 'partially_filled'])).toBe(true);
+    expect(walk(['waiting', 'expired'])).toBe(true);
+  });
+
+  test('Failed attempts retry through retrying, never straight from failed', () => {
+    expect(walk(['pending', 'routing', 'retrying', 'pending', 'routing', 'building', 'retrying', 'failed'])).toBe(true);
+    expect(orderState.canTransition('failed', 'pending')).toBe(false);
+    expect(walk(['routing', 'failed', 'retrying', 'pending'])).toBe(true); // dead-letter re-drive
+    expect(walk(['building', 'submitted', 'retrying', 'pending'])).toBe(true); // transaction expired unconfirmed
+    expect(orderState.canTransition('retrying', 'routing')).toBe(false);
+    expect(orderState.canTransition('pending', 'pending')).toBe(false);
+  });
+
+  test('Terminal statuses have no way out except re-driving a failed order', () => {
+    expect([...orderState.TERMINAL_STATUSES].sort()).toEqual(
+      ['cancelled', 'confirmed', 'expired', 'failed', 'partially_filled', 'rejected']
+    );
+    expect(orderState.OPEN_STATUSES).not.toContain('failed');
+    orderState.TERMINAL_STATUSES.forEach((from) => {
+      orderState.ORDER_STATUSES.forEach((to) => {
+        expect(orderState.canTransition(from, to)).toBe(from === 'failed' && to === 'retrying');
+      });
+    });
+  });
+
+  test('Cancellation and rejection only happen before submission', () => {
+    ['waiting', 'pending', 'routing', 'building', 'retrying'].forEach((from) => {
+      expect(orderState.canTransition(from, 'cancelled')).toBe(true);
+      expect(orderState.canTransition(from, 'rejected')).toBe(true);
+    });
+    expect(orderState.canTransition('submitted', 'cancelled')).toBe(false);
+    expect(orderState.canTransition('submitted', 'rejected')).toBe(false);
+  });
+
+  test('Stages never move backwards and unknown statuses are rejected', () => {
+    expect(orderState.canTransition('building', 'routing')).toBe(false);
+    expect(orderState.canTransition('confirmed', 'submitted')).toBe(false);
+    expect(orderState.canTransition('pending', 'bogus')).toBe(false);
+    expect(orderState.canTransition('bogus', 'pending')).toBe(false);
+  });
+
+  test('Invalid transitions are unrecoverable errors naming both statuses', () => {
+    const err = new orderState.InvalidTransitionError('order-1', 'cancelled', 'routing');
+
+    expect(err).toBeInstanceOf(UnrecoverableError);
+    expect(err.message).toBe('Order order-1 cannot move from cancelled to routing');
+    expect(err.from).toBe('cancelled');
+  });
+});
@@ -0,0 +1,105 @@
+/**
+ * Signed Quote Tests
+ * Tests cover: query validation, recommended route, signing, verification, single use
+ *
+ * To run: npm test
+ * (No external services required)
+ */
+
+const quotes = require('../lib/quotes');
+const { routing, split } = require('../lib/dex');
+
+const SECRET = 'test-secret';
+const request = { tokenIn: 'SOL', tokenOut: 'USDC', amountIn: 10 };
+const order = (overrides = {}) => ({ type: 'market', ...request, ...overrides });
+
+function issue(options = {}) {
+  const route = { type: 'single', dex: 'raydium', expectedAmountOut: '0.099600' };
+  return quotes.issueQuote('acme', request, route, { secret: SECRET, ttlMs: 10000, now: () => 1000, ...options });
+}
+
+/** In-memory stand-in for SET NX / DEL */
+function fakeRedis() {
+  const values = new Map();
+  return {
+    async set(key, value, px, ttl, nx) {
+      if (nx === 'NX' && values.has(key)) return null;
+      values.set(key, value);
+      return 'OK';
+    },
+    async del(key) { values.delete(key); },
+  };
+}
+
+describe('Signed Quotes', () => {
+  test('Query parameters are validated with the order schema', () => {
+    expect(quotes.parseQuoteQuery({ tokenIn: 'SOL', tokenOut: 'USDC', amountIn: '2.5' }))
+      .toEqual({ tokenIn: 'SOL', tokenOut: 'USDC', amountIn: 2.5 });
+    expect(quotes.parseQuoteQuery({ tokenIn: 'SOL', tokenOut: 'USDC' }).error.field).toBe('amountIn');
+    expect(quotes.parseQuoteQuery({ tokenIn: 'SOL', tokenOut: 'USDC', amountIn: 'ten' }).error.code).toBe('INVALID_TYPE');
+    expect(quotes.parseQuoteQuery({ tokenIn: 'SOL', tokenOut: 'SOL', amountIn: '1' }).error.field).toBe('tokenOut');
+  });
+
+  test('Recommended route is the best venue, or the split when it wins', () => {
+    const ranked = routing.rankQuotes([
+      { dex: 'raydium', price: 100, fee: 0.003, liquidity: 50000 },
+      { dex: 'meteora', price: 100, fee: 0.002, liquidity: 20000 },
+    ], 10);
+    expect(quotes.recommendedRoute(ranked, null, request)).toEqual({
+      type: 'single',
+      dex: 'meteora',
+      expectedAmountOut: '0.099750', // 0.09995 gross less the 0.2% fee, rounded down to USDC's 6 decimals
+      feeAmount: '0.000199',
+      effectiveRate: '0.009975',
+    });
+
+    const large = routing.rankQuotes(ranked, 20000);
+    const largeRequest = { ...request, amountIn: 20000 };
+    const route = quotes.recommendedRoute(large, split.chooseSplit(large, largeRequest), largeRequest);
+    expect(route.type).toBe('split');
+    expect(route.legs.map((leg) => leg.dex).sort()).toEqual(['meteora', 'raydium']);
+    expect(Number(route.expectedAmountOut)).toBeCloseTo(route.legs.reduce((sum, leg) => sum + Number(leg.netOut), 0), 5);
+  });
+
+  test('Issued quotes verify for the same account, pair and amount', () => {
+    const { quoteId, quote } = issue();
+
+    expect(quoteId).toMatch(/^q_[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+$/);
+    expect(quote).toMatchObject({ accountId: 'acme', venues: ['raydium'], expectedAmountOut: '0.099600', expiresAt: 11000 });
+    expect(quotes.decodeQuote(quoteId)).toEqual(quote);
+    expect(quotes.verifyQuote(quoteId, 'acme', order(), { secret: SECRET, now: () => 5000 })).toEqual({ quote });
+  });
+
+  test('Tampered, foreign or mismatched quotes are rejected', () => {
+    const { quoteId } = issue();
+    const signature = quoteId.split('.')[1];
+    const forged = Buffer.from(JSON.stringify({ ...quotes.decodeQuote(quoteId), expectedAmountOut: 1 })).toString('base64url');
+    const verify = (id, accountId = 'acme', o = order()) => quotes.verifyQuote(id, accountId, o, { secret: SECRET, now: () => 5000 });
+
+    expect(verify('not-a-quote').error.code).toBe('INVALID_QUOTE');
+    expect(verify(`q_${forged}.${signature}`).error.message).toMatch(/signature/);
+    expect(quotes.verifyQuote(quoteId, 'acme', order(), { secret: 'other', now: () => 5000 }).error.code).toBe('INVALID_QUOTE');
+    expect(verify(quoteId, 'globex').error.message).toMatch(/this account/);
+
+    const mismatch = verify(quoteId, 'acme', order({ amountIn: 11 }));
+    expect(mismatch).toMatchObject({ httpStatus: 400, error: { code: 'QUOTE_MISMATCH', field: 'quoteId' } });
+  });
+
+  test('Quotes expire at the end of their window', () => {
+    const { quoteId } = issue();
+
+    expect(quotes.verifyQuote(quoteId, 'acme', order(), { secret: SECRET, now: () => 10999 }).quote).toBeDefined();
+    const expired = quotes.verifyQuote(quoteId, 'acme', order(), { secret: SECRET, now: () => 11000 });
+    expect(expired).toMatchObject({ httpStatus: 410, error: { code: 'QUOTE_EXPIRED' } });
+  });
+
+  test('A quote is claimed once until released', async () => {
+    const redis = fakeRedis();
+    const { quote } = issue({ now: Date.now });
+
+    expect(await quotes.claimQuote(redis, quote)).toBe(true);
+    expect(await quotes.claimQuote(redis, quote)).toBe(false);
+    await quotes.releaseQuote(redis, quote);
+    expect(await quotes.claimQuote(redis, quote)).toBe(true);
+  });
+});
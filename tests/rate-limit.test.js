@@ -0,0 +1,95 @@
+/**
+ * Rate Limiting Tests
+ * Tests cover: limit config, usage headers, limiter edge cases, refunds
+ * (bucket behavior against Redis is covered in integration.test.js)
+ *
+ * To run: npm test
+ * (No external services required)
+ */
+
+const {
+  DEFAULT_LIMITS,
+  loadRateLimitConfig,
+  rateLimitHeaders,
+  RateLimiter,
+} = require('../lib/rate-limit');
+
+/** Minimal stand-in for ioredis with a scripted takeTokens reply */
+function fakeRedis(reply) {
+  return {
+    calls: [],
+    refunds: [],
+    defineCommand() {},
+    async takeTokens(...args) {
+      this.calls.push(args);
+      if (reply instanceof Error) throw reply;
+      return reply;
+    },
+    async refundTokens(...args) {
+      this.refunds.push(args);
+      return '1000';
+    },
+  };
+}
+
+describe('Rate Limiting', () => {
+  test('Config: Defaults and env overrides', () => {
+    expect(loadRateLimitConfig({})).toEqual(DEFAULT_LIMITS);
+    expect(loadRateLimitConfig({ RATE_LIMIT_ORDERS_PER_MIN: '5', RATE_LIMIT_NOTIONAL_PER_MIN: '0' }))
+      .toEqual({ ...DEFAULT_LIMITS, orders: 5, notional: 0 });
+    expect(() => loadRateLimitConfig({ RATE_LIMIT_REQUESTS_PER_MIN: 'lots' })).toThrow(/RATE_LIMIT_REQUESTS_PER_MIN/);
+  });
+
+  test('Headers: Usage always, Retry-After only when rejected', () => {
+    expect(rateLimitHeaders('orders', { allowed: true, limit: 30, remaining: 12.7, retryAfterMs: 0 })).toEqual({
+      'X-RateLimit-Orders-Limit': '30',
+      'X-RateLimit-Orders-Remaining': '12',
+    });
+    expect(rateLimitHeaders('orders', { allowed: false, limit: 30, remaining: 0.2, retryAfterMs: 1600 }))
+      .toHaveProperty('Retry-After', '2');
+    expect(rateLimitHeaders('notional', { allowed: false, limit: 10, remaining: 10, retryAfterMs: Infinity }))
+      .not.toHaveProperty('Retry-After');
+    expect(rateLimitHeaders('requests', { allowed: true, limit: 0, remaining: 0 })).toEqual({});
+  });
+
+  test('Limiter: Passes bucket parameters and maps the reply', async () => {
+    const redis = fakeRedis([0, '0.25', 1500]);
+    const limiter = new RateLimiter(redis, { orders: 30 });
+    const result = await limiter.take('orders', 'acct:acme');
+
+    expect(redis.calls[0]).toEqual(['ratelimit:orders:acct:acme', 30, 1, 60000]);
+    expect(result).toEqual({ allowed: false, limit: 30, remaining: 0.25, retryAfterMs: 1500 });
+  });
+
+  test('Limiter: Oversized costs and disabled limits skip Redis', async () => {
+    const redis = fakeRedis([1, '0', 0]);
+    const limiter = new RateLimiter(redis, { notional: 1000, orders: 0 });
+
+    expect(await limiter.take('notional', 'acct:acme', 5000)).toEqual(expect.objectContaining({
+      allowed: false,
+      retryAfterMs: Infinity,
+    }));
+    expect((await limiter.take('orders', 'acct:acme')).allowed).toBe(true);
+    expect(redis.calls).toHaveLength(0);
+  });
+
+  test('Limiter: Refunds a charge to the same bucket, skipping empty ones', async () => {
+    const redis = fakeRedis([1, '850', 0]);
+    const limiter = new RateLimiter(redis, { notional: 1000, orders: 0 });
+
+    await limiter.take('notional', 'acct:acme', 150);
+    await limiter.refund('notional', 'acct:acme', 150);
+    await limiter.refund('notional', 'acct:acme', 0);
+    await limiter.refund('orders', 'acct:acme', 1);
+
+    expect(redis.refunds).toEqual([['ratelimit:notional:acct:acme', 1000, 150]]);
+  });
+
+  test('Limiter: Fails open when Redis errors', async () => {
+    const limiter = new RateLimiter(fakeRedis(new Error('connection lost')), { requests: 10 });
+    const spy = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    expect((await limiter.take('requests', 'ip:127.0.0.1')).allowed).toBe(true);
+    spy.mockRestore();
+  });
+});
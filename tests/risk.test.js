@@ -0,0 +1,139 @@
+/**
+ * Pre-trade Risk Tests
+ * Tests cover: limit config, USD order value, token lists, exposure limits, kill switch
+ *
+ * To run: npm test
+ * (No external services required)
+ */
+
+const {
+  REJECT_REASONS,
+  DEFAULT_RISK_CONFIG,
+  loadRiskConfig,
+  evaluateRisk,
+  RiskChecker,
+} = require('../lib/risk');
+
+const order = (overrides = {}) => ({ type: 'market', tokenIn: 'SOL', tokenOut: 'USDC', amountIn: 100, ...overrides });
+const context = (overrides = {}) => ({
+  killSwitch: null,
+  exposure: { dailyNotional: 0, openOrders: 0 },
+  checkOpenOrders: true,
+  ...overrides,
+});
+
+/** In-memory stand-ins for the Redis client and db-client */
+function fakeDeps(exposure = { dailyAmounts: {}, openOrders: 0 }) {
+  const store = new Map();
+  return {
+    redis: {
+      async get(key) { return store.has(key) ? store.get(key) : null; },
+      async set(key, value) { store.set(key, value); },
+      async del(key) { store.delete(key); },
+    },
+    db: {
+      async getAccountExposure(accountId, options) {
+        this.calls = (this.calls || []).concat([[accountId, options]]);
+        return exposure;
+      },
+    },
+  };
+}
+
+describe('Risk Checks', () => {
+  test('Config: Defaults and env overrides', () => {
+    expect(loadRiskConfig({})).toEqual(DEFAULT_RISK_CONFIG);
+    expect(loadRiskConfig({
+      RISK_MAX_ORDER_AMOUNT: '500',
+      RISK_TOKEN_ALLOWLIST: 'sol, usdc',
+      RISK_TOKEN_DENYLIST: 'BONK',
+      RISK_MAX_OPEN_ORDERS: '0',
+    })).toEqual({ ...DEFAULT_RISK_CONFIG, maxOrderAmount: 500, allowlist: ['SOL', 'USDC'], denylist: ['BONK'], maxOpenOrders: 0 });
+    expect(() => loadRiskConfig({ RISK_DAILY_NOTIONAL_LIMIT: '-1' })).toThrow(/RISK_DAILY_NOTIONAL_LIMIT/);
+  });
+
+  test('Accepts orders within every limit', () => {
+    expect(evaluateRisk(order(), context(), DEFAULT_RISK_CONFIG)).toBeNull();
+  });
+
+  test('Rejects oversized orders by their USD value', () => {
+    const config = { ...DEFAULT_RISK_CONFIG, maxOrderAmount: 1000 };
+    // 100 SOL at the 150 USD reference price
+    expect(evaluateRisk(order(), context(), config)).toEqual(expect.objectContaining({
+      code: REJECT_REASONS.MAX_ORDER_SIZE,
+      field: 'amountIn',
+      message: expect.stringContaining('15000.00 USD'),
+    }));
+    expect(evaluateRisk(order({ tokenIn: 'USDC', tokenOut: 'SOL', amountIn: 1000 }), context(), config)).toBeNull();
+    expect(evaluateRisk(order({ tokenIn: 'JUP' }), context(), config).code).toBe(REJECT_REASONS.NO_REFERENCE_PRICE);
+    expect(loadRiskConfig({ MARKET_CONFIG: '{"referencePrices":{"JUP":0.8}}' }).referencePrices)
+      .toMatchObject({ JUP: 0.8, SOL: 150 });
+  });
+
+  test('Enforces token allow and deny lists', () => {
+    const denied = { ...DEFAULT_RISK_CONFIG, denylist: ['USDC'] };
+    const allowed = { ...DEFAULT_RISK_CONFIG, allowlist: ['SOL', 'USDT'] };
+
+    expect(evaluateRisk(order(), context(), denied)).toEqual(expect.objectContaining({
+      code: REJECT_REASONS.TOKEN_DENIED,
+      field: 'tokenOut',
+    }));
+    expect(evaluateRisk(order(), context(), allowed).code).toBe(REJECT_REASONS.TOKEN_NOT_ALLOWED);
+    expect(evaluateRisk(order({ tokenOut: 'USDT' }), context(), allowed)).toBeNull();
+  });
+
+  test('Enforces daily notional and open-order limits', () => {
+    const config = { ...DEFAULT_RISK_CONFIG, dailyNotionalLimit: 1000, maxOpenOrders: 3 };
+    const half = order({ amountIn: 0.5 }); // 75 USD
+
+    expect(evaluateRisk(half, context({ exposure: { dailyNotional: 900, openOrders: 0 } }), config)).toBeNull();
+    expect(evaluateRisk(half, context({ exposure: { dailyNotional: 950, openOrders: 0 } }), config).code)
+      .toBe(REJECT_REASONS.DAILY_NOTIONAL_LIMIT);
+    expect(evaluateRisk(half, context({ exposure: { dailyNotional: 0, openOrders: 3 } }), config).code)
+      .toBe(REJECT_REASONS.OPEN_ORDER_LIMIT);
+    // Open orders are a submission-time limit only
+    expect(evaluateRisk(half, context({ exposure: { dailyNotional: 0, openOrders: 3 }, checkOpenOrders: false }), config))
+      .toBeNull();
+  });
+
+  test('Fails closed when exposure is unavailable', () => {
+    expect(evaluateRisk(order(), context({ exposure: null }), DEFAULT_RISK_CONFIG).code)
+      .toBe(REJECT_REASONS.RISK_UNAVAILABLE);
+  });
+
+  test('Kill switch halts every order', async () => {
+    const deps = fakeDeps();
+    const checker = new RiskChecker(deps, DEFAULT_RISK_CONFIG);
+
+    expect(await checker.checkOrder(order(), 'acme')).toBeNull();
+
+    await checker.setKillSwitch(true, 'venue incident');
+    const rejection = await checker.checkOrder(order(), 'acme', { stage: 'execution', orderId: 'o-1' });
+    expect(rejection.code).toBe(REJECT_REASONS.KILL_SWITCH);
+    expect(rejection.message).toContain('venue incident');
+
+    await checker.setKillSwitch(false);
+    expect(await checker.getKillSwitch()).toBeNull();
+  });
+
+  test('Daily usage in several tokens is summed in USD', async () => {
+    const config = { ...DEFAULT_RISK_CONFIG, dailyNotionalLimit: 2000 };
+    // 1 SOL + 300 USDC = 450 USD used
+    const checker = new RiskChecker(fakeDeps({ dailyAmounts: { SOL: 1, USDC: 300 }, openOrders: 0 }), config);
+
+    expect(await checker.checkOrder(order({ amountIn: 10 }), 'acme')).toBeNull();
+    expect((await checker.checkOrder(order({ amountIn: 11 }), 'acme')).message).toContain('450.00 USD used today');
+
+    const unpriced = new RiskChecker(fakeDeps({ dailyAmounts: { JUP: 5 }, openOrders: 0 }), config);
+    expect((await unpriced.checkOrder(order(), 'acme')).code).toBe(REJECT_REASONS.RISK_UNAVAILABLE);
+  });
+
+  test('Execution checks exclude the order itself from exposure', async () => {
+    const deps = fakeDeps({ dailyAmounts: { SOL: 100 }, openOrders: 60 });
+    const checker = new RiskChecker(deps, DEFAULT_RISK_CONFIG);
+
+    expect(await checker.checkOrder(order(), 'acme', { stage: 'execution', orderId: 'o-1' })).toBeNull();
+    expect(deps.db.calls[0]).toEqual(['acme', { excludeOrderId: 'o-1' }]);
+    expect((await checker.checkOrder(order(), 'acme')).code).toBe(REJECT_REASONS.OPEN_ORDER_LIMIT);
+  });
+});
@@ -0,0 +1,43 @@
+/**
+ * Slippage Protection Tests
+ * Tests cover: expected output, tolerance resolution, fill checks
+ *
+ * To run: npm test
+ * (No external services required)
+ */
+
+const { UnrecoverableError } = require('bullmq');
+const slippage = require('../lib/slippage');
+
+describe('Slippage Protection', () => {
+  const quote = { price: 100, fee: 0.003, dex: 'raydium' };
+
+  test('Expected output is net of the venue fee', () => {
+    expect(slippage.expectedAmountOut(1000, quote)).toBeCloseTo(9.97, 10);
+  });
+
+  test('minAmountOut takes precedence over slippageBps default', () => {
+    expect(slippage.minAmountOut({ minAmountOut: 9.5 }, 9.97)).toBe(9.5);
+    expect(slippage.minAmountOut({ slippageBps: 50 }, 10)).toBeCloseTo(9.95, 10);
+    expect(slippage.minAmountOut({}, 10)).toBeCloseTo(10 * (1 - slippage.DEFAULT_SLIPPAGE_BPS / 10000), 10);
+  });
+
+  test('Fill within tolerance passes', () => {
+    const result = slippage.checkFill({ amountIn: 1000, slippageBps: 50 }, quote, 100.2);
+    expect(result.actualOut).toBeGreaterThanOrEqual(result.minOut);
+  });
+
+  test('Fill outside tolerance throws unrecoverable slippage_exceeded', () => {
+    let error;
+    try {
+      slippage.checkFill({ amountIn: 1000, slippageBps: 10 }, quote, 101);
+    } catch (err) {
+      error = err;
+    }
+
+    expect(error).toBeInstanceOf(slippage.SlippageError);
+    expect(error).toBeInstanceOf(UnrecoverableError);
+    expect(error.reason).toBe(slippage.SLIPPAGE_EXCEEDED);
+    expect(error.message).toMatch(/^slippage_exceeded:/);
+  });
+});
@@ -0,0 +1,93 @@
+/**
+ * Transaction Builder Tests
+ * Tests cover: swap instruction set, compute budget, fee strategies,
+ * cost estimates and rebuilding with a higher fee
+ *
+ * To run: npm test
+ * (No external services required)
+ */
+
+const { createChain, priorityFeeOf, COMPUTE_BUDGET_PROGRAM } = require('../lib/chain');
+const { VENUE_PRESETS } = require('../lib/dex/config');
+const txb = require('../lib/transaction-builder');
+
+const venue = { name: 'raydium', ...VENUE_PRESETS.raydium };
+const request = {
+  orderId: 'order-1',
+  accountId: 'acme',
+  order: { tokenIn: 'USDC', tokenOut: 'SOL', amountIn: 150 },
+  venue,
+  minAmountOut: 0.995,
+};
+
+// Chain whose recent slots paid fixed prioritization fees
+function chainWithFees(fees) {
+  const chain = createChain({ seed: 3 });
+  chain.getRecentPrioritizationFees = () => fees.map((prioritizationFee, slot) => ({ slot, prioritizationFee }));
+  return chain;
+}
+
+describe('Transaction Builder', () => {
+  test('Swaps carry a compute budget, memo and the venue instruction with route accounts', () => {
+    const builder = txb.createTransactionBuilder(chainWithFees([20000]), txb.DEFAULT_FEE_STRATEGY);
+    const built = builder.build(request);
+    const [limit, price, memo, swap] = built.message.instructions;
+
+    expect(limit).toEqual({ programId: COMPUTE_BUDGET_PROGRAM, name: 'SetComputeUnitLimit', data: { units: 120000 } });
+    expect(price.data).toEqual({ microLamports: 20000 });
+    expect(memo.data.memo).toBe('order-1');
+    expect(swap.programId).toBe(VENUE_PRESETS.raydium.programId);
+    expect(swap.data).toEqual({ amountIn: '150000000', minAmountOut: '995000000' });
+    expect(swap.accounts.map((a) => a.name)).toEqual(
+      ['authority', 'pool', 'poolVaultIn', 'poolVaultOut', 'userTokenIn', 'userTokenOut', 'tokenProgram']
+    );
+    expect(swap.accounts[0]).toMatchObject({ pubkey: built.message.feePayer, isSigner: true });
+    expect(priorityFeeOf(built.message)).toBe(20000);
+  });
+
+  test('Payload serializes the message and the cost covers base and priority fees', () => {
+    const builder = txb.createTransactionBuilder(chainWithFees([20000]), txb.DEFAULT_FEE_STRATEGY);
+    const built = builder.build(request);
+
+    expect(JSON.parse(Buffer.from(built.serialized, 'base64').toString())).toEqual(built.message);
+    expect(built.size).toBe(Buffer.from(built.serialized, 'base64').length);
+    // 5000 per signature + 120000 CU * 20000 µlamports = 2400 lamports
+    expect(built.cost).toEqual({ baseFee: 5000, priorityFee: 2400, total: 7400 });
+    expect(built.networkFee).toBe('0.000007400');
+    expect(builder.estimateSwapCost(venue)).toEqual(built.cost);
+  });
+
+  test('Venues without a preset get a derived program and default compute units', () => {
+    const builder = txb.createTransactionBuilder(chainWithFees([]), txb.DEFAULT_FEE_STRATEGY);
+    const built = builder.build({ ...request, venue: { name: 'lifinity' }, legIndex: 2 });
+
+    expect(built.computeUnitLimit).toBe(Math.ceil((150000 + 10000) * 1.2));
+    expect(built.message.instructions[3].programId).toMatch(/^[1-9A-HJ-NP-Za-km-z]{32,44}$/);
+    expect(built.message.instructions[2].data.memo).toBe('order-1:2');
+    expect(built.priorityFee).toBe(txb.DEFAULT_FEE_STRATEGY.minMicroLamports);
+  });
+
+  test('Fee strategies: percentile of recent fees or fixed, within min and max', () => {
+    const fees = [100, 5000, 8000, 12000, 40000];
+    expect(txb.percentile(fees, 75)).toBe(12000);
+    expect(txb.percentile(fees, 100)).toBe(40000);
+
+    expect(txb.createTransactionBuilder(chainWithFees(fees), txb.loadFeeStrategy({})).priorityFee()).toBe(12000);
+    const fixed = txb.loadFeeStrategy({ FEE_STRATEGY: '{"type":"fixed","microLamports":3000000}' });
+    expect(txb.createTransactionBuilder(chainWithFees(fees), fixed).priorityFee()).toBe(1000000);
+    expect(() => txb.loadFeeStrategy({ FEE_STRATEGY: '{"type":"auction"}' })).toThrow(/Unknown fee strategy/);
+    expect(() => txb.loadFeeStrategy({ FEE_STRATEGY: '{' })).toThrow(/Invalid FEE_STRATEGY/);
+  });
+
+  test('Rebuilding raises the fee by the bump multiplier, up to the cap', () => {
+    const builder = txb.createTransactionBuilder(chainWithFees([20000]), { ...txb.DEFAULT_FEE_STRATEGY, maxMicroLamports: 100000 });
+    const first = builder.build(request);
+    const second = builder.rebuild(first);
+
+    expect(second.priorityFee).toBe(40000);
+    expect(second.message.instructions[3]).toEqual(first.message.instructions[3]);
+    expect(second.serialized).not.toBe(first.serialized);
+    expect(builder.rebuild(builder.rebuild(second)).priorityFee).toBe(100000);
+    expect(txb.totalCost([first, second])).toMatchObject({ computeUnitLimit: 240000, priorityFee: 40000, networkFee: '0.000017200' });
+  });
+});
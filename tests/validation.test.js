@@ -0,0 +1,108 @@
+/**
+ * Order Validation Tests
+ * Tests cover: types, ranges, token registry, decimals, cross-field rules
+ *
+ * To run: npm test
+ * (No external services required)
+ */
+
+const { validateOrder, decimalPlaces, ERROR_CODES } = require('../lib/validation');
+const { loadTokenRegistry } = require('../lib/tokens');
+
+const market = (overrides = {}) => ({
+  type: 'market',
+  tokenIn: 'SOL',
+  tokenOut: 'USDC',
+  amountIn: 100,
+  ...overrides,
+});
+
+describe('Order Validation', () => {
+  test('Accepts valid market and limit orders', () => {
+    expect(validateOrder(market())).toBeNull();
+    expect(validateOrder(market({
+      type: 'limit',
+      limitPrice: 99.5,
+      expiresAt: new Date(Date.now() + 60000).toISOString(),
+      slippageBps: 50,
+    }))).toBeNull();
+  });
+
+  test('Rejects non-object bodies', () => {
+    expect(validateOrder(null).code).toBe(ERROR_CODES.INVALID_BODY);
+    expect(validateOrder([market()]).code).toBe(ERROR_CODES.INVALID_BODY);
+  });
+
+  test('Reports the failing field with a code', () => {
+    expect(validateOrder(market({ tokenIn: undefined }))).toEqual({
+      code: ERROR_CODES.REQUIRED,
+      field: 'tokenIn',
+      message: 'tokenIn is required',
+    });
+    expect(validateOrder(market({ type: 'sniper' })).code).toBe(ERROR_CODES.INVALID_VALUE);
+    expect(validateOrder(market({ extra: 1 }))).toEqual(expect.objectContaining({
+      code: ERROR_CODES.UNKNOWN_FIELD,
+      field: 'extra',
+    }));
+  });
+
+  test('Rejects string, negative and zero amounts', () => {
+    expect(validateOrder(market({ amountIn: '100' })).code).toBe(ERROR_CODES.INVALID_TYPE);
+    expect(validateOrder(market({ amountIn: -5 })).code).toBe(ERROR_CODES.OUT_OF_RANGE);
+    expect(validateOrder(market({ amountIn: 0 })).code).toBe(ERROR_CODES.OUT_OF_RANGE);
+  });
+
+  test('Rejects unknown and identical tokens', () => {
+    expect(validateOrder(market({ tokenOut: 'DOGE' }))).toEqual(expect.objectContaining({
+      code: ERROR_CODES.UNKNOWN_TOKEN,
+      field: 'tokenOut',
+    }));
+    expect(validateOrder(market({ tokenOut: 'SOL' }))).toEqual(expect.objectContaining({
+      code: ERROR_CODES.INVALID_VALUE,
+      field: 'tokenOut',
+    }));
+  });
+
+  test('Enforces token decimals from the registry', () => {
+    expect(validateOrder(market({ tokenIn: 'USDC', tokenOut: 'SOL', amountIn: 1.123456 }))).toBeNull();
+    expect(validateOrder(market({ tokenIn: 'USDC', tokenOut: 'SOL', amountIn: 1.1234567 })).code)
+      .toBe(ERROR_CODES.TOO_MANY_DECIMALS);
+    expect(decimalPlaces(1e-7)).toBe(7);
+    expect(decimalPlaces(1.5e3)).toBe(0);
+  });
+
+  test('Uses a configurable token registry', () => {
+    const registry = loadTokenRegistry({ TOKEN_REGISTRY: JSON.stringify({ JUP: { decimals: 6 }, USDC: { decimals: 6 } }) });
+
+    expect(validateOrder(market({ tokenIn: 'JUP' }), { registry })).toBeNull();
+    expect(validateOrder(market(), { registry }).code).toBe(ERROR_CODES.UNKNOWN_TOKEN);
+    expect(() => loadTokenRegistry({ TOKEN_REGISTRY: '{"X":{"decimals":-1}}' })).toThrow();
+  });
+
+  test('Limit fields are required for limit orders and rejected for market', () => {
+    expect(validateOrder(market({ type: 'limit', expiresAt: Date.now() + 60000 })).field).toBe('limitPrice');
+    expect(validateOrder(market({ limitPrice: 99 })).code).toBe(ERROR_CODES.NOT_ALLOWED);
+  });
+
+  test('Quote ids are accepted on market orders only', () => {
+    expect(validateOrder(market({ quoteId: 'q_abc.def' }))).toBeNull();
+    const limit = market({ type: 'limit', limitPrice: 99, expiresAt: Date.now() + 60000, quoteId: 'q_abc.def' });
+    expect(validateOrder(limit)).toMatchObject({ code: ERROR_CODES.NOT_ALLOWED, field: 'quoteId' });
+  });
+
+  test('Past expiry is rejected at submission but allowed in the worker', () => {
+    const order = market({ type: 'limit', limitPrice: 99, expiresAt: Date.now() - 1000 });
+
+    expect(validateOrder(order).code).toBe(ERROR_CODES.OUT_OF_RANGE);
+    expect(validateOrder(order, { checkExpiry: false })).toBeNull();
+  });
+
+  test('Validates slippage tolerance fields', () => {
+    expect(validateOrder(market({ slippageBps: 50 }))).toBeNull();
+    expect(validateOrder(market({ minAmountOut: 0.99 }))).toBeNull();
+    expect(validateOrder(market({ slippageBps: -1 })).code).toBe(ERROR_CODES.OUT_OF_RANGE);
+    expect(validateOrder(market({ slippageBps: 12.5 })).code).toBe(ERROR_CODES.INVALID_TYPE);
+    expect(validateOrder(market({ minAmountOut: '9' })).code).toBe(ERROR_CODES.INVALID_TYPE);
+    expect(validateOrder(market({ slippageBps: 50, minAmountOut: 0.99 })).code).toBe(ERROR_CODES.CONFLICT);
+  });
+});
@@ -0,0 +1,247 @@
+/**
+ * WebSocket Protocol Tests
+ * Tests cover: frame parsing, masking, fragmentation, ping/pong, close handshake
+ *
+ * To run: npm test
+ * (No external services required)
+ */
+
+const http = require('http');
+const net = require('net');
+const crypto = require('crypto');
+const {
+  OPCODES,
+  CLOSE_CODES,
+  FrameParser,
+  acceptKey,
+  encodeFrame,
+  handleUpgrade,
+} = require('../lib/websocket');
+
+// ============ TEST HELPERS ============
+
+/** Build a masked client frame */
+function clientFrame(opcode, payload, { fin = true, mask = true } = {}) {
+  const data = Buffer.from(payload);
+  const len = data.length;
+  let header;
+
+  if (len < 126) {
+    header = Buffer.from([0, len]);
+  } else if (len < 65536) {
+    header = Buffer.alloc(4);
+    header[1] = 126;
+    header.writeUInt16BE(len, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[1] = 127;
+    header.writeBigUInt64BE(BigInt(len), 2);
+  }
+
+  header[0] = (fin ? 0x80 : 0) | opcode;
+  if (!mask) return Buffer.concat([header, data]);
+
+  header[1] |= 0x80;
+  const key = crypto.randomBytes(4);
+  const masked = Buffer.alloc(len);
+  for (let i = 0; i < len; i++) masked[i] = data[i] ^ key[i % 4];
+  return Buffer.concat([header, key, masked]);
+}
+
+/** Parse unmasked server frames */
+function parseServerFrames(buf) {
+  const frames = [];
+  let offset = 0;
+  while (offset + 2 <= buf.length) {
+    const opcode = buf[offset] & 0x0f;
+    let len = buf[offset + 1] & 0x7f;
+    let start = offset + 2;
+    if (len === 126) {
+      len = buf.readUInt16BE(start);
+      start += 2;
+    }
+    frames.push({ opcode, payload: buf.subarray(start, start + len) });
+    offset = start + len;
+  }
+  return frames;
+}
+
+/** Start a server that hands each connection to onConnection */
+function startServer(onConnection) {
+  const server = http.createServer();
+  server.on('upgrade', (req, socket, head) => {
+    const conn = handleUpgrade(req, socket, head, { heartbeatInterval: 0 });
+    if (conn) onConnection(conn);
+  });
+  return new Promise((resolve) => server.listen(0, () => resolve(server)));
+}
+
+/** Open a raw TCP client and perform the handshake */
+function connectClient(port) {
+  return new Promise((resolve, reject) => {
+    const socket = net.connect(port, '127.0.0.1');
+    const key = crypto.randomBytes(16).toString('base64');
+    let received = Buffer.alloc(0);
+    let handshakeDone = false;
+
+    socket.on('connect', () => {
+      socket.write(
+        'GET /ws HTTP/1.1\r\n' +
+        'Host: localhost\r\n' +
+        'Upgrade: websocket\r\n' +
+        'Connection: Upgrade\r\n' +
+        `Sec-WebSocket-Key: ${key}\r\n` +
+        'Sec-WebSocket-Version: 13\r\n' +
+        '\r\n'
+      );
+    });
+
+    socket.on('data', (chunk) => {
+      received = Buffer.concat([received, chunk]);
+      if (handshakeDone) return;
+      const end = received.indexOf('\r\n\r\n');
+      if (end === -1) return;
+      const head = received.subarray(0, end).toString();
+      received = received.subarray(end + 4);
+      handshakeDone = true;
+      socket.frames = () => parseServerFrames(received);
+      resolve({ socket, head, key });
+    });
+
+    socket.on('error', reject);
+  });
+}
+
+const wait = (ms) => new Promise((r) => setTimeout(r, ms));
+
+// ============ TESTS ============
+
+describe('WebSocket - Frame Parsing', () => {
+  test('Parser: Unmasks a client text frame', () => {
+    const parser = new FrameParser();
+    const frames = parser.push(clientFrame(OPCODES.TEXT, 'hello'));
+
+    expect(frames).toHaveLength(1);
+    expect(frames[0].fin).toBe(true);
+    expect(frames[0].opcode).toBe(OPCODES.TEXT);
+    expect(frames[0].payload.toString()).toBe('hello');
+  });
+
+  test('Parser: Buffers partial frames and handles 16-bit lengths', () => {
+    const parser = new FrameParser();
+    const frame = clientFrame(OPCODES.TEXT, 'x'.repeat(300));
+
+    expect(parser.push(frame.subarray(0, 3))).toEqual([]);
+    expect(parser.push(frame.subarray(3, 100))).toEqual([]);
+    const frames = parser.push(frame.subarray(100));
+
+    expect(frames).toHaveLength(1);
+    expect(frames[0].payload.length).toBe(300);
+  });
+
+  test('Parser: Rejects unmasked client frames', () => {
+    const parser = new FrameParser();
+    expect(() => parser.push(clientFrame(OPCODES.TEXT, 'hi', { mask: false })))
+      .toThrow('Client frames must be masked');
+  });
+
+  test('Parser: Rejects fragmented control frames', () => {
+    const parser = new FrameParser();
+    expect(() => parser.push(clientFrame(OPCODES.PING, 'hi', { fin: false }))).toThrow();
+  });
+
+  test('Parser: Rejects payloads above maxPayload with 1009', () => {
+    const parser = new FrameParser({ maxPayload: 10 });
+    try {
+      parser.push(clientFrame(OPCODES.TEXT, 'x'.repeat(20)));
+      throw new Error('expected parser to throw');
+    } catch (err) {
+      expect(err.code).toBe(CLOSE_CODES.MESSAGE_TOO_BIG);
+    }
+  });
+
+  test('Encoder: Server frames are unmasked with FIN set', () => {
+    const frame = encodeFrame(OPCODES.TEXT, Buffer.from('ok'));
+    expect(frame[0]).toBe(0x81);
+    expect(frame[1]).toBe(2);
+    expect(frame.subarray(2).toString()).toBe('ok');
+  });
+});
+
+describe('WebSocket - Connection Lifecycle', () => {
+  let server;
+  let connections;
+
+  beforeEach(async () => {
+    connections = [];
+    server = await startServer((conn) => connections.push(conn));
+  });
+
+  afterEach(async () => {
+    connections.forEach((conn) => conn.terminate());
+    await new Promise((resolve) => server.close(resolve));
+  });
+
+  test('Handshake: Returns correct Sec-WebSocket-Accept', async () => {
+    const { socket, head, key } = await connectClient(server.address().port);
+
+    expect(head).toContain('101 Switching Protocols');
+    expect(head).toContain(`Sec-WebSocket-Accept: ${acceptKey(key)}`);
+
+    socket.destroy();
+  });
+
+  test('Messages: Reassembles fragmented text messages', async () => {
+    const { socket } = await connectClient(server.address().port);
+    const messages = [];
+    await wait(20);
+    connections[0].on('message', (text) => messages.push(text));
+
+    socket.write(clientFrame(OPCODES.TEXT, '{"action":', { fin: false }));
+    socket.write(clientFrame(OPCODES.PING, 'mid'));
+    socket.write(clientFrame(OPCODES.CONTINUATION, '"subscribe"}'));
+    await wait(50);
+
+    expect(messages).toEqual(['{"action":"subscribe"}']);
+    socket.destroy();
+  });
+
+  test('Ping: Answered with pong carrying the same payload', async () => {
+    const { socket } = await connectClient(server.address().port);
+
+    socket.write(clientFrame(OPCODES.PING, 'heartbeat'));
+    await wait(50);
+
+    const pong = socket.frames().find((f) => f.opcode === OPCODES.PONG);
+    expect(pong).toBeDefined();
+    expect(pong.payload.toString()).toBe('heartbeat');
+    socket.destroy();
+  });
+
+  test('Close: Client-initiated close is echoed and connection closes', async () => {
+    const { socket } = await connectClient(server.address().port);
+    await wait(20);
+    const closed = new Promise((resolve) => connections[0].on('close', (code) => resolve(code)));
+
+    const payload = Buffer.alloc(2);
+    payload.writeUInt16BE(CLOSE_CODES.NORMAL, 0);
+    socket.write(clientFrame(OPCODES.CLOSE, payload));
+
+    expect(await closed).toBe(CLOSE_CODES.NORMAL);
+    const echo = socket.frames().find((f) => f.opcode === OPCODES.CLOSE);
+    expect(echo.payload.readUInt16BE(0)).toBe(CLOSE_CODES.NORMAL);
+    socket.destroy();
+  });
+
+  test('Close: Protocol errors close with 1002', async () => {
+    const { socket } = await connectClient(server.address().port);
+    await wait(20);
+    const closed = new Promise((resolve) => connections[0].on('close', (code) => resolve(code)));
+
+    socket.write(clientFrame(OPCODES.TEXT, 'unmasked', { mask: false }));
+    socket.on('end', () => socket.end());
+
+    expect(await closed).toBe(CLOSE_CODES.PROTOCOL_ERROR);
+    socket.destroy();
+  });
+});
@@ -12,63 +12,189 @@ const { Worker } = require('bullmq');
 const redis = require('./lib/redis-client');
 const db = require('./lib/db-client');
 const activeOrders = require('./lib/active-orders');
+const orderEvents = require('./lib/order-events');
+
+const { createRouter, shareMarketSeed, split } = require('./lib/dex');
+const { ORDER_QUEUE, enqueueOrder } = require('./lib/order-queue');
+const limitOrders = require('./lib/limit-orders');
+const slippage = require('./lib/slippage');
+const amounts = require('./lib/amounts');
+const cancellation = require('./lib/cancellation');
+const quotes = require('./lib/quotes');
+const { validateOrder, InvalidOrderError } = require('./lib/validation');
+const { createRiskChecker, RiskRejectedError } = require('./lib/risk');
+const { InvalidTransitionError, isTerminal } = require('./lib/order-state');
+const { createLedger } = require('./lib/ledger');
+const { createChain, loadChainConfig, waitForCommitment } = require('./lib/chain');
+const transactionBuilder = require('./lib/transaction-builder');
+const deadLetter = require('./lib/dead-letter');
+const errors = require('./lib/errors');
+const { VenueUnavailableError, QuoteExpiredError, TransactionExpiredError, InterruptedSubmissionError } = errors;
+
+const LIMIT_ORDER_POLL_MS = parseInt(process.env.LIMIT_ORDER_POLL_MS || '2000', 10);
+const SPLIT_MIN_AMOUNT = parseFloat(process.env.SPLIT_MIN_AMOUNT || String(split.DEFAULT_SPLIT_MIN_AMOUNT));
+
+// Venues come from DEX_ADAPTERS / DEX_CONFIG (see lib/dex/config.js)
+const dexRouter = createRouter();
+const riskChecker = createRiskChecker({ redis, db });
+const deadLetters = deadLetter.createDeadLetterQueue(redis);
+const ledger = createLedger(db.pool);
+
+// Swaps land on a local simulated chain (see lib/chain.js)
+const chainConfig = loadChainConfig();
+const chain = createChain(chainConfig);
+const txBuilder = transactionBuilder.createTransactionBuilder(chain);
 
-// DEX Router (reuse from server)
-const http = require('http');
-const crypto = require('crypto');
+/**
+ * Emit status update (database, cache, and pub/sub to server WebSocket clients)
+ * meta.attempt is recorded on the order's event timeline; meta.fills
+ * ([{ dex, amountIn, amountOut }]) settles the order's balance at a final status
+ * Returns { emitted: false, from } without publishing when the order can't
+ * make this transition (e.g. it was cancelled meanwhile)
+ */
+async function emitStatus(orderId, status, details = {}, meta = {}) {
+  // Database (PostgreSQL) is authoritative for the transition
+  const saved = await db.transitionOrder(orderId, status, details, meta);
+  if (saved.invalid) {
+    console.warn(`  ⚠️  [${orderId.substring(0, 12)}] ${status} ignored: ${saved.error}`);
+    return { emitted: false, from: saved.from };
+  }
+  if (!saved.success) {
+    // Don't fail the order processing if DB is unreachable
+    console.warn(`  ⚠️  Database save skipped: ${saved.error}`);
+  }
+
+  // Active orders cache (Redis) guards the transition when the database couldn't
+  const cached = await activeOrders.transitionActiveOrder(orderId, status, details);
+  if (cached.invalid && !saved.success) {
+    console.warn(`  ⚠️  [${orderId.substring(0, 12)}] ${status} ignored: ${cached.error}`);
+    return { emitted: false, from: cached.from };
+  }
 
-function sleep(ms) {
-  return new Promise((resolve) => setTimeout(resolve, ms));
+  // Final statuses settle the reserved balance on a fill, or release it, and drop
+  // any cancel flag that arrived too late, so a re-drive doesn't start cancelled
+  if (isTerminal(status)) {
+    await closeReservation(orderId, meta.fills);
+    await cancellation.clearCancel(orderId);
+  }
+
+  // Publish to server for WebSocket fan-out
+  await orderEvents.publishStatus(orderId, status, details);
+  
+  console.log(`  📡 [${orderId.substring(0, 12)}] Status: ${status.toUpperCase()}`);
+  if (details.dex) console.log(`     └─ DEX: ${details.dex}`);
+  if (details.price) console.log(`     └─ Quote: $${details.price}`);
+  if (details.executedPrice) console.log(`     └─ Executed: $${details.executedPrice}`);
+  return { emitted: true };
 }
 
-class MockDexRouter {
-  constructor() {
-    this.basePrice = 100;
+/**
+ * Settle the balance reserved at submission against fills, or release it
+ * Reservations close once, so a replayed final status changes nothing
+ */
+async function closeReservation(orderId, fills) {
+  const result = fills ? await ledger.settle(orderId, fills) : await ledger.release(orderId);
+  if (!result.success) {
+    console.warn(`  ⚠️  Ledger ${fills ? 'settlement' : 'release'} skipped: ${result.error}`);
   }
+}
 
-  async getRaydiumQuote(tokenIn, tokenOut, amount) {
-    await sleep(200 + Math.random() * 200);
-    const price = this.basePrice * (0.98 + Math.random() * 0.04);
-    return { price, fee: 0.003, dex: 'raydium' };
+/**
+ * Record on-chain progress of a submitted order and push it to clients
+ * The status doesn't change: processed and finalized commitments and re-signed
+ * transactions come through here, confirmed arrives with the final status
+ * Levels the order already passed are skipped, so re-reports publish nothing
+ */
+async function reportChainUpdate(orderId, status, details, meta) {
+  const saved = await db.recordCommitment(orderId, details, meta);
+  if (saved.stale) return;
+  if (!saved.success) {
+    console.warn(`  ⚠️  Database save skipped: ${saved.error}`);
   }
 
-  async getMeteoraQuote(tokenIn, tokenOut, amount) {
-    await sleep(200 + Math.random() * 200);
-    const price = this.basePrice * (0.97 + Math.random() * 0.05);
-    return { price, fee: 0.002, dex: 'meteora' };
+  await orderEvents.publishStatus(orderId, saved.status || status, details);
+
+  const shortId = orderId.substring(0, 12);
+  if (details.commitment) console.log(`  ⛓️  [${shortId}] ${details.commitment.toUpperCase()} in slot ${details.slot}`);
+  else console.log(`  🔁 [${shortId}] Re-signed after blockhash expiry: ${details.txHash.substring(0, 24)}...`);
+}
+
+/**
+ * Sign a built swap transaction with the latest blockhash and broadcast it
+ */
+function sendSwapTransaction(built) {
+  const tx = chain.createTransaction(built.message);
+  chain.sendTransaction(tx);
+  return tx;
+}
+
+/**
+ * Columns stored for a built transaction (db.saveOrderTransaction / order legs)
+ */
+function transactionFields(built) {
+  return {
+    txPayload: built.serialized,
+    computeUnitLimit: built.computeUnitLimit,
+    priorityFee: built.priorityFee,
+    networkFee: built.networkFee,
+  };
+}
+
+/**
+ * A split leg as an order of its own: an absolute minAmountOut is shared pro
+ * rata, slippageBps applies per leg as-is
+ */
+function splitLegOrder(data, leg) {
+  const legOrder = { ...data, amountIn: leg.amountIn };
+  if (data.minAmountOut !== undefined && data.minAmountOut !== null) {
+    legOrder.minAmountOut = Number(data.minAmountOut) * (leg.amountIn / Number(data.amountIn));
   }
+  return legOrder;
+}
 
-  async executeSwap(dex, order) {
-    await sleep(2000 + Math.random() * 1000);
-    const txHash = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
-    const executedPrice = this.basePrice * (dex === 'raydium' ? 1.0 : 0.995) * (1 + (Math.random() - 0.5) * 0.01);
-    return { txHash, executedPrice };
+/**
+ * Emit a pre-submission stage, stopping the job if the order can't enter it
+ */
+async function advanceStage(orderId, status, details, meta) {
+  const result = await emitStatus(orderId, status, details, meta);
+  if (!result.emitted) {
+    throw new InvalidTransitionError(orderId, result.from, status);
   }
 }
 
 /**
- * Emit status update (send via HTTP to server)
+ * Stage 1: claim the order for this attempt, moving it to pending
+ * A fresh market order is already pending (saved by the server). A job BullMQ
+ * runs again after a stall finds the order where the interrupted run left it:
+ * before submission nothing executed, so it goes back through retrying; once
+ * submitted its transaction may still land, so it fails (releasing its
+ * balance) rather than swapping twice
  */
-async function emitStatus(orderId, status, details = {}) {
-  // Update active orders cache (Redis)
-  try {
-    await activeOrders.updateActiveOrderStatus(orderId, status, details);
-  } catch (err) {
-    console.warn(`  ⚠️  Redis cache error: ${err.message}`);
+async function claimOrder(orderId, attempt) {
+  const row = await db.getOrder(orderId);
+  const cached = row ? null : await activeOrders.getActiveOrder(orderId);
+  const from = row ? row.status : cached && cached.status;
+
+  if (from === 'pending') return;
+  if (from === 'submitted') throw new InterruptedSubmissionError(orderId);
+  if (from === 'routing' || from === 'building') {
+    console.log(`  ♻️  [${orderId.substring(0, 12)}] Recovering attempt interrupted while ${from}`);
+    await advanceStage(orderId, 'retrying', {
+      error: `Attempt interrupted while ${from}`,
+      errorClass: errors.ERROR_CLASSES.UNKNOWN,
+      recovered: true,
+    }, { attempt });
   }
-  
-  // Update database (PostgreSQL) - gracefully handle failures
-  try {
-    await db.updateOrderStatus(orderId, status, details);
-  } catch (err) {
-    console.warn(`  ⚠️  Database save skipped (unreachable): ${err.message}`);
-    // Don't fail the order processing if DB is unreachable
+  await advanceStage(orderId, 'pending', {}, { attempt });
+}
+
+/**
+ * Fail an order placed against a signed quote once the quote has expired
+ */
+function assertQuoteLive(quote) {
+  if (Date.now() >= quote.expiresAt) {
+    throw new QuoteExpiredError(`Quote expired at ${new Date(quote.expiresAt).toISOString()}`);
   }
-  
-  console.log(`  📡 [${orderId.substring(0, 12)}] Status: ${status.toUpperCase()}`);
-  if (details.dex) console.log(`     └─ DEX: ${details.dex}`);
-  if (details.price) console.log(`     └─ Quote: $${details.price}`);
-  if (details.executedPrice) console.log(`     └─ Executed: $${details.executedPrice}`);
 }
 
 /**
@@ -78,99 +204,475 @@ async function processOrder(job) {
   const { data } = job;
   const orderId = job.id;
   const shortId = orderId.substring(0, 12);
+  const attempt = job.attemptsMade + 1;
 
   console.log(`\n${'═'.repeat(80)}`);
   console.log(`📋 PROCESSING ORDER [${shortId}]`);
   console.log(`${'═'.repeat(80)}`);
   console.log(`  💱 ${data.amountIn} ${data.tokenIn} → ${data.tokenOut}`);
 
-  const dex = new MockDexRouter();
-
   try {
+    // Same schema as submission; expiry is skipped since triggered limit orders run late
+    const validationError = validateOrder(data, { checkExpiry: false });
+    if (validationError) {
+      throw new InvalidOrderError(validationError);
+    }
+
+    // Orders placed with a quoteId (verified by the server) run on the quoted venues
+    const quote = data.quoteId ? quotes.decodeQuote(data.quoteId) : null;
+    if (quote) assertQuoteLive(quote);
+
     // Stage 1: Pending
-    await emitStatus(orderId, 'pending');
+    await claimOrder(orderId, attempt);
     await job.updateProgress(20);
 
     // Stage 2: Routing
+    await cancellation.throwIfCancelled(orderId);
     console.log(`\n🔀 ROUTING (fetching quotes...)`);
-    const [r, m] = await Promise.all([
-      (async () => {
-        console.log(`  └─ Querying Raydium...`);
-        return dex.getRaydiumQuote(data.tokenIn, data.tokenOut, data.amountIn);
-      })(),
-      (async () => {
-        console.log(`  └─ Querying Meteora...`);
-        return dex.getMeteoraQuote(data.tokenIn, data.tokenOut, data.amountIn);
-      })(),
-    ]);
-
-    console.log(`     ✓ Raydium: $${r.price.toFixed(2)}`);
-    console.log(`     ✓ Meteora: $${m.price.toFixed(2)}`);
-
-    const chosen = r.price <= m.price ? r : m;
-    const other = r.price <= m.price ? m : r;
-    console.log(`\n📊 DECISION: Selected ${chosen.dex.toUpperCase()} @ $${chosen.price.toFixed(2)}`);
-    console.log(`   (vs ${other.dex.toUpperCase()} @ $${other.price.toFixed(2)})`);
-
-    await emitStatus(orderId, 'routing', {
-      dex: chosen.dex,
-      price: chosen.price.toFixed(2),
+    const routed = await dexRouter.route(data.tokenIn, data.tokenOut, data.amountIn);
+    const { failures, summary } = routed;
+    const ranked = quote ? routed.ranked.filter((q) => quote.venues.includes(q.dex)) : routed.ranked;
+
+    ranked.forEach((q) => console.log(
+      `     ✓ ${q.dex}: $${q.price.toPrecision(6)} impact ${(q.priceImpact * 100).toFixed(3)}% fee ${q.fee} → net ${q.netOut.toFixed(6)}`
+    ));
+    failures.forEach((f) => console.log(`     ✗ ${f.dex}: ${f.error}`));
+
+    const chosen = ranked[0];
+    if (!chosen) {
+      throw dexRouter.noQuotesError(data.tokenIn, data.tokenOut, failures);
+    }
+    const shallow = dexRouter.liquidityError(ranked, data.tokenIn, data.tokenOut, data.amountIn);
+    if (shallow) throw shallow;
+    console.log(`\n📊 DECISION: Selected ${chosen.dex.toUpperCase()} @ $${chosen.effectivePrice.toPrecision(6)} (net ${chosen.netOut.toFixed(6)})`);
+    ranked.slice(1).forEach((q) => console.log(`   (vs ${q.dex.toUpperCase()} net ${q.netOut.toFixed(6)})`));
+
+    // Large orders may split across venues when that beats the best single venue
+    const splitPlan = split.chooseSplit(ranked, data, {
+      minAmount: SPLIT_MIN_AMOUNT,
+      referencePrices: dexRouter.market.referencePrices,
+      legCost: (dex) => txBuilder.estimateSwapCost(dexRouter.registry.get(dex)).total,
     });
+    if (splitPlan) {
+      summary.split = {
+        netOut: splitPlan.netOut,
+        networkCost: splitPlan.networkCost,
+        singleVenueNetOut: chosen.netOut,
+        legs: splitPlan.legs.map((leg) => ({ dex: leg.dex, amountIn: leg.amountIn, netOut: leg.quote.netOut })),
+      };
+      console.log(`\n🪓 SPLIT across ${splitPlan.legs.length} venues (net ${splitPlan.netOut.toFixed(6)} vs ${chosen.netOut.toFixed(6)})`);
+      splitPlan.legs.forEach((leg) => console.log(`   └─ ${leg.dex}: ${leg.amountIn.toFixed(4)} ${data.tokenIn}`));
+    }
+
+    // A quoted order must fill against the quoted output, so its tolerance becomes a fixed minAmountOut
+    let expectedOut = splitPlan ? splitPlan.netOut : slippage.expectedAmountOut(data.amountIn, chosen);
+    if (quote) {
+      expectedOut = Number(quote.expectedAmountOut);
+      summary.quote = { expectedAmountOut: quote.expectedAmountOut, expiresAt: new Date(quote.expiresAt).toISOString() };
+    }
+    const minOut = slippage.minAmountOut(data, expectedOut);
+    const order = quote ? { ...data, minAmountOut: minOut } : data;
+    const expectedAmountOut = amounts.formatAmount(expectedOut, data.tokenOut);
+    const minAmountOut = amounts.formatAmount(minOut, data.tokenOut);
+    console.log(`   Expected out: ${expectedAmountOut} ${data.tokenOut} (min ${minAmountOut})${quote ? ' from quote' : ''}`);
+
+    await advanceStage(orderId, 'routing', {
+      dex: splitPlan ? splitDexLabel(splitPlan.legs) : chosen.dex,
+      price: chosen.price.toPrecision(6),
+      expectedAmountOut,
+      minAmountOut,
+      routing: summary,
+    }, { attempt });
     await job.updateProgress(40);
 
     // Stage 3: Building
+    await cancellation.throwIfCancelled(orderId);
     console.log(`\n🔨 BUILDING transaction...`);
-    await sleep(200);
-    await emitStatus(orderId, 'building');
+    const row = await db.getOrder(orderId);
+
+    // An attempt after an expired submission pays more than the last one did
+    const expiredFee = row && row.error_class === errors.ERROR_CLASSES.TRANSACTION_EXPIRED && row.priority_fee;
+    const priorityFee = expiredFee ? txBuilder.bumpedFee(Number(expiredFee)) : txBuilder.priorityFee();
+    const buildSwap = (swapOrder, quote, minAmountOut, legIndex = null) => txBuilder.build({
+      orderId,
+      legIndex,
+      accountId: row && row.account_id,
+      order: swapOrder,
+      venue: dexRouter.registry.get(quote.dex),
+      minAmountOut,
+      priorityFee,
+    });
+    const built = splitPlan
+      ? splitPlan.legs.map((leg, i) => {
+        const legOrder = splitLegOrder(order, leg);
+        return buildSwap(legOrder, leg.quote, slippage.minAmountOut(legOrder, leg.quote.netOut), i);
+      })
+      : [buildSwap(order, chosen, minOut)];
+    const cost = transactionBuilder.totalCost(built);
+    console.log(`   CU limit ${cost.computeUnitLimit}, priority fee ${cost.priorityFee} µlamports/CU${expiredFee ? ' (bumped)' : ''}`);
+    console.log(`   Network fee: ${cost.networkFee} SOL (${cost.size} bytes)`);
+
+    // Split legs keep their own payloads; the order holds their combined cost
+    await db.saveOrderTransaction(orderId, splitPlan
+      ? { txPayload: null, computeUnitLimit: cost.computeUnitLimit, priorityFee: cost.priorityFee, networkFee: cost.networkFee }
+      : transactionFields(built[0]));
+    if (splitPlan) {
+      await db.saveOrderLegs(orderId, splitPlan.legs.map((leg, i) => ({
+        dex: leg.dex,
+        amountIn: leg.amountIn,
+        quotePrice: leg.quote.effectivePrice,
+        expectedOut: leg.quote.netOut,
+        ...transactionFields(built[i]),
+      })));
+    }
+    await advanceStage(orderId, 'building', {
+      computeUnitLimit: cost.computeUnitLimit,
+      priorityFee: cost.priorityFee,
+      networkFee: cost.networkFee,
+      txSize: cost.size,
+    }, { attempt });
     await job.updateProgress(60);
 
+    // Last chance to cancel — nothing can be recalled once submitted
+    await cancellation.throwIfCancelled(orderId);
+
+    // Limits or the kill switch may have changed while the order was queued
+    const rejection = await riskChecker.checkOrder(data, row && row.account_id, { stage: 'execution', orderId });
+    if (rejection) {
+      throw new RiskRejectedError(rejection);
+    }
+    if (quote) assertQuoteLive(quote);
+
+    if (splitPlan) {
+      return await executeSplitOrder(job, orderId, order, splitPlan, built);
+    }
+
     // Stage 4: Submitted
     console.log(`\n🚀 SUBMITTED to ${chosen.dex}...`);
-    const exec = await dex.executeSwap(chosen.dex, data);
-    await emitStatus(orderId, 'submitted', {
-      txHash: exec.txHash.substring(0, 24) + '...',
+    let current = built[0];
+    const tx = sendSwapTransaction(current);
+    await emitStatus(orderId, 'submitted', { txHash: tx.signature }, { attempt });
+    await job.updateProgress(70);
+
+    // Stage 5: Confirmed once the transaction is; an expired one is rebuilt with a higher fee,
+    // and when that keeps expiring the attempt is retried (TransactionExpiredError)
+    const landed = await waitForCommitment(chain, tx, 'confirmed', {
+      ...chainConfig,
+      rebuild: async () => {
+        current = txBuilder.rebuild(current);
+        await db.saveOrderTransaction(orderId, transactionFields(current));
+        return current.message;
+      },
+      onProgress: ({ commitment, slot, signature }) => commitment === 'processed'
+        && reportChainUpdate(orderId, 'submitted', { commitment, slot, txHash: signature }, { attempt }),
+      onResubmit: (resigned) => reportChainUpdate(orderId, 'submitted', {
+        txHash: resigned.signature,
+        resubmitted: true,
+        priorityFee: current.priorityFee,
+        networkFee: current.networkFee,
+      }, { attempt }),
     });
-    await job.updateProgress(80);
-
-    // Stage 5: Confirmed
-    console.log(`\n✅ CONFIRMED`);
-    console.log(`   TX: ${exec.txHash.substring(0, 24)}...`);
-    console.log(`   Executed: $${exec.executedPrice.toFixed(2)}`);
+    // The swap executes with the transaction that landed, so one order moves the pool once
+    // however many times it was sent or retried; fills outside tolerance fail (not retried)
+    const exec = await dexRouter.executeSwap(order, chosen);
+    slippage.checkFill(order, chosen, exec.executedPrice);
+
+    const { signature, lastValidBlockHeight } = landed.tx;
+    console.log(`\n✅ CONFIRMED in slot ${landed.status.slot}`);
+    console.log(`   TX: ${signature.substring(0, 24)}... (valid to block ${lastValidBlockHeight})`);
+    console.log(`   Executed: $${exec.executedPrice.toPrecision(6)}`);
+
+    const { amountOut, feeAmount, effectiveRate } = amounts.swapAmounts({
+      amountIn: data.amountIn,
+      tokenOut: data.tokenOut,
+      price: exec.executedPrice,
+      fee: chosen.fee,
+    });
+    console.log(`   Received: ${amountOut} ${data.tokenOut} (fee ${feeAmount}, rate ${effectiveRate})`);
 
     await emitStatus(orderId, 'confirmed', {
-      txHash: exec.txHash,
-      executedPrice: exec.executedPrice.toFixed(2),
-    });
+      txHash: signature,
+      commitment: 'confirmed',
+      slot: landed.status.slot,
+      networkFee: current.networkFee,
+      executedPrice: exec.executedPrice.toPrecision(6),
+      amountOut,
+      feeAmount,
+      effectiveRate,
+    }, { attempt, fills: [{ dex: chosen.dex, amountIn: data.amountIn, amountOut }] });
     
     // Remove from active orders
     await activeOrders.removeActiveOrder(orderId);
+    await job.updateProgress(90);
+
+    // Follow the confirmed transaction to finality
+    await waitForCommitment(chain, landed.tx, 'finalized', {
+      ...chainConfig,
+      onProgress: ({ commitment, slot }) => commitment === 'finalized'
+        && reportChainUpdate(orderId, 'confirmed', { commitment, slot, txHash: signature }, { attempt }),
+    });
     await job.updateProgress(100);
 
     console.log(`\n${'═'.repeat(80)}\n`);
-    return { success: true, txHash: exec.txHash };
+    return { success: true, txHash: signature, slot: landed.status.slot };
   } catch (err) {
-    console.log(`\n❌ FAILED: ${err.message}`);
-    console.log(`${'═'.repeat(80)}\n`);
+    if (err instanceof InvalidTransitionError && isTerminal(err.from)) {
+      console.log(`\n⏭️  STOPPED: order is already ${err.from}`);
+      console.log(`${'═'.repeat(80)}\n`);
 
-    await emitStatus(orderId, 'failed', {
-      error: err.message,
-    });
-    try {
-      await db.recordOrderError(orderId, err.message);
-    } catch (dbErr) {
-      console.warn(`  ⚠️  Could not record error to DB: ${dbErr.message}`);
+      await cancellation.clearCancel(orderId);
+      await activeOrders.removeActiveOrder(orderId);
+      return { success: false, stopped: true, status: err.from };
     }
-    
-    try {
+
+    if (err instanceof cancellation.OrderCancelledError) {
+      console.log(`\n🛑 CANCELLED before submission`);
+      console.log(`${'═'.repeat(80)}\n`);
+
+      await emitStatus(orderId, 'cancelled', {}, { attempt });
+      await activeOrders.removeActiveOrder(orderId);
+      return { success: false, cancelled: true };
+    }
+
+    if (err instanceof RiskRejectedError) {
+      console.log(`\n⛔ REJECTED by risk checks: ${err.code}`);
+      console.log(`${'═'.repeat(80)}\n`);
+
+      await emitStatus(orderId, 'rejected', { error: err.risk.message, reason: err.code }, { attempt });
       await activeOrders.removeActiveOrder(orderId);
-    } catch (redisErr) {
-      console.warn(`  ⚠️  Could not remove from cache: ${redisErr.message}`);
+      return { success: false, rejected: true, reason: err.code };
+    }
+
+    // BullMQ runs processOrder() again unless the error class is final or attempts are spent
+    const errorClass = errors.classifyError(err);
+    const willRetry = errors.shouldRetry(err, attempt, job.opts.attempts || 1);
+    console.log(`\n❌ ${willRetry ? `ATTEMPT ${attempt} FAILED, retrying` : 'FAILED'} [${errorClass}]: ${err.message}`);
+    console.log(`${'═'.repeat(80)}\n`);
+
+    if (willRetry) {
+      await emitStatus(orderId, 'retrying', {
+        error: err.message,
+        errorClass,
+        nextAttempt: attempt + 1,
+        retryInMs: errors.backoffDelay(err, attempt),
+      }, { attempt });
+    } else {
+      // worker.on('failed') parks the order in the dead-letter queue and says so once it has
+      await emitStatus(orderId, 'failed', { error: err.message, errorClass }, { attempt });
+      try {
+        await activeOrders.removeActiveOrder(orderId);
+      } catch (redisErr) {
+        console.warn(`  ⚠️  Could not remove from cache: ${redisErr.message}`);
+      }
     }
 
     throw err; // Re-throw for BullMQ retry logic
   }
 }
 
+function splitDexLabel(legs) {
+  return legs.map((leg) => leg.dex).join('+');
+}
+
+/**
+ * Stages 4-5 for a split order: put every leg on chain as its own transaction
+ * in parallel, fill each leg's swap once its transaction lands, then report
+ * the volume-weighted price of the legs that filled. A partial fill is final —
+ * retrying would refill the legs that already executed.
+ */
+async function executeSplitOrder(job, orderId, data, plan, built) {
+  console.log(`\n🚀 SUBMITTED ${plan.legs.length} legs...`);
+  const attempt = job.attemptsMade + 1;
+  const totalIn = Number(data.amountIn);
+
+  const sent = await Promise.all(plan.legs.map(async (leg, i) => {
+    const tx = sendSwapTransaction(built[i]);
+    await db.updateOrderLeg(orderId, i, 'submitted', { txHash: tx.signature });
+    console.log(`   ↗ Leg ${i} ${leg.dex}: ${tx.signature.substring(0, 24)}...`);
+    return { ...leg, fee: leg.quote.fee, status: 'submitted', tx, built: built[i], txHash: tx.signature };
+  }));
+
+  await emitStatus(orderId, 'submitted', { legs: sent.map(legSummary) }, { attempt });
+  await job.updateProgress(70);
+
+  // The order is processed once every leg is; a leg whose transaction expires,
+  // or whose swap fails once landed, fails on its own
+  const processed = new Set();
+  const results = await Promise.all(sent.map(async (leg, i) => {
+    let current = leg.built;
+    try {
+      const landed = await waitForCommitment(chain, leg.tx, 'confirmed', {
+        ...chainConfig,
+        rebuild: () => {
+          current = txBuilder.rebuild(current);
+          console.log(`   🔁 Leg ${i} ${leg.dex}: rebuilt at ${current.priorityFee} µlamports/CU`);
+          return current.message;
+        },
+        onProgress: async ({ commitment, slot }) => {
+          if (commitment !== 'processed') return;
+          processed.add(i);
+          if (processed.size === sent.length) {
+            await reportChainUpdate(orderId, 'submitted', { commitment, slot }, { attempt });
+          }
+        },
+      });
+      const legOrder = splitLegOrder(data, leg);
+      const exec = await dexRouter.executeSwap(legOrder, leg.quote);
+      slippage.checkFill(legOrder, leg.quote, exec.executedPrice);
+      const { amountOut, feeAmount } = amounts.swapAmounts({
+        amountIn: leg.amountIn,
+        tokenOut: data.tokenOut,
+        price: exec.executedPrice,
+        fee: leg.quote.fee,
+      });
+      const details = {
+        ...leg,
+        ...transactionFields(current),
+        built: current,
+        txHash: landed.tx.signature,
+        slot: landed.status.slot,
+        executedPrice: exec.executedPrice,
+        amountOut,
+        feeAmount,
+      };
+      await db.updateOrderLeg(orderId, i, 'filled', details);
+      console.log(`   ✓ Leg ${i} ${leg.dex}: $${exec.executedPrice.toPrecision(6)} confirmed in slot ${landed.status.slot}`);
+      return { ...details, tx: landed.tx, status: 'filled' };
+    } catch (err) {
+      await db.updateOrderLeg(orderId, i, 'failed', { error: err.message });
+      console.log(`   ✗ Leg ${i} ${leg.dex}: ${err.message}`);
+      return { ...leg, status: 'failed', error: err };
+    }
+  }));
+
+  const fill = split.aggregateFills(results);
+  const legs = results.map(legSummary);
+  const filled = results.filter((leg) => leg.status === 'filled');
+
+  if (fill.state === 'none') {
+    // No leg filled, safe to retry — unless every leg breached slippage
+    const legErrors = results.map((leg) => leg.error);
+    if (legErrors.every((e) => e instanceof slippage.SlippageError)) throw legErrors[0];
+    if (legErrors.every((e) => e instanceof TransactionExpiredError)) {
+      throw new TransactionExpiredError(`All ${results.length} split leg transactions expired unconfirmed`);
+    }
+    throw new VenueUnavailableError(`All ${results.length} split legs failed: ${legErrors.map((e) => e.message).join('; ')}`);
+  }
+
+  // Only transactions that landed pay network fees
+  const paid = transactionBuilder.totalCost(filled.map((leg) => leg.built));
+  await db.saveOrderTransaction(orderId, {
+    txPayload: null,
+    computeUnitLimit: paid.computeUnitLimit,
+    priorityFee: paid.priorityFee,
+    networkFee: paid.networkFee,
+  });
+
+  const status = fill.state === 'filled' ? 'confirmed' : 'partially_filled';
+  const slot = Math.max(...filled.map((leg) => leg.slot));
+  console.log(`\n${status === 'confirmed' ? '✅ CONFIRMED' : '⚠️  PARTIALLY FILLED'} (${fill.legsFilled}/${fill.legsTotal} legs, slot ${slot})`);
+  const { amountOut, feeAmount, effectiveRate } = amounts.totals({
+    amountIn: fill.filledAmountIn,
+    tokenOut: data.tokenOut,
+    grossOut: fill.grossOut,
+    feeAmount: fill.feeAmount,
+  });
+  console.log(`   VWAP: $${fill.vwap.toPrecision(6)}  Filled: ${fill.filledAmountIn.toFixed(4)}/${totalIn} ${data.tokenIn}`);
+  console.log(`   Received: ${amountOut} ${data.tokenOut} (fee ${feeAmount}, rate ${effectiveRate})`);
+
+  await emitStatus(orderId, status, {
+    dex: splitDexLabel(plan.legs),
+    commitment: 'confirmed',
+    slot,
+    networkFee: paid.networkFee,
+    executedPrice: fill.vwap.toPrecision(6),
+    filledAmountIn: fill.filledAmountIn,
+    amountOut,
+    feeAmount,
+    effectiveRate,
+    legs,
+  }, { attempt, fills: legs.filter((leg) => leg.status === 'filled') });
+
+  await activeOrders.removeActiveOrder(orderId);
+  await job.updateProgress(90);
+
+  // Finalized once every filled leg is
+  await Promise.all(filled.map((leg) => waitForCommitment(chain, leg.tx, 'finalized', chainConfig)));
+  await reportChainUpdate(orderId, status, { commitment: 'finalized', slot }, { attempt });
+  await job.updateProgress(100);
+
+  console.log(`\n${'═'.repeat(80)}\n`);
+  return { success: true, split: true, state: fill.state, legs };
+}
+
+function legSummary(leg) {
+  return {
+    dex: leg.dex,
+    amountIn: leg.amountIn,
+    status: leg.status,
+    txHash: leg.txHash,
+    slot: leg.slot,
+    priorityFee: leg.built ? leg.built.priorityFee : undefined,
+    executedPrice: leg.executedPrice,
+    amountOut: leg.amountOut,
+    feeAmount: leg.feeAmount,
+  };
+}
+
+/**
+ * Move a job BullMQ gave up on to the dead-letter queue
+ * Subscribers hear deadLettered only once the entry is stored
+ */
+async function deadLetterOrder(job, err) {
+  const [row, events] = await Promise.all([db.getOrder(job.id), db.getOrderEvents(job.id)]);
+  const parked = await deadLetters.add({
+    orderId: job.id,
+    accountId: row ? row.account_id : null,
+    payload: job.data,
+    attempts: deadLetter.attemptHistory(events),
+    attemptsMade: job.attemptsMade,
+    lastError: err.message,
+    errorClass: errors.classifyError(err),
+    failedAt: new Date(job.finishedOn).toISOString(),
+  });
+  if (!parked.success) return;
+  await orderEvents.publishStatus(job.id, 'failed', { deadLettered: true });
+  console.log(`🪦 DEAD-LETTERED [${job.id.substring(0, 12)}]`);
+}
+
+/**
+ * Periodically re-quote waiting limit orders
+ * Crossed orders are enqueued for execution, stale ones expire
+ */
+function startLimitOrderWatcher() {
+  let running = false;
+
+  const tick = async () => {
+    if (running) return; // previous pass still quoting
+    running = true;
+    try {
+      await limitOrders.checkLimitOrders({
+        getBestQuote: (data) => dexRouter.getBestQuote(data.tokenIn, data.tokenOut, data.amountIn),
+        onTrigger: async (orderId, data, quote) => {
+          console.log(`\n🎯 LIMIT TRIGGERED [${orderId.substring(0, 12)}] ${quote.dex} @ $${quote.price.toPrecision(6)} <= $${data.limitPrice}`);
+          await enqueueOrder(orderId, data);
+        },
+        onExpire: async (orderId) => {
+          console.log(`\n⌛ LIMIT EXPIRED [${orderId.substring(0, 12)}]`);
+          await emitStatus(orderId, 'expired');
+          await activeOrders.removeActiveOrder(orderId);
+        },
+      });
+    } catch (err) {
+      console.error(`❌ Limit order watcher error: ${err.message}`);
+    } finally {
+      running = false;
+    }
+  };
+
+  return setInterval(tick, LIMIT_ORDER_POLL_MS);
+}
+
 /**
  * Start the worker
  */
@@ -182,31 +684,52 @@ async function startWorker() {
   // Initialize database
   await db.initDb();
 
+  // Quotes (server) and fills (worker) must come from the same simulated market
+  await shareMarketSeed(redis, dexRouter.market);
+
   // Create worker with concurrency=10
-  const worker = new Worker('order-queue', processOrder, {
+  const worker = new Worker(ORDER_QUEUE, processOrder, {
     connection: redis,
     concurrency: 10,
+    settings: { backoffStrategy: errors.orderBackoffStrategy },
   });
 
   worker.on('completed', (job) => {
     console.log(`✅ Job ${job.id} completed`);
   });
 
-  worker.on('failed', (job, err) => {
-    console.error(`❌ Job ${job.id} failed after retries: ${err.message}`);
+  worker.on('failed', async (job, err) => {
+    if (!job) return;
+    // finishedOn is only set once BullMQ gives up on the job
+    if (!job.finishedOn) {
+      console.warn(`⚠️  Job ${job.id} attempt ${job.attemptsMade} failed: ${err.message}`);
+      return;
+    }
+    console.error(`❌ Job ${job.id} failed after ${job.attemptsMade} attempt(s): ${err.message}`);
+    await deadLetterOrder(job, err);
   });
 
   worker.on('error', (err) => {
     console.error(`❌ Worker error: ${err.message}`);
   });
 
+  startLimitOrderWatcher();
+
   console.log('📊 Configuration:');
   console.log('   ✓ Queue: order-queue');
   console.log('   ✓ Concurrency: 10');
   console.log('   ✓ Retries: 3 attempts');
-  console.log('   ✓ Backoff: exponential (500ms)');
+  console.log('   ✓ Backoff: per error class (quote timeout 250ms, venue unavailable 1s, other 500ms; doubling)');
+  console.log('   ✓ Dead-letter queue: orders that fail for good');
+  console.log(`   ✓ Limit orders: re-quoted every ${LIMIT_ORDER_POLL_MS}ms`);
+  console.log(`   ✓ Split routing: orders >= ${SPLIT_MIN_AMOUNT} USD`);
+  console.log(`   ✓ Risk: max order ${riskChecker.config.maxOrderAmount || 'unlimited'} USD, daily notional ${riskChecker.config.dailyNotionalLimit || 'unlimited'} USD`);
   console.log('   ✓ Database: PostgreSQL');
-  console.log('   ✓ Cache: Redis (active orders)\n');
+  console.log('   ✓ Cache: Redis (active orders)');
+  console.log(`   ✓ Market seed: ${dexRouter.market.seed} (set MARKET_SEED to replay)`);
+  console.log(`   ✓ Priority fees: ${txBuilder.strategy.type}${txBuilder.strategy.type === 'percentile' ? ` p${txBuilder.strategy.percentile}` : ''}, x${txBuilder.strategy.bumpMultiplier} on rebuild`);
+  console.log(`   ✓ Chain: ${chain.slotMs}ms slots, ${chain.dropRate * 100}% drops, finalized after ${chain.finalizationSlots} slots, ${chainConfig.maxResubmits} resubmits`);
+  console.log(`   ✓ DEX venues: ${dexRouter.registry.list().map((a) => a.name).join(', ')}\n`);
   console.log('🎯 Ready to process orders!\n');
 }
 